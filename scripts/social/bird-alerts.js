@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Alerts
+ *
+ * Declarative alert rules evaluated after each intelligence run, routed to
+ * notification sinks. Rules live per brand under "alerts" in bird-config.json:
+ *
+ *   "alerts": {
+ *     "rules": [
+ *       { "name": "competitor-viral", "metric": "competitor.viralMultiple", "above": 5 },
+ *       { "name": "mention-surge", "metric": "mentions.total", "compare": "ratio", "above": 2, "cooldownHours": 12 },
+ *       { "name": "keyword-spike", "metric": "trend.volumeZ", "above": 2, "sinks": ["webhook"] }
+ *     ],
+ *     "sinks": {
+ *       "console": true,
+ *       "file": { "path": "alerts.jsonl" },
+ *       "webhook": { "url": "https://hooks.example.com/bird" },
+ *       "email": { "host": "smtp.example.com", "from": "bird@example.com", "to": ["team@example.com"], "username": "bird", "passwordEnv": "BIRD_SMTP_PASSWORD" }
+ *     }
+ *   }
+ *
+ * compare: "value" (default) checks the metric itself; "change" and "ratio"
+ * check it against the average of the previous `baselineRuns` reports.
+ * A rule delivered for a subject stays quiet for `cooldownHours` (default 24).
+ *
+ * Usage:
+ *   node scripts/social/bird-alerts.js ai.withjai               # evaluate the latest stored report
+ *   node scripts/social/bird-alerts.js ai.withjai 2026-10-19 --dry-run
+ *   node scripts/social/bird-alerts.js ai.withjai --test        # send a test alert to every sink
+ *   node scripts/social/bird-alerts.js metrics                  # list available metrics
+ */
+
+const BirdUtils = require('./bird-utils');
+const ReportHistory = require('./bird-history');
+const { sendMail } = require('./bird-smtp');
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_RULE = {
+  compare: 'value',
+  baselineRuns: 5,
+  cooldownHours: 24,
+  severity: 'medium'
+};
+
+const perHandle = (section, value) => report => (report[section] || []).map(entry => ({
+  subject: `@${entry.handle}`,
+  value: value(entry)
+}));
+
+const perKeyword = value => report => (report.trends || []).map(entry => ({
+  subject: `"${entry.keyword}"`,
+  value: value(entry)
+}));
+
+const single = (subject, value) => report => [{ subject, value: value(report) }];
+
+// metric name → { description, extract(report) → [{ subject, value, url? }] }
+const METRICS = {
+  'competitor.viralMultiple': {
+    description: "Best viral tweet as a multiple of the competitor's median engagement",
+    extract: report => (report.competitors || []).map(c => ({
+      subject: `@${c.handle}`,
+      value: c.profile?.viral?.[0]?.multipleOfMedian ?? null,
+      url: c.profile?.viral?.[0]?.url
+    }))
+  },
+  'competitor.medianEngagement': {
+    description: 'Median engagement per competitor tweet',
+    extract: perHandle('competitors', c => c.profile?.engagement.median ?? null)
+  },
+  'competitor.negativeShare': {
+    description: 'Share of negative tweets by a competitor (0-1)',
+    extract: perHandle('competitors', c => c.sentiment?.negativeShare ?? null)
+  },
+  'influencer.collaborationScore': {
+    description: 'Collaboration potential score (0-100)',
+    extract: perHandle('influencers', i => i.collaborationPotential?.score ?? null)
+  },
+  'trend.strength': {
+    description: 'Trend strength score (0-100)',
+    extract: perKeyword(t => typeof t.trendStrength?.score === 'number' ? t.trendStrength.score : null)
+  },
+  'trend.volume': {
+    description: 'Keyword tweets per hour in the latest window',
+    extract: perKeyword(t => t.momentum?.volume ?? null)
+  },
+  'trend.volumeZ': {
+    description: 'Keyword volume z-score against its own baseline',
+    extract: perKeyword(t => t.momentum?.zScore?.volume ?? null)
+  },
+  'trend.negativeShare': {
+    description: 'Share of negative tweets about a keyword (0-1)',
+    extract: perKeyword(t => t.sentiment?.negativeShare ?? null)
+  },
+  'mentions.total': {
+    description: 'Mentions of our account',
+    extract: single('our account', r => r.mentions?.total ?? null)
+  },
+  'mentions.negative': {
+    description: 'Negative mentions of our account',
+    extract: single('our account', r => r.mentions?.sentiment?.negative ?? null)
+  },
+  'mentions.unanswered': {
+    description: 'Mentions without a reply from us',
+    extract: single('our account', r => r.mentions?.unanswered?.length ?? null)
+  },
+  'topics.suggested': {
+    description: 'Emerging topics suggested as new keywords',
+    extract: single('emerging topics', r => (r.emergingTopics || []).filter(t => t.suggested).length)
+  }
+};
+
+const SINKS = {
+  console: () => ({
+    async send(alerts) {
+      alerts.forEach(alert => console.log(`   🚨 [${alert.severity}] ${alert.rule}: ${alert.message}`));
+    }
+  }),
+
+  file: (options, brand) => ({
+    async send(alerts) {
+      const filepath = path.resolve(BirdUtils.getOutputDir(brand), options.path || 'alerts.jsonl');
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      fs.appendFileSync(filepath, alerts.map(alert => JSON.stringify(alert)).join('\n') + '\n');
+    }
+  }),
+
+  webhook: options => ({
+    async send(alerts, context) {
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        body: JSON.stringify({ brand: context.brand, timestamp: context.timestamp, alerts }),
+        signal: AbortSignal.timeout(options.timeoutMs || 10000)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook ${options.url} responded ${response.status} ${response.statusText}`);
+      }
+    }
+  }),
+
+  email: options => ({
+    async send(alerts, context) {
+      const password = options.passwordEnv ? process.env[options.passwordEnv] : options.password;
+      const subject = `[bird] ${alerts.length} alert(s) for ${context.brand}`;
+      const text = [
+        `${alerts.length} alert(s) from the ${context.timestamp} intelligence run for ${context.brand}:`,
+        '',
+        ...alerts.map(alert => `- [${alert.severity}] ${alert.rule}: ${alert.message}${alert.url ? `\n  ${alert.url}` : ''}`)
+      ].join('\n');
+
+      await sendMail({ ...options, password }, { subject, text });
+    }
+  })
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Cooldowns are tracked per rule and subject
+const cooldownKey = (rule, subject) => `${rule}|${subject}`;
+
+class AlertEngine {
+  /**
+   * @param {string} brand - Brand name
+   * @param {Object} config - Brand "alerts" config: { rules, sinks }
+   */
+  constructor(brand, config = {}) {
+    this.brand = brand;
+    this.rules = (config.rules || []).map(rule => ({ ...DEFAULT_RULE, ...rule }));
+    // Console only when no sinks are configured
+    this.sinkConfig = config.sinks && Object.keys(config.sinks).length > 0 ? config.sinks : { console: true };
+    this.statePath = path.join(BirdUtils.getOutputDir(brand), 'alert-state.json');
+  }
+
+  loadState() {
+    if (!fs.existsSync(this.statePath)) return { lastFired: {} };
+
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`   ⚠️  Ignoring unreadable alert state for ${this.brand}: ${error.message}`);
+      return { lastFired: {} };
+    }
+  }
+
+  saveState(state) {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Average of a metric for one subject across earlier reports
+   * @returns {number|null} Baseline, or null without history
+   */
+  baseline(rule, subject, previous) {
+    const values = previous
+      .slice(-rule.baselineRuns)
+      .map(report => METRICS[rule.metric].extract(report).find(entry => entry.subject === subject)?.value)
+      .filter(value => typeof value === 'number');
+
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }
+
+  /**
+   * Match every rule against a report
+   * State is only read; run() records cooldowns once alerts are delivered
+   * @param {Object} report - Intelligence report
+   * @param {Array} previous - Earlier reports, oldest first
+   * @param {Object} state - { lastFired: { "rule|subject": ISO time } }
+   * @returns {Object} { fired, suppressed, cooldowns: { "rule|subject": ISO time } per fired alert }
+   */
+  evaluate(report, previous = [], state = { lastFired: {} }) {
+    const now = new Date(report.timestamp).getTime();
+    const fired = [];
+    const cooldowns = {};
+    let suppressed = 0;
+
+    this.rules.forEach(rule => {
+      const metric = METRICS[rule.metric];
+      if (!metric) return;
+
+      metric.extract(report).forEach(({ subject, value, url }) => {
+        if (typeof value !== 'number') return;
+
+        const baseline = rule.compare === 'value' ? null : this.baseline(rule, subject, previous);
+        let compared = value;
+        if (rule.compare === 'change') compared = baseline === null ? null : value - baseline;
+        if (rule.compare === 'ratio') compared = baseline ? value / baseline : null;
+        if (compared === null) return;
+
+        const matched = rule.above !== undefined ? compared > rule.above : compared < rule.below;
+        if (!matched) return;
+
+        const key = cooldownKey(rule.name, subject);
+        const last = state.lastFired[key] ? new Date(state.lastFired[key]).getTime() : null;
+        if (last !== null && now - last < rule.cooldownHours * HOUR_MS) {
+          suppressed += 1;
+          return;
+        }
+
+        cooldowns[key] = report.timestamp;
+        fired.push({
+          rule: rule.name,
+          metric: rule.metric,
+          subject,
+          value: round(value),
+          baseline: baseline === null ? null : round(baseline),
+          threshold: rule.above ?? rule.below,
+          severity: rule.severity,
+          message: this.describe(rule, subject, value, baseline),
+          url,
+          sinks: rule.sinks || Object.keys(this.sinkConfig),
+          brand: this.brand,
+          firedAt: report.timestamp
+        });
+      });
+    });
+
+    return { fired, suppressed, cooldowns };
+  }
+
+  describe(rule, subject, value, baseline) {
+    const direction = rule.above !== undefined ? 'above' : 'below';
+    const threshold = rule.above ?? rule.below;
+
+    if (rule.compare === 'ratio') {
+      return `${subject}: ${rule.metric} is ${round(value)}, ${round(value / baseline)}× the ${rule.baselineRuns}-run average of ${round(baseline)} (${direction} ${threshold}×)`;
+    }
+    if (rule.compare === 'change') {
+      const change = value - baseline;
+      return `${subject}: ${rule.metric} is ${round(value)}, ${change >= 0 ? '+' : ''}${round(change)} vs the ${rule.baselineRuns}-run average of ${round(baseline)} (${direction} ${threshold})`;
+    }
+    return `${subject}: ${rule.metric} is ${round(value)} (${direction} ${threshold})`;
+  }
+
+  /**
+   * Deliver alerts to their sinks; a failing sink doesn't stop the others
+   * @param {Array} alerts - Fired alerts
+   * @param {Object} context - { brand, timestamp }
+   * @returns {Promise<Object>} { delivered: { [sink]: count }, failed: [{ sink, error }] }
+   */
+  async dispatch(alerts, context) {
+    const result = { delivered: {}, failed: [] };
+
+    for (const [name, options] of Object.entries(this.sinkConfig)) {
+      if (options === false) continue;
+
+      const batch = alerts.filter(alert => alert.sinks.includes(name));
+      if (batch.length === 0) continue;
+
+      try {
+        const sink = SINKS[name](options === true ? {} : options, this.brand);
+        await sink.send(batch, context);
+        result.delivered[name] = batch.length;
+      } catch (error) {
+        console.warn(`   ⚠️  Alert sink "${name}" failed: ${error.message}`);
+        result.failed.push({ sink: name, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate a finished report against stored history, dispatch and persist cooldowns
+   * Only alerts at least one sink delivered start a cooldown, so an alert that
+   * failed everywhere fires again on the next run
+   * @param {Object} report - Intelligence report
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { fired, suppressed, delivered, failed }
+   */
+  async run(report, options = {}) {
+    const previous = new ReportHistory(this.brand).load().filter(r => r.timestamp < report.timestamp);
+    const state = this.loadState();
+    const { fired, suppressed, cooldowns } = this.evaluate(report, previous, state);
+
+    if (options.dryRun || fired.length === 0) {
+      return { fired, suppressed, delivered: {}, failed: [] };
+    }
+
+    const result = await this.dispatch(fired, { brand: this.brand, timestamp: report.timestamp });
+    const delivered = fired.filter(alert => alert.sinks.some(sink => result.delivered[sink]));
+
+    if (delivered.length > 0) {
+      delivered.forEach(alert => {
+        const key = cooldownKey(alert.rule, alert.subject);
+        state.lastFired[key] = cooldowns[key];
+      });
+      this.saveState(state);
+    }
+    return { fired, suppressed, ...result };
+  }
+}
+
+AlertEngine.METRICS = METRICS;
+AlertEngine.SINKS = SINKS;
+
+module.exports = AlertEngine;
+
+// CLI Interface
+if (require.main === module) {
+  const [brand, date] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  (async () => {
+    try {
+      if (brand === 'metrics') {
+        console.log('\n📏 Alert metrics:\n');
+        Object.entries(METRICS).forEach(([name, m]) => console.log(`   ${name.padEnd(30)} ${m.description}`));
+        console.log('');
+        return;
+      }
+
+      if (!brand) {
+        throw new Error('Usage: node bird-alerts.js <brand> [YYYY-MM-DD] [--dry-run] [--test] | metrics');
+      }
+
+      const engine = new AlertEngine(brand, BirdUtils.getBrandConfig(brand).alerts);
+
+      if (process.argv.includes('--test')) {
+        const timestamp = new Date().toISOString();
+        const alert = {
+          rule: 'test',
+          metric: 'test',
+          subject: brand,
+          value: 1,
+          baseline: null,
+          threshold: 0,
+          severity: 'low',
+          message: 'Test alert from bird-alerts.js',
+          sinks: Object.keys(engine.sinkConfig),
+          brand,
+          firedAt: timestamp
+        };
+        const { delivered, failed } = await engine.dispatch([alert], { brand, timestamp });
+        Object.keys(delivered).forEach(sink => console.log(`✅ ${sink}: test alert delivered`));
+        if (failed.length > 0) process.exitCode = 1;
+        return;
+      }
+
+      const history = new ReportHistory(brand);
+      const report = date ? history.find(date) : history.latest();
+      if (!report) {
+        throw new Error(date ? `No report found for ${date}` : `No reports stored for ${brand}`);
+      }
+
+      const dryRun = process.argv.includes('--dry-run');
+      console.log(`\n🚨 Evaluating ${engine.rules.length} alert rule(s) against the ${report.timestamp.split('T')[0]} report${dryRun ? ' (dry run)' : ''}\n`);
+      const { fired, suppressed, failed } = await engine.run(report, { dryRun });
+
+      if (dryRun) fired.forEach(alert => console.log(`   🚨 [${alert.severity}] ${alert.rule}: ${alert.message}`));
+      console.log(`\n✅ ${fired.length} alert(s) fired${suppressed > 0 ? `, ${suppressed} suppressed by cooldown` : ''}\n`);
+      if (failed.length > 0) process.exitCode = 1;
+    } catch (error) {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  })();
+}
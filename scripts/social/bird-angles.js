@@ -0,0 +1,134 @@
+/**
+ * Bird Content Angles
+ * Classifies each tweet into content angles (tactical, educational, proof,
+ * contrarian, systematic, ...) from a configurable taxonomy, then measures
+ * per angle how much of a sample uses it and how well it performs.
+ *
+ * A content gap is an angle that is under-supplied (low coverage) but earns
+ * above-median engagement when it does appear. Angles nobody uses are not
+ * gaps: there is no evidence they perform.
+ *
+ * Taxonomy patterns are phrases matched on word boundaries, case-insensitive.
+ * A pattern written as "/regex/flags" is used as a regular expression.
+ */
+
+const DEFAULT_TAXONOMY = {
+  tactical: ['how to', 'how i', "here's how", 'step by step', 'step-by-step', 'guide', 'tutorial', 'tips', 'walkthrough'],
+  educational: ['why', 'explained', 'what is', 'the reason', 'lesson', 'lessons', 'learned', 'deep dive'],
+  proof: ['case study', 'results', 'we grew', 'i grew', 'went from', 'revenue', 'before and after', '/\\$\\d+(\\.\\d+)?[km]\\b/i'],
+  contrarian: ['mistake', 'mistakes', 'unpopular opinion', 'hot take', 'myth', 'overrated', 'nobody talks about', 'stop'],
+  systematic: ['framework', 'playbook', 'template', 'checklist', 'system', 'process', 'blueprint', 'formula']
+};
+
+const DEFAULT_OPTIONS = {
+  // Angles used by fewer than this share of tweets are under-supplied
+  maxCoverage: 0.15,
+  // ...and a gap when their median engagement is at least this multiple of the sample's
+  minLift: 1.2,
+  // Fewest tweets using an angle before its performance counts as evidence
+  minTweets: 2
+};
+
+function totalEngagement(tweet) {
+  return tweet.engagement.likes + tweet.engagement.retweets + tweet.engagement.replies;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Compile a taxonomy pattern
+ * @param {string} pattern - Phrase, or "/regex/flags"
+ * @returns {RegExp} Matcher
+ */
+function compilePattern(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  // Always case-insensitive; a global flag would make test() stateful
+  if (literal) return new RegExp(literal[1], `${literal[2].replace(/[gi]/g, '')}i`);
+
+  const escaped = pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(^|[^\\w'])${escaped}(?![\\w'])`, 'i');
+}
+
+class AngleClassifier {
+  /**
+   * @param {Object} options - Brand "angles" config: { taxonomy, maxCoverage, minLift, minTweets }
+   *   taxonomy entries override the default angle of the same name; an empty list removes it
+   */
+  constructor(options = {}) {
+    const { taxonomy = {}, ...thresholds } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...thresholds };
+    this.angles = Object.entries({ ...DEFAULT_TAXONOMY, ...taxonomy })
+      .filter(([, patterns]) => patterns.length > 0)
+      .map(([angle, patterns]) => ({ angle, patterns: patterns.map(compilePattern) }));
+  }
+
+  /**
+   * Angles a piece of text uses (a tweet can use several)
+   * @param {string} text - Tweet text
+   * @returns {Array} Angle names
+   */
+  classify(text) {
+    return this.angles
+      .filter(({ patterns }) => patterns.some(pattern => pattern.test(text)))
+      .map(({ angle }) => angle);
+  }
+
+  /**
+   * Add `angles` to each canonical tweet, in place
+   * @param {Array} tweets - Canonical tweets
+   * @returns {Array} The same tweets
+   */
+  annotate(tweets) {
+    tweets.forEach(tweet => {
+      tweet.angles = this.classify(tweet.text);
+    });
+    return tweets;
+  }
+
+  /**
+   * Coverage and performance of every angle in a sample
+   * @param {Array} tweets - Canonical tweets (annotated or not)
+   * @returns {Array} [{ angle, tweets, coverage, medianEngagement, lift }]
+   */
+  coverage(tweets) {
+    const baseline = median(tweets.map(totalEngagement));
+
+    return this.angles.map(({ angle }) => {
+      const using = tweets.filter(t => (t.angles || this.classify(t.text)).includes(angle));
+      const engagement = median(using.map(totalEngagement));
+
+      return {
+        angle,
+        tweets: using.length,
+        coverage: tweets.length > 0 ? Math.round((using.length / tweets.length) * 100) / 100 : 0,
+        medianEngagement: Math.round(engagement),
+        // Median engagement of the angle as a multiple of the whole sample's
+        lift: using.length > 0 && baseline > 0 ? Math.round((engagement / baseline) * 100) / 100 : null
+      };
+    });
+  }
+
+  /**
+   * Under-supplied angles that perform well when they appear
+   * @param {Array} coverage - Output of coverage()
+   * @returns {Array} Gaps, best lift first
+   */
+  gaps(coverage) {
+    const { maxCoverage, minLift, minTweets } = this.options;
+
+    return coverage
+      .filter(a => a.tweets >= minTweets && a.coverage < maxCoverage && a.lift !== null && a.lift >= minLift)
+      .sort((a, b) => b.lift - a.lift);
+  }
+}
+
+AngleClassifier.DEFAULT_TAXONOMY = DEFAULT_TAXONOMY;
+AngleClassifier.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+AngleClassifier.compilePattern = compilePattern;
+
+module.exports = AngleClassifier;
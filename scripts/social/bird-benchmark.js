@@ -0,0 +1,233 @@
+/**
+ * Bird Self Benchmark
+ * Ranks our own account against each competitor on:
+ *   - engagement rate and median engagement per tweet
+ *   - cadence (posts per day)
+ *   - theme coverage (share of the brand's keywords we actually post about)
+ *   - format mix (thread, single, reply, quote, media, link)
+ * and frames the gaps relative to our position, e.g.
+ * "You under-index on threads vs 4/5 competitors".
+ */
+
+const FORMAT_LABELS = {
+  thread: 'threads',
+  single: 'single tweets',
+  reply: 'replies',
+  quote: 'quote tweets',
+  media: 'media posts',
+  link: 'link posts'
+};
+
+// A format share this far from a competitor's counts as a real difference
+const FORMAT_MARGIN = 0.1;
+
+const METRICS = {
+  engagementRate: {
+    label: 'engagement rate',
+    value: entry => entry.profile.engagement.medianRate,
+    format: value => `${Math.round(value * 1000) / 10}%`
+  },
+  medianEngagement: {
+    label: 'median engagement per tweet',
+    value: entry => entry.profile.engagement.median,
+    format: value => String(value)
+  },
+  postsPerDay: {
+    label: 'posting cadence',
+    value: entry => entry.profile.cadence.postsPerDay,
+    format: value => `${value} posts/day`
+  },
+  themeCoverage: {
+    label: 'keyword coverage',
+    value: (entry, keywords) => keywords.length > 0 ? entry.contentThemes.length / keywords.length : null,
+    format: value => `${Math.round(value * 100)}%`
+  }
+};
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (value, places = 4) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+class SelfBenchmark {
+  /**
+   * Compare our analysis with every competitor's
+   * @param {Object} self - Our entry ({ handle, contentThemes, profile })
+   * @param {Array} competitors - Competitor entries from the report
+   * @param {Array} keywords - Brand keywords
+   * @returns {Object} { competitors, metrics, formats, themes }
+   */
+  static build(self, competitors, keywords = []) {
+    const profiled = competitors.filter(c => c.profile);
+
+    return {
+      competitors: profiled.length,
+      metrics: Object.keys(METRICS)
+        .map(metric => SelfBenchmark.rank(metric, self, profiled, keywords))
+        .filter(Boolean),
+      formats: SelfBenchmark.formats(self, profiled),
+      themes: SelfBenchmark.themes(self, profiled, keywords)
+    };
+  }
+
+  /**
+   * Our rank on one metric (1 = highest) among competitors with a value
+   * @returns {Object|null} { metric, value, competitorMedian, rank, of, ahead, behind }, null when we have no value
+   */
+  static rank(metric, self, competitors, keywords) {
+    const value = METRICS[metric].value(self, keywords);
+    if (value === null || value === undefined) return null;
+
+    const others = competitors
+      .map(c => ({ handle: c.handle, value: METRICS[metric].value(c, keywords) }))
+      .filter(c => c.value !== null && c.value !== undefined);
+    if (others.length === 0) return null;
+
+    const ahead = others.filter(c => c.value > value);
+
+    return {
+      metric,
+      value: round(value),
+      competitorMedian: round(median(others.map(c => c.value))),
+      rank: ahead.length + 1,
+      of: others.length + 1,
+      // Competitors ahead of us, and competitors we beat
+      ahead: ahead.map(c => c.handle),
+      behind: others.filter(c => c.value < value).map(c => c.handle)
+    };
+  }
+
+  /**
+   * Our share of each format against competitors' shares
+   */
+  static formats(self, competitors) {
+    return Object.keys(FORMAT_LABELS).map(format => {
+      const share = self.profile.formatMix[format]?.share || 0;
+      const shares = competitors.map(c => ({ handle: c.handle, share: c.profile.formatMix[format]?.share || 0 }));
+
+      return {
+        format,
+        share,
+        competitorMedian: round(median(shares.map(c => c.share)) ?? 0, 2),
+        competitorsAhead: shares.filter(c => c.share >= share + FORMAT_MARGIN).map(c => c.handle),
+        competitorsBehind: shares.filter(c => c.share <= share - FORMAT_MARGIN).map(c => c.handle)
+      };
+    });
+  }
+
+  /**
+   * Keywords competitors post about that we don't
+   */
+  static themes(self, competitors, keywords) {
+    const covered = self.contentThemes.map(t => t.theme);
+    const missing = keywords
+      .filter(keyword => !covered.includes(keyword))
+      .map(keyword => ({
+        theme: keyword,
+        competitors: competitors.filter(c => c.contentThemes.some(t => t.theme === keyword)).map(c => c.handle)
+      }))
+      .filter(t => t.competitors.length > 0)
+      .sort((a, b) => b.competitors.length - a.competitors.length);
+
+    return { covered, missing };
+  }
+
+  /**
+   * Insights framed relative to our position
+   * A gap is reported when more than half of the competitors are on the other side of it
+   * @param {Object} benchmark - Output of build()
+   * @returns {Array} Insights
+   */
+  static insights(benchmark) {
+    const insights = [];
+    const total = benchmark.competitors;
+    const majority = count => count > total / 2;
+
+    benchmark.metrics.forEach(m => {
+      const { label, format } = METRICS[m.metric];
+      const others = m.of - 1;
+      const versus = `${format(m.value)} vs median ${format(m.competitorMedian)}`;
+
+      if (m.ahead.length === others && others > 1) {
+        insights.push({
+          type: 'self-position',
+          description: `Your ${label} trails all ${others} competitors (${versus})`,
+          actionable: SelfBenchmark.advice(m.metric, 'behind')
+        });
+      } else if (majority(m.ahead.length)) {
+        insights.push({
+          type: 'self-position',
+          description: `Your ${label} trails ${m.ahead.length}/${others} competitors (${versus})`,
+          actionable: SelfBenchmark.advice(m.metric, 'behind')
+        });
+      } else if (m.behind.length === others) {
+        insights.push({
+          type: 'self-position',
+          description: `You lead ${others > 1 ? `all ${others} competitors` : `@${m.behind[0]}`} on ${label} (${versus})`,
+          actionable: SelfBenchmark.advice(m.metric, 'ahead')
+        });
+      }
+    });
+
+    benchmark.formats.forEach(f => {
+      const versus = `${Math.round(f.share * 100)}% vs median ${Math.round(f.competitorMedian * 100)}%`;
+
+      if (majority(f.competitorsAhead.length)) {
+        insights.push({
+          type: 'self-position',
+          description: `You under-index on ${FORMAT_LABELS[f.format]} vs ${f.competitorsAhead.length}/${total} competitors (${versus})`,
+          actionable: `Test more ${FORMAT_LABELS[f.format]}; most competitors lean on them`
+        });
+      } else if (majority(f.competitorsBehind.length)) {
+        insights.push({
+          type: 'self-position',
+          description: `You over-index on ${FORMAT_LABELS[f.format]} vs ${f.competitorsBehind.length}/${total} competitors (${versus})`,
+          actionable: `Check that ${FORMAT_LABELS[f.format]} earn their share of your feed`
+        });
+      }
+    });
+
+    const gaps = benchmark.themes.missing.filter(t => majority(t.competitors.length));
+    if (gaps.length > 0) {
+      insights.push({
+        type: 'self-position',
+        description: `You never mention ${gaps.length} keyword(s) most competitors cover`,
+        trends: gaps.map(t => `"${t.theme}" (${t.competitors.length}/${total} competitors)`),
+        actionable: 'Cover these keywords or decide deliberately to leave them to competitors'
+      });
+    }
+
+    return insights;
+  }
+
+  static advice(metric, position) {
+    const advice = {
+      engagementRate: {
+        behind: 'Study the top tweets of the competitors ahead of you; your audience engages less per tweet',
+        ahead: 'Your audience is unusually engaged; lean into the formats that earn it'
+      },
+      medianEngagement: {
+        behind: 'Focus on fewer, stronger tweets before adding volume',
+        ahead: 'Keep your current content mix; it outperforms the field'
+      },
+      postsPerDay: {
+        behind: 'Post more often or schedule a steady cadence (see the posting-strategy recommendation)',
+        ahead: 'You out-post the field; check engagement isn\'t thinning out'
+      },
+      themeCoverage: {
+        behind: 'Cover more of your tracked keywords in your own posts',
+        ahead: 'You cover more of the niche than anyone; turn the breadth into a series'
+      }
+    };
+
+    return advice[metric][position];
+  }
+}
+
+SelfBenchmark.METRICS = METRICS;
+
+module.exports = SelfBenchmark;
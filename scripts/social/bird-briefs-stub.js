@@ -0,0 +1,53 @@
+/**
+ * Bird Briefs Stub Provider
+ * Deterministic stand-in for an LLM provider (see bird-briefs.js), for tests
+ * and offline demos. It rewrites the template brief instead of calling a model.
+ *
+ * Usage:
+ *   node scripts/social/bird-briefs.js ai.withjai --provider=scripts/social/bird-briefs-stub.js
+ */
+
+const DEFAULT_OPTIONS = {
+  // Fields to return; the generator keeps the template for the rest
+  fields: ['hooks', 'outline', 'draft'],
+  // Error message to throw instead of answering
+  error: null,
+  // Fixed result to return instead of the rewritten brief
+  response: null
+};
+
+class StubBriefProvider {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.name = 'stub';
+    // Every { prompt, brief } received, for assertions
+    this.calls = [];
+  }
+
+  /**
+   * Answer like a provider would
+   * @param {Object} request - { prompt, brief }
+   * @returns {Promise<Object>} { hooks?, outline?, draft? }
+   */
+  async generate({ prompt, brief }) {
+    this.calls.push({ prompt, brief });
+
+    if (this.options.error) throw new Error(this.options.error);
+    if (this.options.response) return this.options.response;
+
+    const rewritten = {
+      hooks: brief.hooks.map(hook => `[stub] ${hook}`),
+      outline: brief.outline.map(point => `[stub] ${point}`),
+      draft: brief.draft.map(tweet => `[stub] ${tweet}`)
+    };
+
+    return Object.fromEntries(this.options.fields.map(field => [field, rewritten[field]]));
+  }
+}
+
+StubBriefProvider.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = StubBriefProvider;
@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Content Briefs
+ *
+ * Turns a saved intelligence report into concrete post briefs. Each brief pairs
+ * a recommended angle with a trending keyword and comes with hook options, an
+ * outline, a suggested format (thread or single), a first draft and the
+ * high-engagement reference tweets it was built from.
+ *
+ * Briefs are built from templates. An optional LLM provider can rewrite the
+ * hooks, outline and draft; it is any module exporting an object (or class)
+ * with:
+ *   name: string
+ *   generate({ prompt, brief }): Promise<{ hooks?, outline?, draft? }>
+ * Whatever the provider leaves out, or a provider error, falls back to the template.
+ *
+ * Usage:
+ *   node scripts/social/bird-briefs.js ai.withjai                  # latest report
+ *   node scripts/social/bird-briefs.js ai.withjai 2026-10-19 --count=3
+ *   node scripts/social/bird-briefs.js ai.withjai --provider=./my-llm-provider.js
+ *   node scripts/social/bird-briefs.js ai.withjai --json
+ */
+
+const BirdUtils = require('./bird-utils');
+const ReportHistory = require('./bird-history');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  count: 5,
+  hooksPerBrief: 3,
+  // Path to an LLM provider module; templates only when unset
+  provider: null
+};
+
+const TWEET_LIMIT = 280;
+
+// {keyword} is replaced with the trending keyword
+const TEMPLATES = {
+  tactical: {
+    format: 'thread',
+    hooks: [
+      'How to get started with {keyword} (step by step):',
+      'I spent a month with {keyword}. Here\'s exactly how I\'d set it up today:',
+      'Most people overcomplicate {keyword}. Here\'s the 5-step version:',
+      'The {keyword} playbook nobody writes down:'
+    ],
+    outline: [
+      'The outcome you get at the end, in one line',
+      'Step 1: the setup most people skip',
+      'Steps 2-4: the core workflow, one concrete action each',
+      'Step 5: how to check it worked',
+      'A common pitfall and how to avoid it',
+      'Recap + ask readers what they would add'
+    ]
+  },
+  educational: {
+    format: 'thread',
+    hooks: [
+      'Why {keyword} matters more than people think:',
+      '{keyword}, explained without the jargon:',
+      'Everyone talks about {keyword}. Few explain why it works:',
+      'The one idea that made {keyword} click for me:'
+    ],
+    outline: [
+      'The misconception most people have',
+      'The underlying idea, in plain words',
+      'A concrete example or analogy',
+      'What it means in practice',
+      'One takeaway to remember'
+    ]
+  },
+  proof: {
+    format: 'thread',
+    hooks: [
+      'Real numbers from using {keyword}:',
+      'Case study: what happened when we went all-in on {keyword}',
+      'Before and after {keyword} (with results):',
+      'We tried {keyword} for 30 days. The results:'
+    ],
+    outline: [
+      'The starting point, with a number',
+      'What we changed',
+      'The result, with a number and a screenshot',
+      'What surprised us',
+      'What we would do differently'
+    ]
+  },
+  contrarian: {
+    format: 'single',
+    hooks: [
+      'Unpopular opinion: most {keyword} advice is wrong.',
+      'Stop doing this with {keyword}:',
+      'The biggest mistake I see with {keyword}:',
+      'Hot take: {keyword} is overrated for most people. Here\'s why.'
+    ],
+    outline: [
+      'The common belief, stated fairly',
+      'Why it breaks down, with one example',
+      'What to do instead'
+    ]
+  },
+  systematic: {
+    format: 'thread',
+    hooks: [
+      'My framework for {keyword}:',
+      'The {keyword} checklist I use every week:',
+      'A simple system for {keyword} that actually sticks:',
+      'Steal my {keyword} template:'
+    ],
+    outline: [
+      'The problem the framework solves',
+      'The framework at a glance (3-5 parts)',
+      'Each part, one tweet with an example',
+      'How to adapt it',
+      'Offer the template / ask for feedback'
+    ]
+  }
+};
+
+// Used for custom angles from the brand's taxonomy
+const GENERIC_TEMPLATE = {
+  format: 'single',
+  hooks: [
+    'A {angle} take on {keyword}:',
+    'What nobody tells you about {keyword}:',
+    '{keyword}: what I learned the hard way'
+  ],
+  outline: [
+    'The one point you want readers to remember',
+    'Evidence or an example',
+    'A question to start replies'
+  ]
+};
+
+function totalEngagement(tweet) {
+  return tweet.engagement.likes + tweet.engagement.retweets + tweet.engagement.replies;
+}
+
+function fill(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+function truncate(text, limit = TWEET_LIMIT) {
+  return text.length <= limit ? text : `${text.slice(0, limit - 1).trimEnd()}…`;
+}
+
+class BriefGenerator {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS (brand "briefs" config),
+   *   plus `provider` as an already loaded provider object
+   */
+  constructor(options = {}) {
+    const { provider, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...rest };
+    this.provider = typeof provider === 'string' ? BriefGenerator.loadProvider(provider) : provider || null;
+  }
+
+  /**
+   * Load an LLM provider module
+   * @param {string} modulePath - Path relative to the working directory
+   * @returns {Object|null} Provider, or null for templates only
+   * @throws {Error} When the module doesn't export a generate() function
+   */
+  static loadProvider(modulePath) {
+    if (!modulePath || modulePath === 'template') return null;
+
+    const exported = require(path.resolve(modulePath));
+    const provider = typeof exported === 'function' ? new exported() : exported;
+
+    if (!provider || typeof provider.generate !== 'function') {
+      throw new Error(`Brief provider ${modulePath} must export an object or class with generate({ prompt, brief })`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Pick angle + keyword pairs worth a brief
+   * Content-opportunity recommendations come first; without them, each trend is
+   * paired with its best-performing angle
+   * @param {Object} report - Intelligence report
+   * @returns {Array} [{ angle, trend, reasoning }]
+   */
+  plan(report) {
+    const trends = [...report.trends].sort((a, b) => (b.trendStrength?.score || 0) - (a.trendStrength?.score || 0));
+    const pairs = [];
+
+    report.recommendations
+      .filter(rec => rec.type === 'content-opportunity')
+      .forEach(rec => {
+        const trend = trends.find(t => (rec.keywords || []).includes(t.keyword)) || trends[0];
+        if (trend) pairs.push({ angle: rec.content, trend, reasoning: rec.reasoning });
+      });
+
+    trends.forEach(trend => {
+      const best = (trend.angles || [])
+        .filter(a => a.tweets > 0 && a.lift !== null)
+        .sort((a, b) => b.lift - a.lift)[0];
+      if (best && !pairs.some(p => p.angle === best.angle && p.trend.keyword === trend.keyword)) {
+        pairs.push({
+          angle: best.angle,
+          trend,
+          reasoning: `"${best.angle}" is the best-performing angle on "${trend.keyword}" (${best.lift}× median engagement)`
+        });
+      }
+    });
+
+    return pairs.slice(0, this.options.count);
+  }
+
+  /**
+   * High-engagement tweets to model the post on, angle matches first
+   */
+  references(report, trend, angle) {
+    const keyword = trend.keyword.toLowerCase();
+    const candidates = [
+      ...trend.topTweets,
+      ...report.competitors.flatMap(c => c.topTweets).filter(t => t.text.toLowerCase().includes(keyword))
+    ];
+    const unique = [...new Map(candidates.map(t => [t.id, t])).values()];
+    const usesAngle = t => (t.angles || []).includes(angle);
+
+    return unique
+      .sort((a, b) => Number(usesAngle(b)) - Number(usesAngle(a)) || totalEngagement(b) - totalEngagement(a))
+      .slice(0, 3)
+      .map(t => ({
+        url: t.url,
+        author: t.author.handle,
+        text: t.text,
+        engagement: totalEngagement(t),
+        matchesAngle: usesAngle(t)
+      }));
+  }
+
+  /**
+   * Thread or single: the angle's default, overridden when the report's
+   * thread-length data clearly favours one
+   */
+  suggestFormat(report, template) {
+    const correlation = report.conversations?.threads?.correlation ?? null;
+
+    if (correlation !== null && correlation >= 0.3) {
+      return { format: 'thread', reason: `longer competitor threads earn more engagement (correlation ${correlation})` };
+    }
+    if (correlation !== null && correlation <= -0.3) {
+      return { format: 'single', reason: `longer competitor threads earn less engagement (correlation ${correlation})` };
+    }
+    return { format: template.format, reason: `${template.format === 'thread' ? 'threads suit' : 'a single tweet suits'} this angle` };
+  }
+
+  /**
+   * Template-only brief
+   */
+  templateBrief(report, { angle, trend, reasoning }) {
+    const template = TEMPLATES[angle] || GENERIC_TEMPLATE;
+    const values = { keyword: trend.keyword, angle };
+    const hooks = template.hooks.slice(0, this.options.hooksPerBrief).map(h => fill(h, values));
+    const outline = template.outline.map(o => fill(o, values));
+    const { format, reason } = this.suggestFormat(report, template);
+
+    return {
+      angle,
+      keyword: trend.keyword,
+      format,
+      formatReason: reason,
+      reasoning,
+      hooks,
+      outline,
+      draft: BriefGenerator.draft(hooks[0], outline, format),
+      references: this.references(report, trend, angle),
+      provider: 'template'
+    };
+  }
+
+  /**
+   * First draft: one tweet, or one tweet per outline point for a thread
+   * @returns {Array} Tweets
+   */
+  static draft(hook, outline, format) {
+    if (format === 'single') {
+      return [truncate(`${hook}\n\n${outline.map(o => `- ${o}`).join('\n')}`)];
+    }
+    return [
+      truncate(`${hook} 🧵`),
+      ...outline.map((point, i) => truncate(`${i + 2}/ ${point}`))
+    ];
+  }
+
+  /**
+   * Prompt handed to an LLM provider
+   */
+  static prompt(brief) {
+    return [
+      `Write a ${brief.format === 'thread' ? 'Twitter thread' : 'single tweet'} about "${brief.keyword}" using a ${brief.angle} angle.`,
+      `Why: ${brief.reasoning}`,
+      `Outline:\n${brief.outline.map(o => `- ${o}`).join('\n')}`,
+      brief.references.length > 0
+        ? `High-engagement examples to learn from (don't copy):\n${brief.references.map(r => `- @${r.author} (${r.engagement} engagement): ${r.text}`).join('\n')}`
+        : null,
+      `Return JSON with "hooks" (array of strings), "outline" (array of strings) and "draft" (array of tweets, each under ${TWEET_LIMIT} characters).`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Generate briefs for a report
+   * @param {Object} report - Intelligence report
+   * @returns {Promise<Array>} Briefs
+   */
+  async generate(report) {
+    const briefs = [];
+
+    for (const pair of this.plan(report)) {
+      const brief = this.templateBrief(report, pair);
+
+      if (this.provider) {
+        try {
+          const result = await this.provider.generate({ prompt: BriefGenerator.prompt(brief), brief });
+          ['hooks', 'outline', 'draft'].forEach(field => {
+            if (Array.isArray(result?.[field]) && result[field].length > 0) brief[field] = result[field];
+          });
+          brief.provider = this.provider.name || 'custom';
+        } catch (error) {
+          console.warn(`   ⚠️  ${this.provider.name || 'Provider'} failed for ${brief.angle} × "${brief.keyword}", using template: ${error.message}`);
+        }
+      }
+
+      briefs.push(brief);
+    }
+
+    return briefs;
+  }
+
+  /**
+   * Render briefs as Markdown
+   * @param {Array} briefs - Briefs
+   * @param {Object} meta - { brand, date }
+   * @returns {string} Markdown
+   */
+  static renderMarkdown(briefs, meta) {
+    const lines = [`# Content Briefs: ${meta.brand}`, '', `_From the ${meta.date} intelligence report_`, ''];
+
+    if (briefs.length === 0) {
+      lines.push('No content opportunities in this report.', '');
+    }
+
+    briefs.forEach((brief, i) => {
+      lines.push(`## ${i + 1}. ${brief.angle} × "${brief.keyword}" (${brief.format})`);
+      lines.push('');
+      lines.push(`${brief.reasoning}. Format: ${brief.formatReason}.`);
+      lines.push('');
+      lines.push('**Hooks**');
+      lines.push('');
+      brief.hooks.forEach(h => lines.push(`- ${h}`));
+      lines.push('');
+      lines.push('**Outline**');
+      lines.push('');
+      brief.outline.forEach((o, n) => lines.push(`${n + 1}. ${o}`));
+      lines.push('');
+      lines.push('**Draft**');
+      lines.push('');
+      brief.draft.forEach(tweet => lines.push(`> ${tweet.replace(/\n/g, '\n> ')}`, '>'));
+      lines.pop();
+      lines.push('');
+      if (brief.references.length > 0) {
+        lines.push('**References**');
+        lines.push('');
+        brief.references.forEach(r => lines.push(`- [@${r.author}](${r.url}) (${r.engagement} engagement${r.matchesAngle ? `, ${brief.angle}` : ''}): ${r.text.replace(/\s*\n\s*/g, ' ')}`));
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+BriefGenerator.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+BriefGenerator.TEMPLATES = TEMPLATES;
+
+module.exports = BriefGenerator;
+
+// CLI Interface
+if (require.main === module) {
+  const brand = process.argv[2];
+  const date = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+  const flag = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  (async () => {
+    try {
+      if (!brand || brand.startsWith('--')) {
+        throw new Error('Usage: node bird-briefs.js <brand> [YYYY-MM-DD] [--count=5] [--provider=./provider.js] [--json]');
+      }
+
+      const config = BirdUtils.getBrandConfig(brand).briefs || {};
+      const history = new ReportHistory(brand);
+      const report = date ? history.find(date) : history.latest();
+      if (!report) {
+        throw new Error(date ? `No report found for ${date}` : `No reports stored for ${brand}`);
+      }
+
+      const generator = new BriefGenerator({
+        ...config,
+        ...(flag('count') ? { count: Number(flag('count')) } : {}),
+        provider: flag('provider') || config.provider
+      });
+      const briefs = await generator.generate(report);
+      const reportDate = report.timestamp.split('T')[0];
+
+      if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(briefs, null, 2));
+        return;
+      }
+
+      console.log(`\n📝 ${briefs.length} brief(s) from the ${reportDate} report${generator.provider ? ` (${generator.provider.name || 'custom provider'})` : ''}\n`);
+      briefs.forEach((brief, i) => console.log(`   ${i + 1}. ${brief.angle} × "${brief.keyword}" (${brief.format}): ${brief.hooks[0]}`));
+      console.log('');
+
+      await BirdUtils.saveResults(`content-briefs-${reportDate}.json`, { brand, report: report.timestamp, briefs }, brand);
+      await BirdUtils.saveResults(`content-briefs-${reportDate}.md`, BriefGenerator.renderMarkdown(briefs, { brand, date: reportDate }), brand);
+    } catch (error) {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Response Cache
+ *
+ * Content-addressed on-disk cache in front of BirdUtils.executeCommand, so a
+ * report re-run ten minutes later doesn't spend rate limit on the same fetches.
+ * Entries are keyed by command + args and stored as plain JSON:
+ *   brands/.bird/cache/<command>/<sha256 of args>.json
+ *   { command, args, cachedAt, expiresAt, data | stdout }
+ *
+ * Usage:
+ *   node scripts/social/bird-cache.js stats
+ *   node scripts/social/bird-cache.js clear             # everything
+ *   node scripts/social/bird-cache.js clear --expired   # only stale entries
+ *
+ * Any bird script accepts --no-cache (skip the cache) and --refresh
+ * (re-fetch and overwrite cached entries); BIRD_CACHE=off|refresh does the same.
+ */
+
+const TweetModel = require('./bird-tweet');
+const { STATE_DIR } = require('./bird-scheduler');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per command; 0 never caches
+const DEFAULT_TTLS = {
+  search: 15 * MINUTE,
+  mentions: 5 * MINUTE,
+  bookmarks: 30 * MINUTE,
+  replies: 15 * MINUTE,
+  thread: HOUR,
+  read: HOUR,
+  // Auth checks must always hit bird
+  whoami: 0,
+  default: 15 * MINUTE
+};
+
+// A tweet this old has settled; its engagement barely moves
+const SETTLED_AGE_MS = 7 * DAY;
+const SETTLED_TTL_MS = 7 * DAY;
+
+class ResponseCache {
+  /**
+   * @param {Object} options - { dir, ttls, mode: 'use' | 'refresh' | 'off' }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(STATE_DIR, 'cache');
+    this.ttls = { ...DEFAULT_TTLS, ...options.ttls };
+    this.mode = options.mode || 'use';
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache file for a bird invocation
+   * @param {Array} args - Full bird arguments, command first
+   * @returns {string} Entry path
+   */
+  entryPath(args) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(args)).digest('hex');
+    return path.join(this.dir, args[0].replace(/[^a-z0-9_-]/gi, '_'), `${hash}.json`);
+  }
+
+  /**
+   * How long a response stays fresh
+   * `read` of a tweet older than a week is kept for a week
+   * @param {Array} args - Full bird arguments, command first
+   * @param {string} stdout - Response
+   * @returns {number} Milliseconds
+   */
+  ttlFor(args, stdout) {
+    const command = args[0];
+    const ttl = command in this.ttls ? this.ttls[command] : this.ttls.default;
+
+    if (command === 'read' && ttl > 0) {
+      try {
+        const createdAt = TweetModel.normalize(JSON.parse(stdout)).createdAt;
+        if (createdAt && Date.now() - new Date(createdAt).getTime() > SETTLED_AGE_MS) {
+          return Math.max(ttl, SETTLED_TTL_MS);
+        }
+      } catch (error) {
+        // Not a tweet we can date; use the plain TTL
+      }
+    }
+
+    return ttl;
+  }
+
+  /**
+   * Cached response, if fresh
+   * @param {Array} args - Full bird arguments, command first
+   * @returns {string|null} Response, or null on a miss
+   */
+  get(args) {
+    if (this.mode !== 'use') return null;
+
+    const entry = this.readEntry(this.entryPath(args));
+    if (!entry || new Date(entry.expiresAt) <= new Date()) {
+      this.misses += 1;
+      return null;
+    }
+
+    this.hits += 1;
+    return 'data' in entry ? JSON.stringify(entry.data) : entry.stdout;
+  }
+
+  /**
+   * Store a response
+   * @param {Array} args - Full bird arguments, command first
+   * @param {string} stdout - Response
+   */
+  set(args, stdout) {
+    if (this.mode === 'off') return;
+
+    const ttl = this.ttlFor(args, stdout);
+    if (ttl <= 0) return;
+
+    const now = new Date();
+    const entry = {
+      command: args[0],
+      args: args.slice(1),
+      cachedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttl).toISOString()
+    };
+
+    // Parsed JSON keeps entries readable, same as recorded fixtures
+    try {
+      entry.data = JSON.parse(stdout);
+    } catch (error) {
+      entry.stdout = stdout;
+    }
+
+    const filepath = this.entryPath(args);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(entry, null, 2));
+  }
+
+  readEntry(filepath) {
+    if (!fs.existsSync(filepath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Every entry file with its parsed contents
+   * @returns {Array} [{ filepath, entry, bytes }]
+   */
+  entries() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .flatMap(d => fs.readdirSync(path.join(this.dir, d.name))
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.join(this.dir, d.name, f)))
+      .map(filepath => ({
+        filepath,
+        entry: this.readEntry(filepath),
+        bytes: fs.statSync(filepath).size
+      }));
+  }
+
+  /**
+   * Entry counts and sizes per command
+   * @returns {Object} { dir, total, fresh, expired, bytes, commands: { [command]: { entries, fresh, bytes } } }
+   */
+  stats() {
+    const now = new Date();
+    const stats = { dir: this.dir, total: 0, fresh: 0, expired: 0, bytes: 0, commands: {} };
+
+    this.entries().forEach(({ filepath, entry, bytes }) => {
+      const command = entry?.command || path.basename(path.dirname(filepath));
+      const fresh = Boolean(entry) && new Date(entry.expiresAt) > now;
+
+      if (!stats.commands[command]) stats.commands[command] = { entries: 0, fresh: 0, bytes: 0 };
+      stats.commands[command].entries += 1;
+      stats.commands[command].fresh += fresh ? 1 : 0;
+      stats.commands[command].bytes += bytes;
+
+      stats.total += 1;
+      stats.fresh += fresh ? 1 : 0;
+      stats.expired += fresh ? 0 : 1;
+      stats.bytes += bytes;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Delete cache entries
+   * @param {Object} options - { expiredOnly }
+   * @returns {number} Entries removed
+   */
+  clear(options = {}) {
+    const now = new Date();
+    let removed = 0;
+
+    this.entries().forEach(({ filepath, entry }) => {
+      if (options.expiredOnly && entry && new Date(entry.expiresAt) > now) return;
+      fs.unlinkSync(filepath);
+      removed += 1;
+    });
+
+    return removed;
+  }
+}
+
+/**
+ * Read cache options from CLI arguments, falling back to environment variables
+ *   --no-cache  (BIRD_CACHE=off)      neither read nor write the cache
+ *   --refresh   (BIRD_CACHE=refresh)  re-fetch everything, then update the cache
+ *   BIRD_CACHE_DIR                    cache directory
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options for ResponseCache
+ */
+function cacheOptionsFromArgs(argv = process.argv) {
+  let mode = ['off', 'refresh'].includes(process.env.BIRD_CACHE) ? process.env.BIRD_CACHE : 'use';
+  if (argv.includes('--refresh')) mode = 'refresh';
+  if (argv.includes('--no-cache')) mode = 'off';
+
+  return { mode, dir: process.env.BIRD_CACHE_DIR || undefined };
+}
+
+module.exports = { ResponseCache, cacheOptionsFromArgs, DEFAULT_TTLS };
+
+// CLI Interface
+if (require.main === module) {
+  const cache = new ResponseCache(cacheOptionsFromArgs(process.argv));
+  const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+  switch (process.argv[2]) {
+    case 'stats': {
+      const stats = cache.stats();
+      console.log(`\n🗄️  Bird response cache (${stats.dir}):\n`);
+      console.log(`   ${stats.total} entries, ${stats.fresh} fresh, ${stats.expired} expired, ${kb(stats.bytes)}`);
+      Object.entries(stats.commands)
+        .sort((a, b) => b[1].entries - a[1].entries)
+        .forEach(([command, c]) => {
+          console.log(`   ${command.padEnd(10)} ${String(c.entries).padStart(5)} entries  ${String(c.fresh).padStart(5)} fresh  ${kb(c.bytes)}`);
+        });
+      console.log('');
+      break;
+    }
+
+    case 'clear': {
+      const expiredOnly = process.argv.includes('--expired');
+      const removed = cache.clear({ expiredOnly });
+      console.log(`✅ Removed ${removed} ${expiredOnly ? 'expired ' : ''}cache entr${removed === 1 ? 'y' : 'ies'}`);
+      break;
+    }
+
+    default:
+      console.log(`
+Bird Response Cache
+
+Commands:
+  stats               Entries, freshness and size per command
+  clear [--expired]   Delete all entries (or only expired ones)
+
+Options (any bird script):
+  --no-cache          Don't read or write the cache
+  --refresh           Re-fetch and overwrite cached entries
+
+TTLs: search 15 min, mentions 5 min, bookmarks 30 min, replies 15 min,
+      thread 1 h, read 1 h (7 days for tweets older than a week), whoami never
+      `);
+  }
+}
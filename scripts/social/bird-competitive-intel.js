@@ -9,10 +9,34 @@
  * Usage:
  *   node scripts/social/bird-competitive-intel.js ai.withjai
  *   node scripts/social/bird-competitive-intel.js ai.withjai --output report
- *   node scripts/social/bird-competitive-intel.js ai.withjai --competitors only
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --output=markdown   # also write a .md brief
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --output=html       # also write a static .html page
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --competitors
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --deep        # large per-competitor sample + deep profile
+ *   node scripts/social/bird-competitive-intel.js --all                        # every enabled brand
+ *   node scripts/social/bird-competitive-intel.js --brands ai.withjai,voxcoach.online
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --record      # capture live output as fixtures
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --replay      # run offline from fixtures
+ *   node scripts/social/bird-competitive-intel.js ai.withjai --replay --fixtures=path/to/fixtures
  */
 
 const BirdUtils = require('./bird-utils');
+const BirdConfig = require('./bird-config');
+const TweetModel = require('./bird-tweet');
+const ReportHistory = require('./bird-history');
+const TrendEngine = require('./bird-trends');
+const TopicExtractor = require('./bird-topics');
+const MonitoringAnalyzer = require('./bird-monitoring');
+const CompetitorProfiler = require('./bird-profile');
+const ConversationAnalyzer = require('./bird-conversations');
+const SentimentAnalyzer = require('./bird-sentiment');
+const ScoringModel = require('./bird-scoring');
+const SelfBenchmark = require('./bird-benchmark');
+const AngleClassifier = require('./bird-angles');
+const AlertEngine = require('./bird-alerts');
+const ProfileChangeDetector = require('./bird-profile-changes');
+const PortfolioSummary = require('./bird-portfolio');
+const { saveRendered, RENDERERS } = require('./bird-report-renderers');
 const fs = require('fs');
 const path = require('path');
 
@@ -21,14 +45,31 @@ class CompetitiveIntelligence {
     this.brand = brand;
     this.config = BirdUtils.getBrandConfig(brand);
     this.timestamp = new Date().toISOString();
+    this.scoring = new ScoringModel({ ...this.config.scoring, keywords: this.config.keywords || [] });
+    this.profiler = new CompetitorProfiler({
+      ...this.config.profile,
+      timezone: this.config.monitoring?.timezone || 'UTC'
+    });
+    this.angleClassifier = new AngleClassifier(this.config.angles);
+    // Every tweet fetched this run, for topic discovery across all sections
+    this.collectedTweets = [];
+    // Profile metadata of every configured competitor and influencer, for change detection
+    this.profileSnapshots = [];
     this.report = {
       brand: brand,
       timestamp: this.timestamp,
       competitors: [],
       influencers: [],
       trends: [],
+      emergingTopics: [],
+      self: null,
+      mentions: null,
+      bookmarks: null,
+      conversations: null,
+      profileChanges: null,
       insights: [],
-      recommendations: []
+      recommendations: [],
+      alerts: []
     };
   }
 
@@ -37,6 +78,7 @@ class CompetitiveIntelligence {
    */
   async run(options = {}) {
     const { competitorsOnly = false, influencersOnly = false } = options;
+    this.deep = Boolean(options.deep || this.config.profile?.deep);
 
     console.log(`\n🔍 Gathering competitive intelligence for ${this.brand}...`);
     console.log(`   Timestamp: ${this.timestamp}\n`);
@@ -48,6 +90,19 @@ class CompetitiveIntelligence {
         await this.analyzeCompetitors();
       }
 
+      // Run the same profile on our own account and rank it against competitors
+      const monitoring = this.config.monitoring || {};
+      if (!influencersOnly && monitoring.self !== false && this.report.competitors.length > 0) {
+        console.log('🪞 Benchmarking our account...');
+        await this.analyzeSelf();
+      }
+
+      // Expand competitors' best tweets into threads and replies
+      if (!influencersOnly && monitoring.conversations !== false) {
+        console.log('🗣️  Analyzing conversations...');
+        await this.analyzeConversations();
+      }
+
       // Gather influencer data
       if (!competitorsOnly) {
         console.log('⭐ Analyzing influencers...');
@@ -58,6 +113,27 @@ class CompetitiveIntelligence {
       console.log('📈 Identifying trends...');
       await this.identifyTrends();
 
+      // Monitor our own account when enabled in config
+      if (monitoring.mentions && !competitorsOnly && !influencersOnly) {
+        console.log('💬 Analyzing mentions...');
+        await this.analyzeMentions();
+      }
+
+      if (monitoring.bookmarks && !competitorsOnly && !influencersOnly) {
+        console.log('🔖 Building swipe file from bookmarks...');
+        await this.analyzeBookmarks();
+      }
+
+      // Discover topics beyond the configured keywords
+      console.log('🧭 Discovering emerging topics...');
+      this.discoverTopics();
+
+      // Diff tracked accounts' profiles against the previous run
+      if (monitoring.profiles !== false && this.profileSnapshots.length > 0) {
+        console.log('🪪 Detecting profile changes...');
+        this.detectProfileChanges();
+      }
+
       // Generate insights
       console.log('💡 Generating insights...');
       this.generateInsights();
@@ -66,6 +142,12 @@ class CompetitiveIntelligence {
       console.log('🎯 Creating recommendations...');
       this.generateRecommendations();
 
+      // Match alert rules against this run and route them to their sinks
+      if (this.config.alerts?.rules?.length > 0) {
+        console.log('🚨 Evaluating alerts...');
+        await this.evaluateAlerts();
+      }
+
       // Save report
       await this.saveReport();
 
@@ -76,33 +158,54 @@ class CompetitiveIntelligence {
     }
   }
 
+  /**
+   * Fetch recent tweets for several handles at once
+   * Fetches run in parallel; the request scheduler bounds concurrency and budget.
+   * Unlike BirdUtils.search, a failed fetch is reported rather than returned as
+   * no tweets, so a rate limit isn't mistaken for an account that went quiet.
+   * @param {Array} handles - Handles
+   * @param {number} limit - Tweets per handle
+   * @returns {Promise<Array>} [{ handle, tweets, error }] in the same order as handles
+   */
+  async fetchHandles(handles, limit = 5) {
+    const results = await Promise.all(handles.map(async handle => {
+      try {
+        const parsed = BirdUtils.parseJSON(await BirdUtils.executeCommand('search', ['-n', String(limit), `from:${handle}`], { format: 'json' }));
+        const raw = (Array.isArray(parsed) ? parsed : [parsed]).filter(Boolean);
+        return { handle, tweets: SentimentAnalyzer.annotate(TweetModel.normalizeAll(raw)), error: null };
+      } catch (error) {
+        console.warn(`   ⚠️  Failed to fetch @${handle}: ${error.message}`);
+        return { handle, tweets: [], error };
+      }
+    }));
+
+    results.forEach(({ tweets }) => this.collectedTweets.push(...tweets));
+    return results;
+  }
+
   /**
    * Analyze competitor activity
+   * Deep mode (--deep or profile.deep) pulls profile.sampleSize tweets per handle
+   * instead of 5, so cadence, format mix and percentiles are meaningful
    */
   async analyzeCompetitors() {
     const competitors = this.config.competitors || [];
+    const limit = this.deep ? this.profiler.options.sampleSize : 5;
 
-    for (const competitor of competitors) {
-      try {
-        // Search for competitor's recent tweets
-        const query = `from:${competitor}`;
-        const tweets = await BirdUtils.search(query, { limit: 5 });
+    for (const { handle: competitor, tweets, error } of await this.fetchHandles(competitors, limit)) {
+      // Snapshot every handle bird answered for, so one that stops returning tweets is noticed
+      if (!error) this.profileSnapshots.push(ProfileChangeDetector.snapshot(competitor, 'competitor', tweets, this.timestamp));
 
+      try {
         if (tweets.length > 0) {
           const analysis = {
             handle: competitor,
             tweetsAnalyzed: tweets.length,
-            topTweets: tweets.map(t => ({
-              text: t.text || t.full_text,
-              engagement: {
-                likes: t.public_metrics?.like_count || 0,
-                retweets: t.public_metrics?.retweet_count || 0,
-                replies: t.public_metrics?.reply_count || 0
-              },
-              createdAt: t.created_at
-            })),
+            topTweets: this.topByEngagement(tweets, 5),
             averageEngagement: this.calculateAverageEngagement(tweets),
-            contentThemes: this.extractThemes(tweets)
+            contentThemes: this.extractThemes(tweets),
+            sentiment: SentimentAnalyzer.rollup(tweets),
+            profile: this.profiler.profile(competitor, tweets)
           };
 
           this.report.competitors.push(analysis);
@@ -114,33 +217,107 @@ class CompetitiveIntelligence {
     }
   }
 
+  /**
+   * Profile our own account with the same sample size as competitors and
+   * rank it against each of them (see bird-benchmark.js)
+   */
+  async analyzeSelf() {
+    try {
+      const auth = await this.whoami();
+      if (!auth.authenticated) {
+        console.warn(`   ⚠️  Skipping self benchmark: ${auth.error}`);
+        return;
+      }
+
+      const handle = auth.username.replace(/^@/, '');
+      const limit = this.deep ? this.profiler.options.sampleSize : 5;
+      const [{ tweets }] = await this.fetchHandles([handle], limit);
+      if (tweets.length === 0) {
+        console.warn(`   ⚠️  No recent tweets from @${handle}`);
+        return;
+      }
+
+      const self = {
+        handle,
+        tweetsAnalyzed: tweets.length,
+        topTweets: this.topByEngagement(tweets, 5),
+        averageEngagement: this.calculateAverageEngagement(tweets),
+        contentThemes: this.extractThemes(tweets),
+        sentiment: SentimentAnalyzer.rollup(tweets),
+        profile: this.profiler.profile(handle, tweets)
+      };
+      self.benchmark = SelfBenchmark.build(self, this.report.competitors, this.config.keywords || []);
+
+      this.report.self = self;
+      console.log(`   ✅ @${handle}: ${tweets.length} tweets benchmarked against ${self.benchmark.competitors} competitor(s)`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to benchmark our account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Authenticated account, checked once per run
+   * @returns {Promise<Object>} { authenticated, username, error }
+   */
+  whoami() {
+    if (!this.auth) this.auth = BirdUtils.verifyAuth();
+    return this.auth;
+  }
+
+  /**
+   * Expand each competitor's top tweets into thread and replies
+   * Questions the author never answered become content ideas
+   */
+  async analyzeConversations() {
+    const analyzer = new ConversationAnalyzer(this.config.conversations);
+    const { tweetsPerCompetitor, repliesPerTweet } = analyzer.options;
+
+    const targets = this.report.competitors.flatMap(c =>
+      c.topTweets.slice(0, tweetsPerCompetitor).map(tweet => ({ handle: c.handle, tweet }))
+    );
+
+    try {
+      const conversations = await Promise.all(targets.map(async ({ handle, tweet }) => {
+        const [thread, replies] = await Promise.all([
+          BirdUtils.getThread(tweet.id),
+          BirdUtils.getReplies(tweet.id, { limit: repliesPerTweet })
+        ]);
+        return {
+          handle,
+          tweet,
+          thread: TweetModel.normalizeAll(thread),
+          replies: SentimentAnalyzer.annotate(TweetModel.normalizeAll(replies))
+        };
+      }));
+
+      conversations.forEach(c => this.collectedTweets.push(...c.replies));
+      this.report.conversations = analyzer.analyze(conversations);
+
+      const { repliesAnalyzed, unansweredQuestions } = this.report.conversations;
+      console.log(`   ✅ ${conversations.length} conversations, ${repliesAnalyzed} replies (${unansweredQuestions.length} unanswered questions)`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to analyze conversations: ${error.message}`);
+    }
+  }
+
   /**
    * Analyze influencer activity
    */
   async analyzeInfluencers() {
     const influencers = this.config.influencers || [];
 
-    for (const influencer of influencers) {
-      try {
-        // Search for influencer's recent tweets
-        const query = `from:${influencer}`;
-        const tweets = await BirdUtils.search(query, { limit: 5 });
+    for (const { handle: influencer, tweets, error } of await this.fetchHandles(influencers)) {
+      if (!error) this.profileSnapshots.push(ProfileChangeDetector.snapshot(influencer, 'influencer', tweets, this.timestamp));
 
+      try {
         if (tweets.length > 0) {
           const analysis = {
             handle: influencer,
             tweetsAnalyzed: tweets.length,
-            topTweets: tweets.map(t => ({
-              text: t.text || t.full_text,
-              engagement: {
-                likes: t.public_metrics?.like_count || 0,
-                retweets: t.public_metrics?.retweet_count || 0,
-                replies: t.public_metrics?.reply_count || 0
-              },
-              createdAt: t.created_at
-            })),
+            topTweets: tweets,
             averageEngagement: this.calculateAverageEngagement(tweets),
             contentThemes: this.extractThemes(tweets),
+            sentiment: SentimentAnalyzer.rollup(tweets),
             collaborationPotential: this.assessCollaborationPotential(tweets)
           };
 
@@ -153,37 +330,60 @@ class CompetitiveIntelligence {
     }
   }
 
+  /**
+   * Diff this run's competitor and influencer profiles against the stored
+   * snapshots (see bird-profile-changes.js)
+   */
+  detectProfileChanges() {
+    try {
+      const detector = new ProfileChangeDetector(this.brand, this.config.profileChanges);
+      this.report.profileChanges = detector.detect(this.profileSnapshots, this.collectedTweets, this.timestamp);
+
+      const { tracked, changes } = this.report.profileChanges;
+      console.log(`   ✅ ${tracked} profile(s) snapshotted, ${changes.length} change(s)`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to detect profile changes: ${error.message}`);
+    }
+  }
+
   /**
    * Identify trending topics in niche
+   * Momentum compares each keyword's time-windowed volume and velocity
+   * with its own baseline from previous runs (see bird-trends.js)
    */
   async identifyTrends() {
     const keywords = this.config.keywords || [];
+    const engine = new TrendEngine({
+      ...this.config.trends,
+      history: new ReportHistory(this.brand).load(),
+      now: this.timestamp
+    });
+
+    // Every keyword is searched; the request scheduler keeps us within rate limits
+    const samples = await Promise.all(keywords.map(async keyword => ({
+      keyword,
+      tweets: SentimentAnalyzer.annotate(TweetModel.normalizeAll(await BirdUtils.search(keyword, { limit: engine.options.sampleSize })))
+    })));
 
-    for (const keyword of keywords.slice(0, 3)) {
-      // Limit to 3 searches to avoid rate limiting
+    for (const { keyword, tweets } of samples) {
       try {
-        const tweets = await BirdUtils.search(keyword, { limit: 5 });
+        this.collectedTweets.push(...tweets);
 
         if (tweets.length > 0) {
+          const angles = this.angleClassifier.coverage(this.angleClassifier.annotate(tweets));
           const trend = {
             keyword: keyword,
             tweetsFound: tweets.length,
-            topTweets: tweets.map(t => ({
-              text: t.text || t.full_text,
-              author: t.author_handle || t.user?.screen_name,
-              engagement: {
-                likes: t.public_metrics?.like_count || 0,
-                retweets: t.public_metrics?.retweet_count || 0,
-                replies: t.public_metrics?.reply_count || 0
-              },
-              createdAt: t.created_at
-            })),
+            topTweets: this.topByEngagement(tweets, 5),
             trendStrength: this.calculateTrendStrength(tweets),
-            contentGaps: this.identifyContentGaps(tweets)
+            momentum: engine.analyze(keyword, tweets),
+            sentiment: SentimentAnalyzer.rollup(tweets),
+            angles,
+            contentGaps: this.identifyContentGaps(angles)
           };
 
           this.report.trends.push(trend);
-          console.log(`   ✅ Trend "${keyword}": ${tweets.length} tweets found`);
+          console.log(`   ✅ Trend "${keyword}": ${tweets.length} tweets found (${trend.momentum.state})`);
         }
       } catch (error) {
         console.warn(`   ⚠️  Failed to analyze trend "${keyword}": ${error.message}`);
@@ -191,16 +391,84 @@ class CompetitiveIntelligence {
     }
   }
 
+  /**
+   * Analyze who is mentioning us and which mentions still need a reply
+   */
+  async analyzeMentions() {
+    try {
+      const mentions = TweetModel.normalizeAll(await BirdUtils.getMentions({ limit: 50 }));
+      const auth = await this.whoami();
+
+      // Our recent replies tell us which mentions were answered
+      const ourReplies = auth.authenticated
+        ? TweetModel.normalizeAll(await BirdUtils.search(`from:${auth.username} filter:replies`, { limit: 100 }))
+        : null;
+
+      this.report.mentions = this.monitoringAnalyzer(auth.username).analyzeMentions(mentions, ourReplies);
+
+      const unanswered = this.report.mentions.unanswered;
+      console.log(`   ✅ ${this.report.mentions.total} mentions analyzed${unanswered ? ` (${unanswered.length} unanswered)` : ''}`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to analyze mentions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cluster bookmarks into a themed swipe file
+   */
+  async analyzeBookmarks() {
+    try {
+      const bookmarks = TweetModel.normalizeAll(await BirdUtils.getBookmarks({ limit: 50 }));
+      this.report.bookmarks = this.monitoringAnalyzer().analyzeBookmarks(bookmarks);
+      console.log(`   ✅ ${this.report.bookmarks.total} bookmarks in ${this.report.bookmarks.themes} theme(s)`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to analyze bookmarks: ${error.message}`);
+    }
+  }
+
+  monitoringAnalyzer(username) {
+    return new MonitoringAnalyzer({
+      username,
+      keywords: this.config.keywords || [],
+      competitors: this.config.competitors || [],
+      influencers: this.config.influencers || []
+    });
+  }
+
+  /**
+   * Rank terms, phrases, hashtags and mentions that stand out from past runs
+   * (see bird-topics.js)
+   */
+  discoverTopics() {
+    const extractor = new TopicExtractor(this.brand, {
+      ...this.config.topics,
+      keywords: this.config.keywords || [],
+      handles: [...(this.config.competitors || []), ...(this.config.influencers || [])]
+    });
+
+    this.report.emergingTopics = extractor.discover(this.collectedTweets);
+    console.log(`   ✅ ${this.report.emergingTopics.length} emerging topic(s) found`);
+  }
+
+  /**
+   * Highest-engagement tweets first
+   */
+  topByEngagement(tweets, limit) {
+    const total = t => t.engagement.likes + t.engagement.retweets + t.engagement.replies;
+    return [...tweets].sort((a, b) => total(b) - total(a)).slice(0, limit);
+  }
+
   /**
    * Calculate average engagement for tweets
+   * @param {Array} tweets - Canonical tweets (see bird-tweet.js)
    */
   calculateAverageEngagement(tweets) {
     if (tweets.length === 0) return { likes: 0, retweets: 0, replies: 0 };
 
     const totals = tweets.reduce((acc, t) => ({
-      likes: acc.likes + (t.public_metrics?.like_count || 0),
-      retweets: acc.retweets + (t.public_metrics?.retweet_count || 0),
-      replies: acc.replies + (t.public_metrics?.reply_count || 0)
+      likes: acc.likes + t.engagement.likes,
+      retweets: acc.retweets + t.engagement.retweets,
+      replies: acc.replies + t.engagement.replies
     }), { likes: 0, retweets: 0, replies: 0 });
 
     return {
@@ -218,7 +486,7 @@ class CompetitiveIntelligence {
     const keywords = this.config.keywords || [];
 
     tweets.forEach(tweet => {
-      const text = (tweet.text || tweet.full_text).toLowerCase();
+      const text = tweet.text.toLowerCase();
       keywords.forEach(keyword => {
         if (text.includes(keyword.toLowerCase())) {
           themes[keyword] = (themes[keyword] || 0) + 1;
@@ -233,62 +501,28 @@ class CompetitiveIntelligence {
 
   /**
    * Assess collaboration potential for influencer
+   * Explainable score from the brand's scoring model (see bird-scoring.js)
    */
   assessCollaborationPotential(tweets) {
-    const avgEngagement = this.calculateAverageEngagement(tweets);
-    const score = Math.min(100, Math.round(
-      (avgEngagement.likes * 0.3 +
-       avgEngagement.retweets * 0.4 +
-       avgEngagement.replies * 0.3) / 10
-    ));
-
-    return {
-      score: score,
-      level: score > 70 ? 'high' : score > 40 ? 'medium' : 'low',
-      reasoning: score > 70
-        ? 'Strong engagement - excellent collaboration target'
-        : score > 40
-          ? 'Moderate engagement - consider for partnerships'
-          : 'Lower engagement - monitor before outreach'
-    };
+    return this.scoring.collaboration(tweets);
   }
 
   /**
    * Calculate trend strength
+   * Explainable score from the brand's scoring model (see bird-scoring.js)
    */
   calculateTrendStrength(tweets) {
-    const avgEngagement = this.calculateAverageEngagement(tweets);
-    const strength = (avgEngagement.likes + avgEngagement.retweets) / 2;
-
-    return {
-      score: Math.round(strength),
-      level: strength > 100 ? 'strong' : strength > 50 ? 'moderate' : 'weak'
-    };
+    return this.scoring.trendStrength(tweets, { now: this.timestamp });
   }
 
   /**
    * Identify content gaps
+   * Angles few tweets use but that earn above-median engagement when they appear
+   * (taxonomy and thresholds from the brand's "angles" config, see bird-angles.js)
+   * @param {Array} angles - Per-angle coverage of a sample
    */
-  identifyContentGaps(tweets) {
-    // Look for angles that aren't covered
-    const angles = [
-      { keyword: 'how to', weight: 'tactical' },
-      { keyword: 'why', weight: 'educational' },
-      { keyword: 'case study', weight: 'proof' },
-      { keyword: 'mistake', weight: 'contrarian' },
-      { keyword: 'framework', weight: 'systematic' }
-    ];
-
-    const found = {};
-    const text = tweets.map(t => (t.text || t.full_text).toLowerCase()).join(' ');
-
-    angles.forEach(angle => {
-      if (!text.includes(angle.keyword)) {
-        found[angle.weight] = true;
-      }
-    });
-
-    return Object.keys(found);
+  identifyContentGaps(angles) {
+    return this.angleClassifier.gaps(angles);
   }
 
   /**
@@ -317,14 +551,14 @@ class CompetitiveIntelligence {
     // Insight 2: Influencer collaboration potential
     if (this.report.influencers.length > 0) {
       const highPotential = this.report.influencers.filter(i =>
-        i.collaborationPotential.score > 70
+        i.collaborationPotential.level === 'high'
       );
 
       if (highPotential.length > 0) {
         this.report.insights.push({
           type: 'collaboration-opportunity',
           description: `${highPotential.length} influencer(s) with high collaboration potential`,
-          targets: highPotential.map(i => `@${i.handle}`),
+          targets: highPotential.map(i => `@${i.handle} (${i.collaborationPotential.score}): ${i.collaborationPotential.reasoning}`),
           actionable: 'Prioritize outreach to high-potential influencers'
         });
       }
@@ -345,6 +579,157 @@ class CompetitiveIntelligence {
         });
       }
     }
+
+    // Insight 4: Emerging topics
+    const suggested = this.report.emergingTopics.filter(t => t.suggested);
+    if (suggested.length > 0) {
+      this.report.insights.push({
+        type: 'emerging-topic',
+        description: `${suggested.length} emerging topic(s) outside your tracked keywords`,
+        trends: suggested.slice(0, 3).map(t => `"${t.term}" (${t.documents} tweets, ${t.authors} authors)`),
+        actionable: 'Review and promote relevant topics into your keywords with bird-topics.js promote'
+      });
+    }
+
+    // Insight 5: Mentions needing attention
+    if (this.report.mentions) {
+      const { unanswered, relationshipSignals, sentiment } = this.report.mentions;
+
+      if (unanswered && unanswered.length > 0) {
+        this.report.insights.push({
+          type: 'unanswered-mentions',
+          description: `${unanswered.length} mention(s) without a reply (${unanswered.filter(m => m.isQuestion).length} questions)`,
+          targets: unanswered.slice(0, 5).map(m => `@${m.author}: ${m.url}`),
+          actionable: 'Reply to unanswered mentions, starting with questions and larger accounts'
+        });
+      }
+
+      if (relationshipSignals.length > 0) {
+        this.report.insights.push({
+          type: 'relationship-signal',
+          description: `${relationshipSignals.length} tracked account(s) mentioned you`,
+          targets: relationshipSignals.map(r => `@${r.handle} (${r.relationship}, ${r.sentiment})`),
+          actionable: 'Engage with tracked accounts that are already talking to you'
+        });
+      }
+
+      if (sentiment.negative > sentiment.positive && sentiment.negative > 0) {
+        this.report.insights.push({
+          type: 'mention-sentiment',
+          description: `Negative mentions outnumber positive ones (${sentiment.negative} vs ${sentiment.positive})`,
+          actionable: 'Review negative mentions and address recurring complaints publicly'
+        });
+      }
+    }
+
+    // Insight 6: Trend momentum
+    const rising = this.report.trends.filter(t => t.momentum?.state === 'rising');
+    const peaking = this.report.trends.filter(t => t.momentum?.state === 'peaking');
+
+    if (rising.length > 0) {
+      this.report.insights.push({
+        type: 'trend-momentum',
+        description: `${rising.length} keyword(s) rising above their baseline`,
+        trends: rising.map(t => `"${t.keyword}" (volume z=${t.momentum.zScore.volume}, velocity z=${t.momentum.zScore.velocity})`),
+        actionable: 'Publish on rising keywords now, before they peak'
+      });
+    }
+
+    if (peaking.length > 0) {
+      this.report.insights.push({
+        type: 'trend-peaking',
+        description: `${peaking.length} keyword(s) peaking`,
+        trends: peaking.map(t => `"${t.keyword}" (${t.momentum.volume} tweets/hour)`),
+        actionable: 'Only join peaking conversations with a differentiated angle'
+      });
+    }
+
+    // Insight 7: Audience questions in competitors' replies
+    if (this.report.conversations) {
+      const { unansweredQuestions, topRepliers, recurringThemes } = this.report.conversations;
+
+      if (unansweredQuestions.length > 0) {
+        this.report.insights.push({
+          type: 'audience-questions',
+          description: `${unansweredQuestions.length} audience question(s) competitors left unanswered`,
+          targets: unansweredQuestions.slice(0, 5).map(q => `@${q.author} to @${q.repliedTo}: "${q.text.substring(0, 100)}"`),
+          actionable: 'Answer these questions with your own content'
+        });
+      }
+
+      const crossRepliers = topRepliers.filter(r => r.repliedTo.length > 1);
+      if (crossRepliers.length > 0) {
+        this.report.insights.push({
+          type: 'active-repliers',
+          description: `${crossRepliers.length} account(s) reply to several competitors`,
+          targets: crossRepliers.slice(0, 5).map(r => `@${r.handle} (${r.replies} replies to ${r.repliedTo.map(h => `@${h}`).join(', ')})`),
+          actionable: 'Engage these repliers; they are an audience already interested in your niche'
+        });
+      }
+
+      if (recurringThemes.length > 0) {
+        this.report.insights.push({
+          type: 'recurring-questions',
+          description: `Recurring questions and objections: ${recurringThemes.slice(0, 3).map(t => `"${t.term}"`).join(', ')}`,
+          trends: recurringThemes.slice(0, 5).map(t => `"${t.term}" (${t.questions} questions, ${t.objections} objections)`),
+          actionable: 'Address recurring objections head-on in a post or thread'
+        });
+      }
+    }
+
+    // Insight 8: Sentiment shifts around tracked accounts and keywords
+    this.sentimentInsights().forEach(insight => this.report.insights.push(insight));
+
+    // Insight 9: Where our own account stands against competitors
+    if (this.report.self) {
+      SelfBenchmark.insights(this.report.self.benchmark).forEach(insight => this.report.insights.push(insight));
+    }
+
+    // Insight 10: Bio rewrites, follower surges and renamed or vanished handles
+    ProfileChangeDetector.insights(this.report.profileChanges).forEach(insight => this.report.insights.push(insight));
+  }
+
+  /**
+   * Negative-sentiment spikes and complaint-heavy chatter, compared with the previous run
+   * @returns {Array} Insights
+   */
+  sentimentInsights() {
+    const previous = new ReportHistory(this.brand).latest({ before: this.timestamp });
+    const previousShare = (section, key, value) =>
+      previous?.[section]?.find(entry => entry[key] === value)?.sentiment?.negativeShare ?? null;
+
+    const subjects = [
+      ...this.report.competitors.map(c => ({ label: `@${c.handle}`, section: 'competitors', key: 'handle', value: c.handle, sentiment: c.sentiment })),
+      ...this.report.influencers.map(i => ({ label: `@${i.handle}`, section: 'influencers', key: 'handle', value: i.handle, sentiment: i.sentiment })),
+      ...this.report.trends.map(t => ({ label: `"${t.keyword}"`, section: 'trends', key: 'keyword', value: t.keyword, sentiment: t.sentiment }))
+    ].filter(s => s.sentiment && s.sentiment.tweets >= 3);
+
+    const insights = [];
+
+    subjects.forEach(subject => {
+      const { negativeShare, complaints, tweets } = subject.sentiment;
+      const before = previousShare(subject.section, subject.key, subject.value);
+
+      // A spike is a clearly negative share that also jumped since the last run (if there was one)
+      if (negativeShare >= 0.4 && (before === null || negativeShare - before >= 0.2)) {
+        insights.push({
+          type: 'sentiment-spike',
+          description: `Negative sentiment spike around ${subject.label} (${Math.round(negativeShare * 100)}% negative${before !== null ? `, was ${Math.round(before * 100)}%` : ''})`,
+          targets: [`${subject.sentiment.negative} of ${tweets} tweets negative, ${complaints} complaint(s)`],
+          actionable: subject.section === 'trends'
+            ? 'Acknowledge the frustration in your take on this topic, or wait for it to cool down'
+            : `Watch ${subject.label}'s audience; unhappy followers are open to an alternative`
+        });
+      } else if (complaints / tweets >= 0.3) {
+        insights.push({
+          type: 'complaint-heavy',
+          description: `Complaint-heavy chatter around ${subject.label} (${complaints} of ${tweets} tweets)`,
+          actionable: 'Turn the recurring complaints into a how-to or a comparison post'
+        });
+      }
+    });
+
+    return insights.slice(0, 5);
   }
 
   /**
@@ -352,21 +737,21 @@ class CompetitiveIntelligence {
    */
   generateRecommendations() {
     // Recommendation 1: Content types to create
-    const gaps = this.report.trends.flatMap(t => t.contentGaps);
-    const gapCounts = gaps.reduce((acc, g) => {
-      acc[g] = (acc[g] || 0) + 1;
-      return acc;
-    }, {});
-
-    Object.entries(gapCounts).forEach(([gap, count]) => {
-      if (count > 0) {
-        this.report.recommendations.push({
-          type: 'content-opportunity',
-          content: gap,
-          priority: count > 1 ? 'high' : 'medium',
-          reasoning: `Missing "${gap}" angle across ${count} trends`
-        });
-      }
+    const gapsByAngle = new Map();
+    this.report.trends.forEach(t => t.contentGaps.forEach(gap => {
+      if (!gapsByAngle.has(gap.angle)) gapsByAngle.set(gap.angle, []);
+      gapsByAngle.get(gap.angle).push({ keyword: t.keyword, ...gap });
+    }));
+
+    gapsByAngle.forEach((gaps, angle) => {
+      const best = gaps.reduce((a, b) => (b.lift > a.lift ? b : a));
+      this.report.recommendations.push({
+        type: 'content-opportunity',
+        content: angle,
+        keywords: gaps.map(g => g.keyword),
+        priority: gaps.length > 1 || best.lift >= 2 ? 'high' : 'medium',
+        reasoning: `"${angle}" posts are under-supplied in ${gaps.length} trend(s) but outperform when used: ${Math.round(best.coverage * 100)}% of "${best.keyword}" tweets, ${best.lift}× median engagement`
+      });
     });
 
     // Recommendation 2: Engagement optimization
@@ -383,13 +768,50 @@ class CompetitiveIntelligence {
       });
     }
 
-    // Recommendation 3: Posting cadence
-    this.report.recommendations.push({
-      type: 'posting-strategy',
-      frequency: 'daily',
-      priority: 'high',
-      reasoning: 'Competitors maintain daily posting for niche relevance'
-    });
+    // Recommendation 3: Posting cadence and timing observed across competitors
+    const cadence = CompetitorProfiler.summarizeCadence(this.report.competitors.map(c => c.profile));
+
+    if (cadence) {
+      const timing = [
+        cadence.weekdays.length > 0 ? `mostly on ${cadence.weekdays.join(', ')}` : null,
+        cadence.hours.length > 0 ? `their best-performing hours are ${cadence.hours.map(h => `${h}:00`).join(', ')} ${cadence.timezone}` : null
+      ].filter(Boolean).join('; ');
+
+      this.report.recommendations.push({
+        type: 'posting-strategy',
+        frequency: this.describeFrequency(cadence.postsPerDay),
+        postsPerDay: cadence.postsPerDay,
+        weekdays: cadence.weekdays,
+        hours: cadence.hours,
+        timezone: cadence.timezone,
+        priority: 'high',
+        reasoning: `Competitors post a median ${cadence.postsPerDay} times a day (${cadence.competitors} competitor(s))${timing ? `, ${timing}` : ''}`
+      });
+    }
+  }
+
+  /**
+   * Human label for a posting rate
+   */
+  describeFrequency(postsPerDay) {
+    if (postsPerDay < 0.9) return `${Math.max(1, Math.round(postsPerDay * 7))}x weekly`;
+    if (postsPerDay < 1.5) return 'daily';
+    return `${Math.round(postsPerDay)}x daily`;
+  }
+
+  /**
+   * Evaluate the brand's alert rules against this report (see bird-alerts.js)
+   * Sink failures are logged; they never fail the run
+   */
+  async evaluateAlerts() {
+    try {
+      const engine = new AlertEngine(this.brand, this.config.alerts);
+      const { fired, suppressed } = await engine.run(this.report);
+      this.report.alerts = fired;
+      console.log(`   ✅ ${fired.length} alert(s) fired${suppressed > 0 ? `, ${suppressed} suppressed by cooldown` : ''}`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to evaluate alerts: ${error.message}`);
+    }
   }
 
   /**
@@ -404,50 +826,126 @@ class CompetitiveIntelligence {
       competitorsTracked: this.report.competitors.length,
       influencersTracked: this.report.influencers.length,
       trendsIdentified: this.report.trends.length,
+      emergingTopics: this.report.emergingTopics.length,
+      mentionsAnalyzed: this.report.mentions?.total || 0,
+      bookmarksClustered: this.report.bookmarks?.total || 0,
+      conversationsExpanded: this.report.conversations?.tweetsExpanded || 0,
+      profileChanges: this.report.profileChanges?.changes.length || 0,
+      alertsFired: this.report.alerts.length,
       insightsGenerated: this.report.insights.length,
       recommendationsProvided: this.report.recommendations.length
     };
 
     await BirdUtils.saveResults(filename, this.report, this.brand);
 
+    // Keep every run, even when several happen on the same day
+    const historyPath = new ReportHistory(this.brand).append(this.report);
+    console.log(`✅ Appended to history: ${historyPath}`);
+
     console.log(`\n✅ Intelligence report saved`);
     console.log(`   Summary:`);
     console.log(`   - Competitors tracked: ${this.report.summary.competitorsTracked}`);
     console.log(`   - Influencers tracked: ${this.report.summary.influencersTracked}`);
     console.log(`   - Trends identified: ${this.report.summary.trendsIdentified}`);
+    console.log(`   - Emerging topics: ${this.report.summary.emergingTopics}`);
     console.log(`   - Insights generated: ${this.report.summary.insightsGenerated}`);
     console.log(`   - Recommendations: ${this.report.summary.recommendationsProvided}`);
   }
 }
 
 // CLI Interface
+
+/**
+ * Brands to run: --all (every enabled brand), --brands a,b,c, or a single positional brand
+ */
+function resolveBrands(argv) {
+  const brandsIndex = argv.findIndex(arg => arg === '--brands' || arg.startsWith('--brands='));
+
+  if (argv.includes('--all')) {
+    // Not validated here: a brand with an invalid config fails on its own and the rest still run
+    return Object.entries(BirdConfig.read(BirdUtils.getConfigPath()) || {})
+      .filter(([, config]) => config?.enabled !== false)
+      .map(([brand]) => brand);
+  }
+
+  if (brandsIndex >= 0) {
+    const value = argv[brandsIndex].includes('=') ? argv[brandsIndex].split('=')[1] : argv[brandsIndex + 1];
+    if (!value) throw new Error('--brands needs a comma-separated list of brands');
+    return value.split(',').map(b => b.trim()).filter(Boolean);
+  }
+
+  const positional = argv.find((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--brands');
+  return [positional || 'ai.withjai'];
+}
+
+/**
+ * Print or save a finished report in the requested output mode
+ */
+async function outputReport(report, outputMode) {
+  if (outputMode === 'console') {
+    console.log('\n📊 Full Intelligence Report:\n');
+    console.log(JSON.stringify(report, null, 2));
+  } else if (outputMode === 'summary') {
+    console.log(`\n📊 Intelligence Summary (${report.brand}):\n`);
+    console.log(`Competitors: ${report.summary.competitorsTracked}`);
+    console.log(`Influencers: ${report.summary.influencersTracked}`);
+    console.log(`Trends: ${report.summary.trendsIdentified}`);
+    console.log(`\nTop Insights:`);
+    report.insights.slice(0, 3).forEach((insight, i) => {
+      console.log(`${i + 1}. [${insight.type}] ${insight.description}`);
+    });
+  } else if (RENDERERS[outputMode]) {
+    await saveRendered(report, outputMode);
+  }
+}
+
 async function main() {
-  const brand = process.argv[2] || 'ai.withjai';
-  const outputMode = process.argv.find(arg => arg.startsWith('--output='))?.split('=')[1];
-  const filter = process.argv.find(arg => arg.startsWith('--'))?.split('=')[0]?.substring(2);
+  const argv = process.argv.slice(2);
+  const outputMode = argv.find(arg => arg.startsWith('--output='))?.split('=')[1];
+
+  const options = {
+    competitorsOnly: argv.includes('--competitors'),
+    influencersOnly: argv.includes('--influencers'),
+    deep: argv.includes('--deep')
+  };
 
   try {
-    const intel = new CompetitiveIntelligence(brand);
+    const brands = resolveBrands(argv);
 
-    const options = {
-      competitorsOnly: filter === 'competitors',
-      influencersOnly: filter === 'influencers'
-    };
+    if (brands.length === 0) {
+      throw new Error('No enabled brands in config');
+    }
 
-    const report = await intel.run(options);
-
-    if (outputMode === 'console') {
-      console.log('\n📊 Full Intelligence Report:\n');
-      console.log(JSON.stringify(report, null, 2));
-    } else if (outputMode === 'summary') {
-      console.log('\n📊 Intelligence Summary:\n');
-      console.log(`Competitors: ${report.summary.competitorsTracked}`);
-      console.log(`Influencers: ${report.summary.influencersTracked}`);
-      console.log(`Trends: ${report.summary.trendsIdentified}`);
-      console.log(`\nTop Insights:`);
-      report.insights.slice(0, 3).forEach((insight, i) => {
-        console.log(`${i + 1}. [${insight.type}] ${insight.description}`);
-      });
+    // Single brand: same behaviour as always
+    if (brands.length === 1) {
+      const report = await new CompetitiveIntelligence(brands[0]).run(options);
+      await outputReport(report, outputMode);
+      return;
+    }
+
+    // Batch: handles shared across brands are fetched once
+    BirdUtils.enableFetchCache();
+    const results = [];
+
+    for (const brand of brands) {
+      try {
+        const report = await new CompetitiveIntelligence(brand).run(options);
+        await outputReport(report, outputMode);
+        results.push({ brand, report });
+      } catch (error) {
+        console.error(`❌ ${brand} failed: ${error.message}`);
+        results.push({ brand, error });
+      }
+    }
+
+    const portfolio = PortfolioSummary.build(results, { sharedFetches: BirdUtils.disableFetchCache() });
+    PortfolioSummary.print(portfolio);
+    PortfolioSummary.save(portfolio);
+
+    // 0 = all brands succeeded, 1 = some failed, 2 = all failed
+    if (portfolio.failed.length > 0) {
+      console.error(`\n❌ Failed brands: ${portfolio.failed.join(', ')}\n`);
+      process.exitCode = portfolio.failed.length === brands.length ? 2 : 1;
     }
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}\n`);
@@ -0,0 +1,605 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Config
+ *
+ * Schema validation for bird-config.json and a CLI to manage it without
+ * hand-editing JSON. Every error names the exact path and the reason.
+ *
+ * The config path can be overridden with --config=<path> or BIRD_CONFIG.
+ *
+ * Usage:
+ *   node scripts/social/bird-config.js validate
+ *   node scripts/social/bird-config.js init my-brand
+ *   node scripts/social/bird-config.js add-competitor ai.withjai levelsio
+ *   node scripts/social/bird-config.js remove-influencer ai.withjai naval
+ *   node scripts/social/bird-config.js add-keyword ai.withjai "agent evals"
+ */
+
+const CronExpression = require('./bird-cron');
+const fs = require('fs');
+const path = require('path');
+
+const FREQUENCIES = ['hourly', 'daily', 'weekly'];
+const HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+const HANDLE_LIST = { type: 'array', items: { type: 'handle' }, unique: true };
+const BOOLEAN_MAP = { type: 'object', additionalProperties: { type: 'boolean' } };
+const WEIGHT = { type: 'number', min: 0 };
+const SCORE_THRESHOLD = { type: 'number', min: 0, max: 100 };
+const RATE = { type: 'number', min: 0.0001, max: 1 };
+const NON_EMPTY = { type: 'string', minLength: 1 };
+
+// Metric names understood by bird-alerts.js
+const ALERT_METRICS = [
+  'competitor.viralMultiple', 'competitor.medianEngagement', 'competitor.negativeShare',
+  'influencer.collaborationScore',
+  'trend.strength', 'trend.volume', 'trend.volumeZ', 'trend.negativeShare',
+  'mentions.total', 'mentions.negative', 'mentions.unanswered',
+  'topics.suggested'
+];
+const ALERT_SINKS = ['console', 'file', 'webhook', 'email'];
+
+const BRAND_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean', required: true },
+    description: { type: 'string' },
+    keywords: { type: 'array', items: { type: 'string', minLength: 1 }, unique: true, required: true, minItemsWhenEnabled: 1 },
+    competitors: { ...HANDLE_LIST, required: true, minItemsWhenEnabled: 1 },
+    influencers: { ...HANDLE_LIST, required: true },
+    monitoring: {
+      type: 'object',
+      properties: {
+        mentions: { type: 'boolean' },
+        search: { type: 'boolean' },
+        bookmarks: { type: 'boolean' },
+        conversations: { type: 'boolean' },
+        self: { type: 'boolean' },
+        profiles: { type: 'boolean' },
+        frequency: { type: 'frequency' },
+        timezone: { type: 'timezone' }
+      }
+    },
+    analytics: BOOLEAN_MAP,
+    trends: {
+      type: 'object',
+      properties: {
+        sampleSize: { type: 'number', integer: true, min: 1, max: 500 },
+        windowHours: { type: 'number', min: 0.25 },
+        lookbackWindows: { type: 'number', integer: true, min: 2 },
+        zThreshold: { type: 'number', min: 0 },
+        alpha: { type: 'number', min: 0.01, max: 1 },
+        minBaselineSamples: { type: 'number', integer: true, min: 1 },
+        maxHistoryRuns: { type: 'number', integer: true, min: 1 }
+      }
+    },
+    topics: {
+      type: 'object',
+      properties: {
+        maxNgram: { type: 'number', integer: true, min: 1, max: 5 },
+        minDocuments: { type: 'number', integer: true, min: 1 },
+        minAuthors: { type: 'number', integer: true, min: 1 },
+        limit: { type: 'number', integer: true, min: 1 },
+        suggestions: { type: 'number', integer: true, min: 0 },
+        corpusRuns: { type: 'number', integer: true, min: 1 },
+        maxTermsPerRun: { type: 'number', integer: true, min: 1 }
+      }
+    },
+    profile: {
+      type: 'object',
+      properties: {
+        deep: { type: 'boolean' },
+        sampleSize: { type: 'number', integer: true, min: 5, max: 500 },
+        viralMultiple: { type: 'number', min: 1 }
+      }
+    },
+    scoring: {
+      type: 'object',
+      properties: {
+        collaboration: {
+          type: 'object',
+          properties: {
+            weights: {
+              type: 'object',
+              properties: { engagementRate: WEIGHT, consistency: WEIGHT, relevance: WEIGHT, reach: WEIGHT }
+            },
+            thresholds: { type: 'object', properties: { high: SCORE_THRESHOLD, medium: SCORE_THRESHOLD } },
+            benchmarks: {
+              type: 'object',
+              properties: { engagementRate: RATE, engagement: { type: 'number', min: 1 }, relevance: RATE }
+            }
+          }
+        },
+        trendStrength: {
+          type: 'object',
+          properties: {
+            weights: {
+              type: 'object',
+              properties: { engagement: WEIGHT, engagementRate: WEIGHT, volume: WEIGHT, breadth: WEIGHT }
+            },
+            thresholds: { type: 'object', properties: { strong: SCORE_THRESHOLD, moderate: SCORE_THRESHOLD } },
+            benchmarks: {
+              type: 'object',
+              properties: { engagement: { type: 'number', min: 1 }, engagementRate: RATE, volume: RATE }
+            }
+          }
+        }
+      }
+    },
+    angles: {
+      type: 'object',
+      properties: {
+        taxonomy: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { type: 'string', minLength: 1 }, unique: true }
+        },
+        maxCoverage: RATE,
+        minLift: { type: 'number', min: 0 },
+        minTweets: { type: 'number', integer: true, min: 1 }
+      }
+    },
+    briefs: {
+      type: 'object',
+      properties: {
+        count: { type: 'number', integer: true, min: 1, max: 20 },
+        hooksPerBrief: { type: 'number', integer: true, min: 1, max: 4 },
+        provider: { type: 'string', minLength: 1 }
+      }
+    },
+    alerts: {
+      type: 'object',
+      properties: {
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { ...NON_EMPTY, required: true },
+              metric: { type: 'string', enum: ALERT_METRICS, required: true },
+              compare: { type: 'string', enum: ['value', 'change', 'ratio'] },
+              above: { type: 'number' },
+              below: { type: 'number' },
+              baselineRuns: { type: 'number', integer: true, min: 1 },
+              cooldownHours: { type: 'number', min: 0 },
+              severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+              sinks: { type: 'array', items: { type: 'string', enum: ALERT_SINKS }, unique: true }
+            }
+          }
+        },
+        sinks: {
+          type: 'object',
+          properties: {
+            console: { type: 'boolean' },
+            file: { type: 'object', properties: { path: NON_EMPTY } },
+            webhook: {
+              type: 'object',
+              properties: {
+                url: { ...NON_EMPTY, required: true },
+                headers: { type: 'object', additionalProperties: { type: 'string' } },
+                timeoutMs: { type: 'number', integer: true, min: 100 }
+              }
+            },
+            email: {
+              type: 'object',
+              properties: {
+                host: { ...NON_EMPTY, required: true },
+                port: { type: 'number', integer: true, min: 1, max: 65535 },
+                secure: { type: 'boolean' },
+                requireTLS: { type: 'boolean' },
+                allowInsecureAuth: { type: 'boolean' },
+                username: NON_EMPTY,
+                password: { type: 'string' },
+                passwordEnv: NON_EMPTY,
+                from: { ...NON_EMPTY, required: true },
+                to: { type: 'array', items: NON_EMPTY, unique: true, required: true },
+                timeoutMs: { type: 'number', integer: true, min: 100 }
+              }
+            }
+          }
+        }
+      }
+    },
+    conversations: {
+      type: 'object',
+      properties: {
+        tweetsPerCompetitor: { type: 'number', integer: true, min: 1, max: 5 },
+        repliesPerTweet: { type: 'number', integer: true, min: 1, max: 100 },
+        limit: { type: 'number', integer: true, min: 1 }
+      }
+    },
+    profileChanges: {
+      type: 'object',
+      properties: {
+        fastGrowthRate: RATE
+      }
+    }
+  }
+};
+
+class BirdConfig {
+  /**
+   * Resolve the config path: --config=<path>, then BIRD_CONFIG, then the default
+   * @param {Array} argv - Process arguments
+   * @returns {string} Config path
+   */
+  static resolvePath(argv = process.argv) {
+    const flag = argv.find(arg => arg.startsWith('--config='))?.split('=').slice(1).join('=');
+    return path.resolve(flag || process.env.BIRD_CONFIG || path.join(__dirname, 'bird-config.json'));
+  }
+
+  /**
+   * Read and parse the config file without validating it
+   * @param {string} configPath - Config path
+   * @returns {Object} Configuration
+   */
+  static read(configPath = this.resolvePath()) {
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Config file is not valid JSON (${configPath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a full config (all brands)
+   * @param {Object} config - Configuration
+   * @returns {Object} { errors: [{ path, message }], warnings: [{ path, message }] }
+   */
+  static validate(config) {
+    const result = { errors: [], warnings: [] };
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      result.errors.push({ path: '(root)', message: 'must be an object keyed by brand name' });
+      return result;
+    }
+
+    if (Object.keys(config).length === 0) {
+      result.errors.push({ path: '(root)', message: 'must define at least one brand' });
+    }
+
+    Object.entries(config).forEach(([brand, brandConfig]) => {
+      this.check(brandConfig, BRAND_SCHEMA, brand, result, brandConfig?.enabled === true);
+
+      // Same handle as competitor and influencer is allowed, but usually a mistake
+      const competitors = (brandConfig?.competitors || []).map(h => String(h).toLowerCase());
+      (brandConfig?.influencers || []).forEach((handle, i) => {
+        if (competitors.includes(String(handle).toLowerCase())) {
+          result.warnings.push({ path: `${brand}.influencers[${i}]`, message: `"${handle}" is also listed as a competitor` });
+        }
+      });
+
+      // Level thresholds must be ordered, and a model needs some weight to score anything.
+      // Checked on the values the model will use, so overriding one threshold can't invert the levels
+      // Loaded here: bird-scoring requires bird-utils, which requires this module
+      const { DEFAULT_MODELS } = require('./bird-scoring');
+      [['collaboration', 'high', 'medium'], ['trendStrength', 'strong', 'moderate']].forEach(([model, upper, lower]) => {
+        const scoring = brandConfig?.scoring?.[model];
+        const thresholds = { ...DEFAULT_MODELS[model].thresholds, ...scoring?.thresholds };
+        if (typeof thresholds[upper] === 'number' && typeof thresholds[lower] === 'number' && thresholds[upper] <= thresholds[lower]) {
+          result.errors.push({
+            path: `${brand}.scoring.${model}.thresholds`,
+            message: `"${upper}" (${thresholds[upper]}) must be greater than "${lower}" (${thresholds[lower]})`
+          });
+        }
+        const weights = Object.values({ ...DEFAULT_MODELS[model].weights, ...scoring?.weights });
+        if (weights.every(w => w === 0)) {
+          result.errors.push({ path: `${brand}.scoring.${model}.weights`, message: 'at least one weight must be above 0' });
+        }
+      });
+
+      // Each alert rule needs one direction, a unique name and sinks that are configured
+      const alerts = brandConfig?.alerts || {};
+      const configuredSinks = Object.keys(alerts.sinks || {});
+      const ruleNames = new Set();
+      (Array.isArray(alerts.rules) ? alerts.rules : []).forEach((rule, i) => {
+        const at = `${brand}.alerts.rules[${i}]`;
+        if ((rule?.above === undefined) === (rule?.below === undefined)) {
+          result.errors.push({ path: at, message: 'needs exactly one of "above" or "below"' });
+        }
+        if (ruleNames.has(rule?.name)) {
+          result.errors.push({ path: `${at}.name`, message: `duplicate rule name "${rule.name}"` });
+        }
+        ruleNames.add(rule?.name);
+        (Array.isArray(rule?.sinks) ? rule.sinks : []).forEach((sink, j) => {
+          if (configuredSinks.length > 0 && ALERT_SINKS.includes(sink) && !configuredSinks.includes(sink)) {
+            result.errors.push({ path: `${at}.sinks[${j}]`, message: `sink "${sink}" is not configured in alerts.sinks` });
+          }
+        });
+      });
+
+      // Angle patterns written as /regex/ must compile
+      Object.entries(brandConfig?.angles?.taxonomy || {}).forEach(([angle, patterns]) => {
+        (Array.isArray(patterns) ? patterns : []).forEach((pattern, i) => {
+          const literal = typeof pattern === 'string' && pattern.match(/^\/(.+)\/([a-z]*)$/);
+          if (!literal) return;
+          try {
+            new RegExp(literal[1], literal[2]);
+          } catch (error) {
+            result.errors.push({ path: `${brand}.angles.taxonomy.${angle}[${i}]`, message: error.message });
+          }
+        });
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate one value against a schema node
+   */
+  static check(value, schema, at, result, enabled) {
+    const fail = message => result.errors.push({ path: at, message });
+
+    switch (schema.type) {
+      case 'object': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+          if (value[key] === undefined) {
+            if (child.required) result.errors.push({ path: `${at}.${key}`, message: 'is required' });
+            return;
+          }
+          this.check(value[key], child, `${at}.${key}`, result, enabled);
+        });
+
+        Object.keys(value).forEach(key => {
+          if (schema.properties?.[key]) return;
+          if (schema.additionalProperties) {
+            this.check(value[key], schema.additionalProperties, `${at}.${key}`, result, enabled);
+          } else {
+            const known = Object.keys(schema.properties || {});
+            const suggestion = known.find(k => k.toLowerCase().startsWith(key.toLowerCase().slice(0, 4)));
+            fail(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+          }
+        });
+        return;
+      }
+
+      case 'array': {
+        if (!Array.isArray(value)) return fail('must be an array');
+
+        if (schema.minItemsWhenEnabled && enabled && value.length < schema.minItemsWhenEnabled) {
+          fail('must not be empty for an enabled brand');
+        }
+
+        const seen = new Set();
+        value.forEach((item, i) => {
+          this.check(item, schema.items, `${at}[${i}]`, result, enabled);
+          const key = String(item).toLowerCase().replace(/^@/, '');
+          if (schema.unique && seen.has(key)) {
+            result.errors.push({ path: `${at}[${i}]`, message: `duplicate value "${item}"` });
+          }
+          seen.add(key);
+        });
+        return;
+      }
+
+      case 'string':
+        if (typeof value !== 'string') return fail('must be a string');
+        if (schema.minLength && value.trim().length < schema.minLength) fail('must not be empty');
+        if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')} (got "${value}")`);
+        return;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') fail(`must be true or false (got ${JSON.stringify(value)})`);
+        return;
+
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+        if (schema.integer && !Number.isInteger(value)) fail('must be a whole number');
+        if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+        if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+        return;
+
+      case 'handle': {
+        const problem = this.handleProblem(value);
+        if (problem) fail(problem);
+        return;
+      }
+
+      case 'frequency':
+        if (typeof value !== 'string') return fail('must be a string');
+        if (FREQUENCIES.includes(value)) return;
+        try {
+          new CronExpression(value);
+        } catch (error) {
+          fail(`must be ${FREQUENCIES.join(', ')} or a 5-field cron expression (${error.message})`);
+        }
+        return;
+
+      case 'timezone':
+        if (typeof value !== 'string') return fail('must be a string');
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+          fail(`unknown timezone "${value}" (use an IANA name like "America/Mexico_City")`);
+        }
+        return;
+
+      default:
+        throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+  }
+
+  /**
+   * Describe what is wrong with a Twitter handle, or null if it is valid
+   * @param {*} handle - Handle to check
+   * @returns {string|null} Problem description
+   */
+  static handleProblem(handle) {
+    if (typeof handle !== 'string') return 'must be a string';
+    if (handle.startsWith('@')) return `handle "${handle}" must not start with "@" (use "${handle.slice(1)}")`;
+    if (/twitter\.com|x\.com/.test(handle)) return `handle "${handle}" must be a bare handle, not a URL`;
+    if (!HANDLE_PATTERN.test(handle)) return `handle "${handle}" must be 1-15 letters, digits or underscores`;
+    return null;
+  }
+
+  /**
+   * Throw one error listing every problem if the config is invalid
+   * @param {Object} config - Configuration
+   * @param {string} configPath - Path, for the error message
+   * @returns {Object} The config, when valid
+   */
+  static assertValid(config, configPath = this.resolvePath()) {
+    const { errors } = this.validate(config);
+
+    if (errors.length > 0) {
+      const error = new Error(
+        `Invalid config (${configPath}):\n` + errors.map(e => `   - ${e.path}: ${e.message}`).join('\n') +
+        '\n   Run "node scripts/social/bird-config.js validate" for details'
+      );
+      error.errors = errors;
+      throw error;
+    }
+
+    return config;
+  }
+
+  /**
+   * Write the config after validating it
+   */
+  static write(config, configPath = this.resolvePath()) {
+    this.assertValid(config, configPath);
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+  }
+
+  /**
+   * Add or remove an entry from a brand's list (competitors, influencers, keywords)
+   * @returns {boolean} Whether the config changed
+   */
+  static updateList(config, brand, list, value, action) {
+    if (!config[brand]) {
+      throw new Error(`Brand not found in config: ${brand}`);
+    }
+
+    const isHandle = list !== 'keywords';
+    const entry = isHandle ? value.trim().replace(/^@/, '') : value.trim();
+
+    if (isHandle) {
+      const problem = this.handleProblem(entry);
+      if (problem) throw new Error(problem);
+    } else if (!entry) {
+      throw new Error('Keyword must not be empty');
+    }
+
+    const items = config[brand][list] || [];
+    const index = items.findIndex(item => item.toLowerCase() === entry.toLowerCase());
+
+    if (action === 'add') {
+      if (index >= 0) return false;
+      config[brand][list] = [...items, entry];
+    } else {
+      if (index < 0) return false;
+      config[brand][list] = items.filter((_, i) => i !== index);
+    }
+
+    return true;
+  }
+
+  /**
+   * New brand entry based on the example config
+   */
+  static template() {
+    const example = JSON.parse(fs.readFileSync(path.join(__dirname, 'bird-config.example.json'), 'utf-8'));
+    const brand = Object.values(example)[0];
+
+    return {
+      ...brand,
+      enabled: false,
+      keywords: [],
+      competitors: [],
+      influencers: []
+    };
+  }
+}
+
+BirdConfig.BRAND_SCHEMA = BRAND_SCHEMA;
+
+module.exports = BirdConfig;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--config='));
+  const [command, brand, ...rest] = args;
+  const value = rest.join(' ');
+  const configPath = BirdConfig.resolvePath();
+
+  const LIST_COMMANDS = {
+    'add-competitor': ['competitors', 'add'],
+    'remove-competitor': ['competitors', 'remove'],
+    'add-influencer': ['influencers', 'add'],
+    'remove-influencer': ['influencers', 'remove'],
+    'add-keyword': ['keywords', 'add'],
+    'remove-keyword': ['keywords', 'remove']
+  };
+
+  try {
+    if (command === 'validate') {
+      const { errors, warnings } = BirdConfig.validate(BirdConfig.read(configPath));
+
+      warnings.forEach(w => console.warn(`⚠️  ${w.path}: ${w.message}`));
+      errors.forEach(e => console.error(`❌ ${e.path}: ${e.message}`));
+
+      if (errors.length > 0) {
+        console.error(`\n❌ ${errors.length} error(s) in ${configPath}\n`);
+        process.exit(1);
+      }
+      console.log(`✅ Config is valid: ${configPath}`);
+    } else if (command === 'init') {
+      if (!brand) throw new Error('Usage: node bird-config.js init <brand>');
+
+      const config = fs.existsSync(configPath) ? BirdConfig.read(configPath) : {};
+      if (config[brand]) throw new Error(`Brand already exists in config: ${brand}`);
+
+      config[brand] = BirdConfig.template();
+      // A new brand starts disabled and empty, so only the rest of the config must be valid
+      BirdConfig.write(config, configPath);
+      console.log(`✅ Added ${brand} to ${configPath} (disabled)`);
+      console.log('   Next: add-competitor, add-influencer and add-keyword, then set "enabled": true');
+    } else if (LIST_COMMANDS[command]) {
+      const [list, action] = LIST_COMMANDS[command];
+      if (!brand || !value) throw new Error(`Usage: node bird-config.js ${command} <brand> <value>`);
+
+      const config = BirdConfig.read(configPath);
+      const changed = BirdConfig.updateList(config, brand, list, value, action);
+      const shown = list === 'keywords' ? value : value.replace(/^@/, '');
+
+      if (changed) {
+        BirdConfig.write(config, configPath);
+        console.log(`✅ ${action === 'add' ? 'Added' : 'Removed'} "${shown}" ${action === 'add' ? 'to' : 'from'} ${brand} ${list}`);
+      } else {
+        console.log(`ℹ️  "${shown}" is ${action === 'add' ? 'already' : 'not'} in ${brand} ${list}`);
+      }
+    } else {
+      console.log(`
+Bird Config
+
+Commands:
+  validate                           Check the config and list every problem
+  init <brand>                       Add a new (disabled) brand from the example template
+  add-competitor <brand> <handle>    Track a competitor
+  remove-competitor <brand> <handle>
+  add-influencer <brand> <handle>    Track an influencer
+  remove-influencer <brand> <handle>
+  add-keyword <brand> <keyword>      Track a keyword
+  remove-keyword <brand> <keyword>
+
+Options:
+  --config=<path>                    Config file (default: scripts/social/bird-config.json, or BIRD_CONFIG)
+
+Examples:
+  node bird-config.js validate
+  node bird-config.js add-competitor ai.withjai levelsio
+  node bird-config.js add-keyword ai.withjai "agent evals"
+      `);
+    }
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
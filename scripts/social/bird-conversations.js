@@ -0,0 +1,211 @@
+/**
+ * Bird Conversations
+ * Expands competitors' top-performing tweets into their threads and replies:
+ *   - thread length vs engagement
+ *   - most active repliers (an audience worth reaching)
+ *   - recurring questions and objections in the replies
+ *   - audience questions nobody answered, as content ideas
+ */
+
+const TopicExtractor = require('./bird-topics');
+const SentimentAnalyzer = require('./bird-sentiment');
+
+const DEFAULT_OPTIONS = {
+  // Top tweets per competitor expanded each run
+  tweetsPerCompetitor: 2,
+  repliesPerTweet: 30,
+  limit: 15
+};
+
+const OBJECTION_PATTERNS = [
+  /\bdisagree\b/i, /\bnot (really )?true\b/i, /\bdoesn'?t work\b/i, /\bdon'?t work\b/i, /\bwon'?t work\b/i,
+  /\boverrated\b/i, /\bover-?hyped?\b/i, /\bhype\b/i, /\btoo (expensive|complicated|complex|slow|much)\b/i,
+  /\bscam\b/i, /\bwrong\b/i, /\bskeptical\b/i, /\bdoubt\b/i, /\bwhat about\b/i, /\bbut (what|how|isn'?t|doesn'?t)\b/i,
+  /\bnot convinced\b/i, /\bmisleading\b/i, /\bcounterpoint\b/i, /\bunpopular opinion\b/i
+];
+
+const LENGTH_BUCKETS = [
+  { label: '1', min: 1, max: 1 },
+  { label: '2-3', min: 2, max: 3 },
+  { label: '4-7', min: 4, max: 7 },
+  { label: '8+', min: 8, max: Infinity }
+];
+
+function totalEngagement(tweet) {
+  return tweet.engagement.likes + tweet.engagement.retweets + tweet.engagement.replies;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Pearson correlation, null when either series has no spread
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  const cov = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+  const sx = Math.sqrt(xs.reduce((sum, x) => sum + (x - mx) ** 2, 0));
+  const sy = Math.sqrt(ys.reduce((sum, y) => sum + (y - my) ** 2, 0));
+  return sx === 0 || sy === 0 ? null : Math.round((cov / (sx * sy)) * 100) / 100;
+}
+
+class ConversationAnalyzer {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Reply text without the leading @handles bird keeps on replies
+   */
+  static body(text) {
+    return text.replace(/^(\s*@\w{1,15})+\s*/, '').trim();
+  }
+
+  static isQuestion(text) {
+    return SentimentAnalyzer.isQuestion(ConversationAnalyzer.body(text));
+  }
+
+  static isObjection(text) {
+    const body = ConversationAnalyzer.body(text);
+    return OBJECTION_PATTERNS.some(pattern => pattern.test(body));
+  }
+
+  /**
+   * Analyze expanded conversations
+   * @param {Array} conversations - [{ handle, tweet, thread: [canonical], replies: [canonical] }]
+   * @returns {Object} Conversations section
+   */
+  analyze(conversations) {
+    const audience = conversations.flatMap(c => c.replies
+      .filter(r => r.author.handle && r.author.handle.toLowerCase() !== c.handle.toLowerCase())
+      .map(r => ({ conversation: c, reply: r })));
+
+    const questions = audience.filter(a => ConversationAnalyzer.isQuestion(a.reply.text));
+    const objections = audience.filter(a => ConversationAnalyzer.isObjection(a.reply.text));
+
+    return {
+      tweetsExpanded: conversations.length,
+      repliesAnalyzed: audience.length,
+      threads: this.threadStats(conversations),
+      topRepliers: this.topRepliers(audience),
+      recurringThemes: this.recurringThemes(questions, objections),
+      questionsFound: questions.length,
+      objections: objections.slice(0, this.options.limit).map(a => this.entry(a)),
+      unansweredQuestions: questions
+        .filter(a => !this.isAnswered(a))
+        .sort((a, b) => totalEngagement(b.reply) - totalEngagement(a.reply))
+        .slice(0, this.options.limit)
+        .map(a => this.entry(a))
+    };
+  }
+
+  /**
+   * Thread length (tweets by the author in the thread) against engagement of the opener
+   */
+  threadStats(conversations) {
+    const points = conversations.map(c => {
+      const own = c.thread.filter(t => t.author.handle?.toLowerCase() === c.handle.toLowerCase());
+      return { length: Math.max(own.length, 1), engagement: totalEngagement(c.tweet) };
+    });
+
+    return {
+      analyzed: points.length,
+      byLength: LENGTH_BUCKETS
+        .map(bucket => {
+          const matching = points.filter(p => p.length >= bucket.min && p.length <= bucket.max);
+          return { length: bucket.label, tweets: matching.length, medianEngagement: median(matching.map(p => p.engagement)) };
+        })
+        .filter(bucket => bucket.tweets > 0),
+      correlation: correlation(points.map(p => p.length), points.map(p => p.engagement))
+    };
+  }
+
+  /**
+   * Handles that reply most across competitors' conversations
+   */
+  topRepliers(audience) {
+    const repliers = new Map();
+
+    audience.forEach(({ conversation, reply }) => {
+      const key = reply.author.handle.toLowerCase();
+      if (!repliers.has(key)) {
+        repliers.set(key, { handle: reply.author.handle, replies: 0, engagement: 0, followers: reply.author.followers, repliedTo: new Set() });
+      }
+      const entry = repliers.get(key);
+      entry.replies += 1;
+      entry.engagement += totalEngagement(reply);
+      entry.repliedTo.add(conversation.handle);
+    });
+
+    return [...repliers.values()]
+      .sort((a, b) => b.repliedTo.size - a.repliedTo.size || b.replies - a.replies || b.engagement - a.engagement)
+      .slice(0, 10)
+      .map(r => ({ ...r, repliedTo: [...r.repliedTo] }));
+  }
+
+  /**
+   * Terms shared by two or more questions or objections
+   */
+  recurringThemes(questions, objections) {
+    const themes = new Map();
+    const count = (items, field) => items.forEach(({ reply }) => {
+      TopicExtractor.extractTerms(ConversationAnalyzer.body(reply.text))
+        .filter(t => t.type !== 'mention')
+        .forEach(({ term }) => {
+          if (!themes.has(term)) themes.set(term, { term, questions: 0, objections: 0 });
+          themes.get(term)[field] += 1;
+        });
+    });
+
+    count(questions, 'questions');
+    count(objections, 'objections');
+
+    const ranked = [...themes.values()]
+      .filter(t => t.questions + t.objections >= 2)
+      .sort((a, b) => (b.questions + b.objections) - (a.questions + a.objections) || b.term.split(' ').length - a.term.split(' ').length);
+
+    // Drop single words already covered by a phrase with the same count
+    return ranked
+      .filter((theme, i) => !ranked.slice(0, i).some(other =>
+        other.term.includes(' ') && other.term.split(' ').includes(theme.term) &&
+        other.questions + other.objections >= theme.questions + theme.objections
+      ))
+      .slice(0, 10);
+  }
+
+  /**
+   * Whether the tweet's author replied to an audience reply
+   */
+  isAnswered({ conversation, reply }) {
+    return [...conversation.replies, ...conversation.thread].some(t =>
+      t.inReplyToId === reply.id && t.author.handle?.toLowerCase() === conversation.handle.toLowerCase()
+    );
+  }
+
+  entry({ conversation, reply }) {
+    return {
+      id: reply.id,
+      url: reply.url,
+      author: reply.author.handle,
+      text: ConversationAnalyzer.body(reply.text),
+      repliedTo: conversation.handle,
+      sourceTweet: conversation.tweet.url,
+      likes: reply.engagement.likes,
+      createdAt: reply.createdAt
+    };
+  }
+}
+
+ConversationAnalyzer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ConversationAnalyzer;
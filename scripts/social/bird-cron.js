@@ -0,0 +1,155 @@
+/**
+ * Bird Cron
+ * Minimal 5-field cron expression matcher (minute hour day-of-month month day-of-week)
+ * supporting *, lists, ranges and steps, evaluated in any IANA timezone.
+ */
+
+// Don't scan further back than this for missed cron matches
+const MAX_CRON_CATCH_UP_MS = 8 * 24 * 60 * 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+
+// One formatter per timezone: building one costs far more than formatting with it
+const FORMATTERS = new Map();
+
+/**
+ * Minute, hour, day of month, month and weekday of a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA timezone (default: local)
+ * @returns {Object} { minute, hour, day, month, weekday } as numbers (weekday 0 = Sunday)
+ */
+function partsAt(date, timeZone) {
+  const key = timeZone || '';
+  if (!FORMATTERS.has(key)) {
+    FORMATTERS.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(FORMATTERS.get(key).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+class CronExpression {
+  /**
+   * @param {string} expression - 5-field cron expression
+   */
+  constructor(expression) {
+    const parts = expression.trim().split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    this.expression = expression;
+    this.fields = parts.map((part, i) => this.parseField(part, CRON_FIELDS[i]));
+    this.restricted = {
+      dayOfMonth: parts[2] !== '*',
+      dayOfWeek: parts[4] !== '*'
+    };
+
+    // 7 and 0 are both Sunday
+    if (this.fields[4].has(7)) this.fields[4].add(0);
+  }
+
+  /**
+   * Parse one field into the set of values it allows
+   */
+  parseField(part, field) {
+    const values = new Set();
+
+    part.split(',').forEach(item => {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+
+      let [start, end] = range === '*'
+        ? [field.min, field.max]
+        : range.split('-').map(Number);
+      if (end === undefined) end = stepText === undefined ? start : field.max;
+
+      if (![start, end, step].every(Number.isInteger) || step < 1 || start < field.min || end > field.max || start > end) {
+        throw new Error(`Invalid cron ${field.name} field "${part}"`);
+      }
+
+      for (let v = start; v <= end; v += step) values.add(v);
+    });
+
+    return values;
+  }
+
+  /**
+   * Whether the expression matches a minute, in the given timezone
+   * @param {Date} date - Moment to test
+   * @param {string} timeZone - IANA timezone (default: local)
+   */
+  matches(date, timeZone) {
+    const parts = partsAt(date, timeZone);
+    const [minute, hour] = this.fields;
+
+    return minute.has(parts.minute) && hour.has(parts.hour) && this.dayMatches(parts);
+  }
+
+  /**
+   * Whether the month, day of month and day of week fields allow a day
+   * @param {Object} parts - See partsAt()
+   */
+  dayMatches(parts) {
+    const [, , dayOfMonth, month, dayOfWeek] = this.fields;
+    const day = this.restricted.dayOfMonth && this.restricted.dayOfWeek
+      ? dayOfMonth.has(parts.day) || dayOfWeek.has(parts.weekday)
+      : dayOfMonth.has(parts.day) && dayOfWeek.has(parts.weekday);
+
+    return day && month.has(parts.month);
+  }
+
+  /**
+   * Whether a matching minute falls in (after, until]
+   * Skips to the next local hour when the hour can't match, and to 23:00 when
+   * the day can't (DST days are 23 to 25 hours long, so that never passes midnight)
+   */
+  hasMatchBetween(after, until, timeZone) {
+    const from = Math.max(after.getTime(), until.getTime() - MAX_CRON_CATCH_UP_MS);
+    const [minute, hour] = this.fields;
+    let t = Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+    while (t <= until.getTime()) {
+      const parts = partsAt(new Date(t), timeZone);
+      const toNextHour = 60 - parts.minute;
+
+      if (!this.dayMatches(parts)) {
+        const toLateEvening = (23 - parts.hour) * 60 - parts.minute;
+        t += (toLateEvening > 0 ? toLateEvening : toNextHour) * MINUTE_MS;
+      } else if (!hour.has(parts.hour)) {
+        t += toNextHour * MINUTE_MS;
+      } else if (minute.has(parts.minute)) {
+        return true;
+      } else {
+        t += MINUTE_MS;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = CronExpression;
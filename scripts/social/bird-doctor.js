@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Doctor
+ *
+ * Checks the environment the intelligence scripts need, and says how to fix
+ * what's wrong:
+ *   - which bird binary is resolved (BIRD_BIN, patched build or PATH) and its version
+ *   - whether that version meets MIN_BIRD_VERSION
+ *   - whether ~/.config/bird/config.json5 exists and parses
+ *   - authentication (bird whoami)
+ *   - whether each brand's output directory is writable
+ *   - whether bird-config.json is valid
+ *
+ * Usage:
+ *   node scripts/social/bird-doctor.js              # every enabled brand
+ *   node scripts/social/bird-doctor.js ai.withjai
+ *   node scripts/social/bird-doctor.js --json
+ *
+ * Exits 1 when any check fails.
+ */
+
+const BirdUtils = require('./bird-utils');
+const BirdConfig = require('./bird-config');
+const { resolveBirdBinary, PATCHED_BIRD } = require('./bird-sources');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Oldest bird with the GraphQL fix the scripts rely on
+const MIN_BIRD_VERSION = '0.5.1';
+
+const BIRD_CONFIG_PATH = path.join(os.homedir(), '.config', 'bird', 'config.json5');
+
+const ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+/**
+ * Compare two dotted versions
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Parse the JSON5 subset bird configs use: comments, unquoted keys,
+ * single-quoted strings and trailing commas
+ * @param {string} text - JSON5 source
+ * @returns {*} Parsed value
+ */
+function parseJson5(text) {
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (c === '"' || c === "'") {
+      let value = '';
+      let j = i + 1;
+      for (; j < text.length && text[j] !== c; j++) {
+        if (text[j] === '\\') {
+          j += 1;
+          // \' is valid JSON5 but not JSON
+          value += text[j] === "'" ? "'" : `\\${text[j]}`;
+        } else {
+          value += text[j] === '"' ? '\\"' : text[j];
+        }
+      }
+      if (j >= text.length) throw new Error('unterminated string');
+      out += `"${value}"`;
+      i = j + 1;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end < 0 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end < 0) throw new Error('unterminated comment');
+      i = end + 2;
+    } else if (/[A-Za-z_$]/.test(c)) {
+      const identifier = text.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+      out += ['true', 'false', 'null'].includes(identifier) ? identifier : `"${identifier}"`;
+      i += identifier.length;
+    } else {
+      // A trailing comma is only ever followed by whitespace and the closing bracket
+      if (c === '}' || c === ']') out = out.replace(/,\s*$/, '');
+      out += c;
+      i += 1;
+    }
+  }
+
+  return JSON.parse(out);
+}
+
+class BirdDoctor {
+  /**
+   * @param {Object} options - { brand } (default: every enabled brand)
+   */
+  constructor(options = {}) {
+    this.brand = options.brand || null;
+    this.results = [];
+    this.binary = null;
+  }
+
+  /**
+   * Record a check result
+   * @param {string} check - Check name
+   * @param {string} status - pass | warn | fail
+   * @param {string} detail - What was found
+   * @param {string} hint - How to fix it (warn/fail)
+   */
+  record(check, status, detail, hint = null) {
+    this.results.push({ check, status, detail, hint });
+  }
+
+  checkBinary() {
+    this.binary = resolveBirdBinary();
+    const { path: birdPath, via, requested } = this.binary;
+
+    if (!birdPath) {
+      this.record('bird binary', 'fail', `${requested} not found (${via})`, via === 'BIRD_BIN'
+        ? 'Point BIRD_BIN at an existing bird executable, or unset it to use bird from PATH'
+        : 'Install bird: brew tap steipete/tap && brew install bird (or set BIRD_BIN=/path/to/bird)');
+      return;
+    }
+
+    const hint = via === 'patched build'
+      ? `The patched build at ${PATCHED_BIRD} takes precedence over PATH; set BIRD_BIN to choose explicitly`
+      : null;
+    this.record('bird binary', hint ? 'warn' : 'pass', `${birdPath} (${via})`, hint);
+  }
+
+  checkVersion() {
+    if (!this.binary?.path) {
+      this.record('bird version', 'fail', 'skipped: no bird binary', 'Fix the bird binary check first');
+      return;
+    }
+
+    let version;
+    try {
+      version = BirdUtils.getBirdVersion();
+    } catch (error) {
+      this.record('bird version', 'fail', `"${this.binary.path} --version" failed: ${error.message.split('\n')[0]}`,
+        'Reinstall bird, or set BIRD_BIN to a working binary');
+      return;
+    }
+
+    if (!/^\d+\.\d+\.\d+$/.test(version)) {
+      this.record('bird version', 'warn', `could not read a version from "${version}"`,
+        `Make sure this is bird ${MIN_BIRD_VERSION} or newer`);
+    } else if (compareVersions(version, MIN_BIRD_VERSION) < 0) {
+      this.record('bird version', 'fail', `${version} is older than the minimum ${MIN_BIRD_VERSION}`,
+        'Upgrade: brew upgrade bird');
+    } else {
+      this.record('bird version', 'pass', `${version} (minimum ${MIN_BIRD_VERSION})`);
+    }
+  }
+
+  checkBirdConfig() {
+    if (!fs.existsSync(BIRD_CONFIG_PATH)) {
+      this.record('bird config', 'warn', `${BIRD_CONFIG_PATH} not found; bird uses its defaults`,
+        'Create it with your Chrome profile, e.g. { chromeProfile: "Default", timeoutMs: 30000 } (see README, Manual Setup)');
+      return;
+    }
+
+    try {
+      const config = parseJson5(fs.readFileSync(BIRD_CONFIG_PATH, 'utf-8'));
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('expected an object');
+      }
+      this.record('bird config', 'pass', `${BIRD_CONFIG_PATH}${config.chromeProfile ? ` (Chrome profile "${config.chromeProfile}")` : ''}`);
+    } catch (error) {
+      // Positions refer to the converted JSON, not the file
+      this.record('bird config', 'fail', `${BIRD_CONFIG_PATH} does not parse: ${error.message.replace(/ in JSON at position \d+.*$/, '')}`,
+        'Fix the JSON5 syntax (keys, quotes and commas) in the bird config');
+    }
+  }
+
+  async checkAuth() {
+    if (!this.binary?.path) {
+      this.record('authentication', 'fail', 'skipped: no bird binary', 'Fix the bird binary check first');
+      return;
+    }
+
+    const auth = await BirdUtils.verifyAuth();
+    if (auth.authenticated) {
+      this.record('authentication', 'pass', `authenticated as @${auth.username}`);
+    } else {
+      this.record('authentication', 'fail', auth.error.replace(/\s+/g, ' ').trim(),
+        'Log in to x.com in the Chrome profile named in the bird config, then run "bird whoami"');
+    }
+  }
+
+  /**
+   * Validate bird-config.json
+   * @returns {Object|null} The parsed config, when it could be read
+   */
+  checkBrandConfig() {
+    const configPath = BirdConfig.resolvePath();
+    let config;
+
+    try {
+      config = BirdConfig.read(configPath);
+    } catch (error) {
+      this.record('brand config', 'fail', error.message,
+        'Copy scripts/social/bird-config.example.json to bird-config.json, or pass --config=<path>');
+      return null;
+    }
+
+    const { errors, warnings } = BirdConfig.validate(config);
+    const hint = 'Run "node scripts/social/bird-config.js validate" for the full list';
+
+    if (this.brand && !config[this.brand]) {
+      this.record('brand config', 'fail', `brand "${this.brand}" is not in ${configPath}`,
+        `Add it with "node scripts/social/bird-config.js init ${this.brand}"`);
+    } else if (errors.length > 0) {
+      this.record('brand config', 'fail', `${errors.length} error(s) in ${configPath}, first: ${errors[0].path}: ${errors[0].message}`, hint);
+    } else if (warnings.length > 0) {
+      this.record('brand config', 'warn', `${warnings.length} warning(s) in ${configPath}, first: ${warnings[0].path}: ${warnings[0].message}`, hint);
+    } else {
+      this.record('brand config', 'pass', `${configPath} is valid`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Check that reports can be written for each brand
+   * @param {Object|null} config - Parsed bird-config.json
+   */
+  checkOutputDirs(config) {
+    const brands = this.brand
+      ? [this.brand]
+      : Object.keys(config || {}).filter(brand => config[brand]?.enabled === true);
+
+    if (brands.length === 0) {
+      this.record('output directory', 'warn', 'no enabled brands to check', 'Enable a brand in bird-config.json, or pass a brand name');
+      return;
+    }
+
+    brands.forEach(brand => {
+      const dir = BirdUtils.getOutputDir(brand);
+      let existing = path.resolve(dir);
+      while (!fs.existsSync(existing)) existing = path.dirname(existing);
+
+      try {
+        fs.accessSync(existing, fs.constants.W_OK);
+      } catch (error) {
+        this.record('output directory', 'fail', `${dir} is not writable (${existing})`,
+          `Fix permissions on ${existing}, or run from the directory that holds brands/`);
+        return;
+      }
+
+      if (existing === path.resolve(dir)) {
+        this.record('output directory', 'pass', `${dir} is writable`);
+      } else {
+        this.record('output directory', 'warn', `${dir} does not exist yet; it will be created`,
+          `Run from the repository root, or create it: mkdir -p ${dir}`);
+      }
+    });
+  }
+
+  /**
+   * Run every check
+   * @returns {Promise<Array>} [{ check, status, detail, hint }]
+   */
+  async run() {
+    this.checkBinary();
+    this.checkVersion();
+    this.checkBirdConfig();
+    await this.checkAuth();
+    const config = this.checkBrandConfig();
+    this.checkOutputDirs(config);
+    return this.results;
+  }
+
+  /**
+   * Print results to the console
+   */
+  static print(results) {
+    console.log('\n🩺 Bird doctor\n');
+    results.forEach(r => {
+      console.log(`${ICONS[r.status]} ${r.check.padEnd(17)} ${r.detail}`);
+      if (r.hint) console.log(`   ${''.padEnd(17)} → ${r.hint}`);
+    });
+
+    const count = status => results.filter(r => r.status === status).length;
+    console.log(`\n${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed\n`);
+  }
+}
+
+BirdDoctor.MIN_BIRD_VERSION = MIN_BIRD_VERSION;
+BirdDoctor.compareVersions = compareVersions;
+BirdDoctor.parseJson5 = parseJson5;
+
+module.exports = BirdDoctor;
+
+// CLI Interface
+if (require.main === module) {
+  const brand = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+  new BirdDoctor({ brand }).run()
+    .then(results => {
+      if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        BirdDoctor.print(results);
+      }
+      process.exitCode = results.some(r => r.status === 'fail') ? 1 : 0;
+    })
+    .catch(error => {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Export
+ *
+ * Flattens saved intelligence reports into tidy CSV/TSV tables for spreadsheets:
+ *
+ *   tweets   one row per tweet: date, section, subject (handle or keyword), tweetId,
+ *            author, text, likes, retweets, replies, createdAt, url
+ *   metrics  one row per handle, day and metric: date, section, handle, metric, value
+ *
+ * Usage:
+ *   node scripts/social/bird-export.js ai.withjai                                  # latest saved report
+ *   node scripts/social/bird-export.js ai.withjai 2026-01-12
+ *   node scripts/social/bird-export.js ai.withjai --from=2026-01-05 --to=2026-01-12
+ *   node scripts/social/bird-export.js ai.withjai --format=tsv
+ *   node scripts/social/bird-export.js ai.withjai --stdout=tweets > tweets.csv
+ */
+
+const BirdUtils = require('./bird-utils');
+const fs = require('fs');
+
+const FORMATS = {
+  csv: { delimiter: ',', extension: 'csv' },
+  tsv: { delimiter: '\t', extension: 'tsv' }
+};
+
+const TWEET_COLUMNS = ['date', 'section', 'subject', 'tweetId', 'author', 'text', 'likes', 'retweets', 'replies', 'createdAt', 'url'];
+const METRIC_COLUMNS = ['date', 'section', 'handle', 'metric', 'value'];
+// Leading characters that make a spreadsheet treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Accounts in a report, tagged with the section column value
+ * @returns {Array} [{ section, account }]
+ */
+function accountsOf(report) {
+  return [
+    ...(report.competitors || []).map(account => ({ section: 'competitor', account })),
+    ...(report.influencers || []).map(account => ({ section: 'influencer', account })),
+    ...(report.self ? [{ section: 'self', account: report.self }] : [])
+  ];
+}
+
+/**
+ * Per-account metrics; a null value (metric not in that report) is left out
+ */
+const ACCOUNT_METRICS = {
+  tweetsAnalyzed: a => a.tweetsAnalyzed,
+  averageLikes: a => a.averageEngagement?.likes,
+  averageRetweets: a => a.averageEngagement?.retweets,
+  averageReplies: a => a.averageEngagement?.replies,
+  medianEngagement: a => a.profile?.engagement?.median,
+  medianEngagementRate: a => a.profile?.engagement?.medianRate,
+  postsPerDay: a => a.profile?.cadence?.postsPerDay,
+  negativeShare: a => a.sentiment?.negativeShare,
+  collaborationScore: a => a.collaborationPotential?.score
+};
+
+class ReportExporter {
+  /**
+   * Quote a field when it contains the delimiter, a quote or a line break (RFC 4180).
+   * Text starting with =, +, -, @, tab or CR gets a leading ' so spreadsheets show it
+   * instead of evaluating it as a formula; numbers are left as they are.
+   * @param {*} value - Field value (null/undefined become empty)
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} Escaped field
+   */
+  static escape(value, delimiter = ',') {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Render rows as a delimited table with a header row and CRLF line endings
+   * @param {Array} rows - Row objects
+   * @param {Array} columns - Column names, in order
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} Table
+   */
+  static toDelimited(rows, columns, delimiter = ',') {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(fields => fields.map(field => this.escape(field, delimiter)).join(delimiter))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * One row per top tweet in the competitor, influencer, self and trend sections
+   * @param {Object} report - Intelligence report
+   * @returns {Array} Tweet rows
+   */
+  static tweetRows(report) {
+    const date = report.timestamp.split('T')[0];
+    const row = (section, subject, tweet) => ({
+      date,
+      section,
+      subject,
+      tweetId: tweet.id,
+      author: tweet.author?.handle,
+      text: tweet.text,
+      likes: tweet.engagement?.likes,
+      retweets: tweet.engagement?.retweets,
+      replies: tweet.engagement?.replies,
+      createdAt: tweet.createdAt,
+      url: tweet.url
+    });
+
+    const accounts = accountsOf(report)
+      .flatMap(({ section, account }) => (account.topTweets || []).map(tweet => row(section, account.handle, tweet)));
+    const trends = (report.trends || []).flatMap(trend => (trend.topTweets || []).map(tweet => row('trend', trend.keyword, tweet)));
+
+    return [...accounts, ...trends];
+  }
+
+  /**
+   * One row per account and metric
+   * @param {Object} report - Intelligence report
+   * @returns {Array} Metric rows
+   */
+  static metricRows(report) {
+    const date = report.timestamp.split('T')[0];
+
+    return accountsOf(report).flatMap(({ section, account }) => Object.entries(ACCOUNT_METRICS)
+      .map(([metric, value]) => ({ date, section, handle: account.handle, metric, value: value(account) }))
+      .filter(row => row.value !== null && row.value !== undefined));
+  }
+
+  /**
+   * Saved reports for one date, a date range, or the latest
+   * @param {string} brand - Brand name
+   * @param {Object} range - { date, from, to }
+   * @returns {Array} Reports, oldest first
+   */
+  static loadReports(brand, range = {}) {
+    const saved = BirdUtils.listSavedReports(brand);
+    if (saved.length === 0) throw new Error(`No saved reports for ${brand}`);
+
+    let selected;
+    if (range.date) {
+      selected = saved.filter(r => r.date === range.date);
+      if (selected.length === 0) throw new Error(`No saved report for ${brand} on ${range.date}`);
+    } else if (range.from || range.to) {
+      selected = saved.filter(r => (!range.from || r.date >= range.from) && (!range.to || r.date <= range.to));
+      if (selected.length === 0) throw new Error(`No saved reports for ${brand} between ${range.from || 'the first'} and ${range.to || 'the latest'}`);
+    } else {
+      selected = saved.slice(-1);
+    }
+
+    return selected.map(({ filepath }) => JSON.parse(fs.readFileSync(filepath, 'utf-8')));
+  }
+
+  /**
+   * Flatten reports into the tweets and metrics tables
+   * @param {Array} reports - Intelligence reports
+   * @param {string} format - csv or tsv
+   * @returns {Object} { tweets, metrics, rows: { tweets, metrics } }
+   */
+  static export(reports, format = 'csv') {
+    const { delimiter } = FORMATS[format];
+    const tweets = reports.flatMap(r => this.tweetRows(r));
+    const metrics = reports.flatMap(r => this.metricRows(r));
+
+    return {
+      tweets: this.toDelimited(tweets, TWEET_COLUMNS, delimiter),
+      metrics: this.toDelimited(metrics, METRIC_COLUMNS, delimiter),
+      rows: { tweets: tweets.length, metrics: metrics.length }
+    };
+  }
+}
+
+ReportExporter.FORMATS = FORMATS;
+ReportExporter.TWEET_COLUMNS = TWEET_COLUMNS;
+ReportExporter.METRIC_COLUMNS = METRIC_COLUMNS;
+ReportExporter.ACCOUNT_METRICS = ACCOUNT_METRICS;
+
+module.exports = ReportExporter;
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flag = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const brand = args[0];
+
+  if (!brand || process.argv.includes('--help')) {
+    console.log(`
+Bird Export
+
+Usage:
+  node bird-export.js <brand> [date]                     Export one saved report (default: latest)
+  node bird-export.js <brand> --from=<date> --to=<date>  Export every saved report in a date range
+
+Options:
+  --format=csv|tsv        Table format (default: csv)
+  --stdout=tweets|metrics Print one table instead of saving both
+  --bom                   Start files with a UTF-8 byte order mark (for Excel)
+
+Tables:
+  tweets    ${TWEET_COLUMNS.join(', ')}
+  metrics   ${METRIC_COLUMNS.join(', ')}
+            metrics: ${Object.keys(ACCOUNT_METRICS).join(', ')}
+    `);
+    process.exit(brand ? 0 : 1);
+  }
+
+  try {
+    const format = flag('format') || 'csv';
+    const stdout = flag('stdout');
+    const range = { date: args[1], from: flag('from'), to: flag('to') };
+
+    if (!FORMATS[format]) throw new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(' or ')})`);
+    if (stdout && !['tweets', 'metrics'].includes(stdout)) throw new Error(`Unknown table "${stdout}" (expected tweets or metrics)`);
+    Object.entries(range).forEach(([name, value]) => {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`Invalid ${name} "${value}" (expected YYYY-MM-DD)`);
+    });
+
+    BirdUtils.getBrandConfig(brand);
+    const reports = ReportExporter.loadReports(brand, range);
+    const tables = ReportExporter.export(reports, format);
+    const bom = process.argv.includes('--bom') ? '\uFEFF' : '';
+
+    if (stdout) {
+      process.stdout.write(bom + tables[stdout]);
+      return;
+    }
+
+    const dates = reports.map(r => r.timestamp.split('T')[0]);
+    const span = dates.length === 1 ? dates[0] : `${dates[0]}_${dates[dates.length - 1]}`;
+    const { extension } = FORMATS[format];
+
+    console.log(`\n📤 Exporting ${reports.length} report(s) for ${brand} (${span})\n`);
+    await BirdUtils.saveResults(`export-tweets-${span}.${extension}`, bom + tables.tweets, brand);
+    await BirdUtils.saveResults(`export-metrics-${span}.${extension}`, bom + tables.metrics, brand);
+    console.log(`\n   ${tables.rows.tweets} tweet row(s), ${tables.rows.metrics} metric row(s)\n`);
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
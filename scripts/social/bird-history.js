@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Report History
+ *
+ * Append-only store of every competitive intelligence report for a brand,
+ * plus day-over-day diffing between any two stored reports.
+ *
+ * Usage:
+ *   node scripts/social/bird-history.js ai.withjai list
+ *   node scripts/social/bird-history.js ai.withjai diff
+ *   node scripts/social/bird-history.js ai.withjai diff --against=2026-01-05
+ *   node scripts/social/bird-history.js ai.withjai diff --from=2026-01-05 --to=2026-01-12
+ */
+
+const BirdUtils = require('./bird-utils');
+const fs = require('fs');
+const path = require('path');
+
+class ReportHistory {
+  constructor(brand = 'ai.withjai') {
+    this.brand = brand;
+    this.filepath = path.join(BirdUtils.getOutputDir(brand), 'report-history.jsonl');
+  }
+
+  /**
+   * Append a report to the history file (one JSON document per line)
+   * @param {Object} report - Intelligence report
+   * @returns {string} History file path
+   */
+  append(report) {
+    const dir = path.dirname(this.filepath);
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.appendFileSync(this.filepath, JSON.stringify(report) + '\n');
+    return this.filepath;
+  }
+
+  /**
+   * Load every stored report, oldest first
+   * @returns {Array} Reports
+   */
+  load() {
+    if (!fs.existsSync(this.filepath)) return [];
+
+    return fs.readFileSync(this.filepath, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.warn(`   ⚠️  Skipping corrupt history line ${i + 1}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Find the latest report taken on a given date (or at an exact timestamp)
+   * @param {string} date - YYYY-MM-DD date or ISO timestamp
+   * @returns {Object|null} Report
+   */
+  find(date) {
+    const matches = this.load().filter(r => r.timestamp.startsWith(date));
+    return matches[matches.length - 1] || null;
+  }
+
+  /**
+   * Find the latest report, optionally strictly before a timestamp
+   * @param {Object} options - { before }
+   * @returns {Object|null} Report
+   */
+  latest(options = {}) {
+    const { before } = options;
+    const reports = before
+      ? this.load().filter(r => r.timestamp < before)
+      : this.load();
+
+    return reports[reports.length - 1] || null;
+  }
+
+  /**
+   * Compare two reports
+   * @param {Object} current - Newer report
+   * @param {Object} previous - Older report
+   * @returns {Object} Diff
+   */
+  static diff(current, previous) {
+    return {
+      brand: current.brand,
+      from: previous.timestamp,
+      to: current.timestamp,
+      competitors: this.diffHandles(current.competitors, previous.competitors),
+      influencers: this.diffHandles(current.influencers, previous.influencers),
+      trends: this.diffTrends(current.trends, previous.trends),
+      collaborationTargets: this.diffCollaborationTargets(current.influencers, previous.influencers)
+    };
+  }
+
+  /**
+   * Diff per-handle themes and engagement
+   */
+  static diffHandles(current = [], previous = []) {
+    const before = new Map(previous.map(h => [h.handle, h]));
+    const after = new Map(current.map(h => [h.handle, h]));
+
+    const changes = current
+      .filter(h => before.has(h.handle))
+      .map(h => {
+        const old = before.get(h.handle);
+        const themesNow = h.contentThemes.map(t => t.theme);
+        const themesThen = old.contentThemes.map(t => t.theme);
+
+        return {
+          handle: h.handle,
+          newThemes: themesNow.filter(t => !themesThen.includes(t)),
+          droppedThemes: themesThen.filter(t => !themesNow.includes(t)),
+          engagementDelta: {
+            likes: h.averageEngagement.likes - old.averageEngagement.likes,
+            retweets: h.averageEngagement.retweets - old.averageEngagement.retweets,
+            replies: h.averageEngagement.replies - old.averageEngagement.replies
+          }
+        };
+      });
+
+    return {
+      added: current.filter(h => !before.has(h.handle)).map(h => h.handle),
+      removed: previous.filter(h => !after.has(h.handle)).map(h => h.handle),
+      changes
+    };
+  }
+
+  /**
+   * Diff trend strength per keyword
+   */
+  static diffTrends(current = [], previous = []) {
+    const before = new Map(previous.map(t => [t.keyword, t]));
+
+    const changes = current
+      .filter(t => before.has(t.keyword))
+      .map(t => {
+        const delta = t.trendStrength.score - before.get(t.keyword).trendStrength.score;
+        return {
+          keyword: t.keyword,
+          previousScore: before.get(t.keyword).trendStrength.score,
+          score: t.trendStrength.score,
+          delta,
+          direction: delta > 0 ? 'gaining' : delta < 0 ? 'losing' : 'flat',
+          previousState: before.get(t.keyword).momentum?.state || null,
+          state: t.momentum?.state || null
+        };
+      });
+
+    return {
+      gaining: changes.filter(c => c.direction === 'gaining').sort((a, b) => b.delta - a.delta),
+      losing: changes.filter(c => c.direction === 'losing').sort((a, b) => a.delta - b.delta),
+      new: current.filter(t => !before.has(t.keyword)).map(t => t.keyword),
+      dropped: previous
+        .filter(t => !current.some(c => c.keyword === t.keyword))
+        .map(t => t.keyword)
+    };
+  }
+
+  /**
+   * Influencers that became high collaboration potential since the previous report
+   */
+  static diffCollaborationTargets(current = [], previous = []) {
+    const wasHigh = new Set(previous
+      .filter(i => i.collaborationPotential?.level === 'high')
+      .map(i => i.handle));
+
+    return current
+      .filter(i => i.collaborationPotential?.level === 'high' && !wasHigh.has(i.handle))
+      .map(i => `@${i.handle}`);
+  }
+
+  /**
+   * Print a diff to the console
+   */
+  static printDiff(diff) {
+    const signed = n => (n > 0 ? `+${n}` : String(n));
+
+    console.log(`\n📊 Intelligence diff for ${diff.brand}`);
+    console.log(`   ${diff.from} → ${diff.to}\n`);
+
+    ['competitors', 'influencers'].forEach(section => {
+      const { added, removed, changes } = diff[section];
+      console.log(`${section === 'competitors' ? '📊 Competitors' : '⭐ Influencers'}:`);
+      added.forEach(h => console.log(`   + @${h} (new)`));
+      removed.forEach(h => console.log(`   - @${h} (no longer tracked)`));
+      changes.forEach(c => {
+        const e = c.engagementDelta;
+        console.log(`   @${c.handle}: ❤️ ${signed(e.likes)} | 🔄 ${signed(e.retweets)} | 💬 ${signed(e.replies)}`);
+        if (c.newThemes.length > 0) console.log(`      new themes: ${c.newThemes.join(', ')}`);
+        if (c.droppedThemes.length > 0) console.log(`      dropped themes: ${c.droppedThemes.join(', ')}`);
+      });
+      console.log('');
+    });
+
+    console.log('📈 Trends:');
+    diff.trends.gaining.forEach(t => console.log(`   ↑ "${t.keyword}" ${t.previousScore} → ${t.score} (${signed(t.delta)})`));
+    diff.trends.losing.forEach(t => console.log(`   ↓ "${t.keyword}" ${t.previousScore} → ${t.score} (${signed(t.delta)})`));
+    diff.trends.new.forEach(k => console.log(`   + "${k}" (new)`));
+    diff.trends.dropped.forEach(k => console.log(`   - "${k}" (dropped)`));
+
+    if (diff.collaborationTargets.length > 0) {
+      console.log(`\n🤝 New collaboration targets: ${diff.collaborationTargets.join(', ')}`);
+    }
+  }
+}
+
+// CLI Interface
+async function main() {
+  const brand = process.argv[2] || 'ai.withjai';
+  const command = process.argv[3] || 'list';
+  const flag = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+  try {
+    const history = new ReportHistory(brand);
+
+    switch (command) {
+      case 'list': {
+        const reports = history.load();
+        console.log(`\n🗂️  ${reports.length} report(s) stored for ${brand}:\n`);
+        reports.forEach(r => {
+          console.log(`   ${r.timestamp}  competitors: ${r.competitors.length} | influencers: ${r.influencers.length} | trends: ${r.trends.length}`);
+        });
+        break;
+      }
+
+      case 'diff': {
+        const to = flag('to');
+        const from = flag('from') || flag('against');
+
+        const current = to ? history.find(to) : history.latest();
+        if (!current) {
+          throw new Error(to ? `No report found for ${to}` : `No reports stored for ${brand}`);
+        }
+
+        const previous = from
+          ? history.find(from)
+          : history.latest({ before: current.timestamp.split('T')[0] });
+        if (!previous) {
+          throw new Error(from ? `No report found for ${from}` : 'No earlier report to compare against');
+        }
+
+        const diff = ReportHistory.diff(current, previous);
+
+        if (process.argv.includes('--json')) {
+          console.log(JSON.stringify(diff, null, 2));
+        } else {
+          ReportHistory.printDiff(diff);
+        }
+        break;
+      }
+
+      default:
+        console.log(`
+Bird Report History
+
+Commands:
+  list                              List stored reports
+  diff                              Compare latest report with the last one from an earlier day
+  diff --against=<date>             Compare latest report with a specific date
+  diff --from=<date> --to=<date>    Compare two specific dates
+  diff ... --json                   Output the diff as JSON
+
+Examples:
+  node bird-history.js ai.withjai list
+  node bird-history.js ai.withjai diff --against=2026-01-05
+        `);
+    }
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ReportHistory;
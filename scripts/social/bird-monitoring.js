@@ -0,0 +1,175 @@
+/**
+ * Bird Monitoring
+ * Mentions and bookmarks pipelines for the intelligence report:
+ *   - mentions:  who is talking to us, unanswered mentions, sentiment,
+ *                top engagers, and relationship signals from tracked accounts
+ *   - bookmarks: saved tweets clustered by theme into a swipe file
+ */
+
+const TopicExtractor = require('./bird-topics');
+const SentimentAnalyzer = require('./bird-sentiment');
+
+class MonitoringAnalyzer {
+  /**
+   * @param {Object} options - { username, keywords, competitors, influencers }
+   */
+  constructor(options = {}) {
+    this.username = options.username ? options.username.replace(/^@/, '').toLowerCase() : null;
+    this.keywords = options.keywords || [];
+    this.competitors = (options.competitors || []).map(h => h.toLowerCase());
+    this.influencers = (options.influencers || []).map(h => h.toLowerCase());
+  }
+
+  /**
+   * Analyze mentions of our account
+   * @param {Array} mentions - Canonical tweets mentioning us
+   * @param {Array|null} ourReplies - Our own recent replies (null if unknown)
+   * @returns {Object} Mentions section
+   */
+  analyzeMentions(mentions, ourReplies = null) {
+    const incoming = mentions.filter(m => m.author.handle?.toLowerCase() !== this.username);
+    const answeredIds = ourReplies ? new Set(ourReplies.map(r => r.inReplyToId).filter(Boolean)) : null;
+
+    const scored = incoming.map(m => ({
+      tweet: m,
+      sentiment: SentimentAnalyzer.score(m.text),
+      answered: answeredIds ? answeredIds.has(m.id) : null
+    }));
+
+    const sentiment = scored.reduce((acc, s) => {
+      acc[s.sentiment.label] += 1;
+      return acc;
+    }, { positive: 0, neutral: 0, negative: 0 });
+
+    const byAuthor = new Map();
+    scored.forEach(s => {
+      const handle = s.tweet.author.handle || 'unknown';
+      if (!byAuthor.has(handle)) {
+        byAuthor.set(handle, { handle, mentions: 0, engagement: 0, followers: s.tweet.author.followers });
+      }
+      const entry = byAuthor.get(handle);
+      entry.mentions += 1;
+      entry.engagement += s.tweet.engagement.likes + s.tweet.engagement.retweets + s.tweet.engagement.replies;
+    });
+
+    const topEngagers = [...byAuthor.values()]
+      .sort((a, b) => b.mentions - a.mentions || b.engagement - a.engagement)
+      .slice(0, 10);
+
+    const unanswered = answeredIds
+      ? scored
+        .filter(s => !s.answered)
+        .sort((a, b) => b.tweet.author.followers - a.tweet.author.followers)
+        .map(s => ({
+          id: s.tweet.id,
+          url: s.tweet.url,
+          author: s.tweet.author.handle,
+          text: s.tweet.text,
+          sentiment: s.sentiment.label,
+          isQuestion: s.tweet.text.includes('?'),
+          createdAt: s.tweet.createdAt
+        }))
+      : null;
+
+    return {
+      total: incoming.length,
+      uniqueAuthors: byAuthor.size,
+      sentiment,
+      topEngagers,
+      unanswered,
+      relationshipSignals: this.relationshipSignals(scored)
+    };
+  }
+
+  /**
+   * Mentions from tracked competitors or influencers
+   */
+  relationshipSignals(scored) {
+    const signals = new Map();
+
+    scored.forEach(s => {
+      const handle = s.tweet.author.handle?.toLowerCase();
+      const relationship = this.competitors.includes(handle)
+        ? 'competitor'
+        : this.influencers.includes(handle) ? 'influencer' : null;
+      if (!relationship) return;
+
+      if (!signals.has(handle)) {
+        signals.set(handle, { handle: s.tweet.author.handle, relationship, mentions: 0, sentiment: 0, tweets: [] });
+      }
+      const signal = signals.get(handle);
+      signal.mentions += 1;
+      signal.sentiment += s.sentiment.score;
+      signal.tweets.push(s.tweet.url);
+    });
+
+    return [...signals.values()].map(s => ({
+      ...s,
+      sentiment: s.sentiment > 0 ? 'positive' : s.sentiment < 0 ? 'negative' : 'neutral'
+    }));
+  }
+
+  /**
+   * Cluster bookmarks into a themed swipe file
+   * Bookmarks matching a configured keyword go under that keyword; the rest
+   * are grouped by the most common term they share
+   * @param {Array} bookmarks - Canonical tweets
+   * @returns {Object} Bookmarks section
+   */
+  analyzeBookmarks(bookmarks) {
+    const clusters = new Map();
+    const add = (theme, source, tweet) => {
+      if (!clusters.has(theme)) clusters.set(theme, { theme, source, bookmarks: [] });
+      clusters.get(theme).bookmarks.push(tweet);
+    };
+
+    const unmatched = [];
+    bookmarks.forEach(tweet => {
+      const text = tweet.text.toLowerCase();
+      const keyword = this.keywords.find(k => text.includes(k.toLowerCase()));
+      if (keyword) add(keyword, 'keyword', tweet);
+      else unmatched.push(tweet);
+    });
+
+    // Greedy grouping of the rest by their most widely shared term
+    const terms = new Map(unmatched.map(t => [
+      t.id,
+      TopicExtractor.extractTerms(t.text).filter(x => x.type !== 'mention').map(x => x.term)
+    ]));
+    const frequency = {};
+    terms.forEach(list => list.forEach(term => {
+      frequency[term] = (frequency[term] || 0) + 1;
+    }));
+
+    unmatched.forEach(tweet => {
+      const best = terms.get(tweet.id)
+        .filter(term => frequency[term] > 1)
+        .sort((a, b) => frequency[b] - frequency[a] || b.split(' ').length - a.split(' ').length)[0];
+      add(best || 'uncategorized', best ? 'term' : 'none', tweet);
+    });
+
+    const swipeFile = [...clusters.values()]
+      .map(c => ({
+        theme: c.theme,
+        source: c.source,
+        count: c.bookmarks.length,
+        bookmarks: c.bookmarks.map(t => ({
+          id: t.id,
+          url: t.url,
+          author: t.author.handle,
+          text: t.text,
+          engagement: t.engagement,
+          format: t.isQuote ? 'quote' : t.isReply ? 'reply' : t.hasMedia ? 'media' : 'single'
+        }))
+      }))
+      .sort((a, b) => (a.theme === 'uncategorized') - (b.theme === 'uncategorized') || b.count - a.count);
+
+    return {
+      total: bookmarks.length,
+      themes: swipeFile.length,
+      swipeFile
+    };
+  }
+}
+
+module.exports = MonitoringAnalyzer;
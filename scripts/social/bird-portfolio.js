@@ -0,0 +1,105 @@
+/**
+ * Bird Portfolio Summary
+ * Side-by-side comparison of several brands from one batch run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PORTFOLIO_DIR = 'brands';
+
+class PortfolioSummary {
+  /**
+   * Build a portfolio summary from batch results
+   * @param {Array} results - [{ brand, report }] or [{ brand, error }]
+   * @param {Object} stats - { sharedFetches }
+   * @returns {Object} Portfolio summary
+   */
+  static build(results, stats = {}) {
+    const brands = results.map(({ brand, report, error }) => {
+      if (error) {
+        return { brand, status: 'failed', error: error.message };
+      }
+
+      const competitorTweets = report.competitors.flatMap(c => c.topTweets);
+      const avg = tweets => tweets.length === 0
+        ? 0
+        : Math.round(tweets.reduce((sum, t) => sum + t.engagement.likes + t.engagement.retweets + t.engagement.replies, 0) / tweets.length);
+
+      const topTrend = [...report.trends].sort((a, b) => b.trendStrength.score - a.trendStrength.score)[0];
+
+      return {
+        brand,
+        status: 'ok',
+        competitors: report.competitors.length,
+        influencers: report.influencers.length,
+        trends: report.trends.length,
+        avgCompetitorEngagement: avg(competitorTweets),
+        topTrend: topTrend ? { keyword: topTrend.keyword, score: topTrend.trendStrength.score, state: topTrend.momentum?.state || null } : null,
+        risingTrends: report.trends.filter(t => t.momentum?.state === 'rising').map(t => t.keyword),
+        emergingTopics: (report.emergingTopics || []).filter(t => t.suggested).map(t => t.term),
+        unansweredMentions: report.mentions?.unanswered?.length ?? null,
+        insights: report.insights.length,
+        topInsight: report.insights[0]?.description || null
+      };
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      brands,
+      succeeded: brands.filter(b => b.status === 'ok').map(b => b.brand),
+      failed: brands.filter(b => b.status === 'failed').map(b => b.brand),
+      sharedFetches: stats.sharedFetches || 0
+    };
+  }
+
+  /**
+   * Print the portfolio as a side-by-side table
+   */
+  static print(portfolio) {
+    const rows = [
+      ['', ...portfolio.brands.map(b => b.brand)],
+      ['Status', ...portfolio.brands.map(b => (b.status === 'ok' ? '✅' : '❌'))],
+      ['Competitors', ...portfolio.brands.map(b => b.competitors ?? '-')],
+      ['Influencers', ...portfolio.brands.map(b => b.influencers ?? '-')],
+      ['Avg comp. engagement', ...portfolio.brands.map(b => b.avgCompetitorEngagement ?? '-')],
+      ['Top trend', ...portfolio.brands.map(b => (b.topTrend ? `${b.topTrend.keyword} (${b.topTrend.score})` : '-'))],
+      ['Rising trends', ...portfolio.brands.map(b => (b.risingTrends ? b.risingTrends.length : '-'))],
+      ['Emerging topics', ...portfolio.brands.map(b => (b.emergingTopics ? b.emergingTopics.length : '-'))],
+      ['Unanswered mentions', ...portfolio.brands.map(b => b.unansweredMentions ?? '-')],
+      ['Insights', ...portfolio.brands.map(b => b.insights ?? '-')]
+    ].map(row => row.map(String));
+
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+
+    console.log('\n📂 Portfolio Summary:\n');
+    rows.forEach(row => {
+      console.log('   ' + row.map((cell, col) => cell.padEnd(widths[col])).join('  '));
+    });
+
+    portfolio.brands.filter(b => b.status === 'failed').forEach(b => {
+      console.log(`\n   ❌ ${b.brand}: ${b.error}`);
+    });
+
+    if (portfolio.sharedFetches > 0) {
+      console.log(`\n   ♻️  ${portfolio.sharedFetches} fetch(es) shared across brands`);
+    }
+  }
+
+  /**
+   * Save the portfolio summary as brands/portfolio-intel-YYYY-MM-DD.json
+   * @returns {string} File path
+   */
+  static save(portfolio) {
+    const date = portfolio.timestamp.split('T')[0];
+    const filepath = path.join(PORTFOLIO_DIR, `portfolio-intel-${date}.json`);
+
+    fs.mkdirSync(PORTFOLIO_DIR, { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(portfolio, null, 2));
+    console.log(`✅ Saved to: ${filepath}`);
+
+    return filepath;
+  }
+}
+
+module.exports = PortfolioSummary;
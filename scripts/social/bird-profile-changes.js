@@ -0,0 +1,295 @@
+/**
+ * Bird Profile Changes
+ * Snapshots profile metadata (display name, bio, pinned tweet, followers) of
+ * every tracked competitor and influencer on each run and diffs it against the
+ * previous snapshot: bio rewrites as a word diff, follower growth per day,
+ * renamed handles, and handles that stopped returning tweets.
+ * Handles whose fetch failed (rate limit, network, auth) aren't snapshotted,
+ * so only an empty answer from bird counts as unavailable.
+ *
+ * Metadata comes from the author fields of the tweets fetched for each handle.
+ * A field bird did not return is unknown (null) and never counts as a change.
+ * Snapshots are kept in profile-snapshots.json next to the reports.
+ */
+
+const BirdUtils = require('./bird-utils');
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  // Share of followers gained or lost per day that counts as fast
+  fastGrowthRate: 0.01
+};
+
+/**
+ * Word-level diff (longest common subsequence); bios are short enough for O(n*m)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} [{ op: 'same' | 'removed' | 'added', text }]
+ */
+function wordDiff(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (op, word) => {
+    const last = parts[parts.length - 1];
+    if (last?.op === op) last.text += ` ${word}`;
+    else parts.push({ op, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i]);
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  return parts;
+}
+
+class ProfileChangeDetector {
+  /**
+   * @param {string} brand - Brand name
+   * @param {Object} options - Brand "profileChanges" config: { fastGrowthRate }
+   */
+  constructor(brand, options = {}) {
+    this.brand = brand;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.statePath = path.join(BirdUtils.getOutputDir(brand), 'profile-snapshots.json');
+  }
+
+  /**
+   * Snapshot a handle from the tweets fetched for it this run
+   * @param {string} handle - Configured handle
+   * @param {string} role - competitor | influencer
+   * @param {Array} tweets - Canonical tweets from `from:<handle>`
+   * @param {string} now - Run timestamp
+   * @returns {Object} Snapshot
+   */
+  static snapshot(handle, role, tweets, now) {
+    // Newest tweet first, so its author fields are the freshest
+    const newest = [...tweets].sort((x, y) => (y.createdAt || '').localeCompare(x.createdAt || ''));
+    const pick = read => newest.map(t => read(t.author)).find(v => v !== null && v !== undefined && v !== '') ?? null;
+
+    return {
+      handle,
+      role,
+      id: pick(author => author.id),
+      currentHandle: pick(author => author.handle),
+      name: pick(author => author.name),
+      bio: pick(author => author.bio),
+      pinnedTweetId: pick(author => author.pinnedTweetId),
+      // 0 means bird didn't report a count
+      followers: pick(author => author.followers || null),
+      available: tweets.length > 0,
+      capturedAt: now,
+      lastSeenAt: tweets.length > 0 ? now : null
+    };
+  }
+
+  loadState() {
+    if (!fs.existsSync(this.statePath)) return { profiles: {} };
+
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`   ⚠️  Ignoring unreadable profile snapshots for ${this.brand}: ${error.message}`);
+      return { profiles: {} };
+    }
+  }
+
+  saveState(state) {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Changes between a handle's previous and current snapshot
+   * @param {Object} previous - Last stored snapshot (or undefined)
+   * @param {Object} current - This run's snapshot
+   * @param {Array} collectedTweets - Every tweet fetched this run, to find renamed accounts
+   * @returns {Object} { changes, snapshot } (snapshot is what to store)
+   */
+  compare(previous, current, collectedTweets = []) {
+    const { handle, role } = current;
+    const changes = [];
+    const change = (type, fields) => changes.push({ handle, role, type, ...fields });
+
+    if (!current.available) {
+      if (!previous) return { changes, snapshot: current };
+
+      // A renamed account's tweets still carry its id, e.g. in replies or keyword searches
+      const renamed = previous.id && collectedTweets.find(t =>
+        t.author.id === previous.id && t.author.handle && t.author.handle.toLowerCase() !== handle.toLowerCase());
+
+      if (renamed && previous.renamedTo !== renamed.author.handle) {
+        change('renamed', { before: handle, after: renamed.author.handle, detail: 'tweets with the same account id now come from a new handle' });
+      } else if (!renamed && previous.available !== false) {
+        change('unavailable', {
+          before: previous.lastSeenAt,
+          after: null,
+          detail: 'no tweets returned: the account may be suspended, protected, renamed or inactive'
+        });
+      }
+
+      // Keep the last known profile so the next successful run diffs against it
+      return {
+        changes,
+        snapshot: { ...previous, available: false, capturedAt: current.capturedAt, renamedTo: renamed?.author.handle || previous.renamedTo || null }
+      };
+    }
+
+    if (!previous) return { changes, snapshot: current };
+
+    if (previous.available === false) {
+      change('available', { before: previous.lastSeenAt, after: current.capturedAt, detail: 'returning tweets again' });
+    }
+
+    // A rename already reported from the account id isn't reported again
+    if (current.currentHandle && current.currentHandle !== (previous.currentHandle || handle) &&
+        current.currentHandle !== previous.renamedTo && current.currentHandle.toLowerCase() !== handle.toLowerCase()) {
+      change('renamed', { before: previous.currentHandle || handle, after: current.currentHandle });
+    }
+
+    const known = field => previous[field] !== null && previous[field] !== undefined && current[field] !== null;
+
+    if (known('name') && previous.name !== current.name) {
+      change('name', { before: previous.name, after: current.name });
+    }
+
+    if (known('bio') && previous.bio.trim() !== current.bio.trim()) {
+      change('bio', { before: previous.bio, after: current.bio, diff: wordDiff(previous.bio, current.bio) });
+    }
+
+    if (known('pinnedTweetId') && previous.pinnedTweetId !== current.pinnedTweetId) {
+      change('pinned', {
+        before: previous.pinnedTweetId,
+        after: current.pinnedTweetId,
+        url: `https://twitter.com/${current.currentHandle || handle}/status/${current.pinnedTweetId}`
+      });
+    }
+
+    if (known('followers') && previous.followers > 0 && previous.followers !== current.followers) {
+      // Several runs a day would inflate a per-day rate, so count at least one day
+      const days = Math.max(1, (Date.parse(current.capturedAt) - Date.parse(previous.lastSeenAt || previous.capturedAt)) / DAY_MS);
+      const delta = current.followers - previous.followers;
+      const ratePerDay = delta / previous.followers / days;
+
+      change('followers', {
+        before: previous.followers,
+        after: current.followers,
+        change: delta,
+        days: Math.round(days * 10) / 10,
+        ratePerDay: Math.round(ratePerDay * 10000) / 10000,
+        fast: Math.abs(ratePerDay) >= this.options.fastGrowthRate
+      });
+    }
+
+    return { changes, snapshot: current };
+  }
+
+  /**
+   * Diff this run's snapshots against the stored ones and store the new ones.
+   * A handle tracked as both competitor and influencer is compared once,
+   * with both roles (e.g. "competitor, influencer").
+   * @param {Array} snapshots - This run's snapshots (see snapshot())
+   * @param {Array} collectedTweets - Every tweet fetched this run
+   * @param {string} now - Run timestamp
+   * @returns {Object} profileChanges report section
+   */
+  detect(snapshots, collectedTweets, now) {
+    const state = this.loadState();
+    const changes = [];
+    const unique = new Map();
+
+    snapshots.forEach(snapshot => {
+      const key = snapshot.handle.toLowerCase();
+      const seen = unique.get(key);
+      if (!seen) unique.set(key, { ...snapshot });
+      else if (!seen.role.split(', ').includes(snapshot.role)) seen.role = `${seen.role}, ${snapshot.role}`;
+    });
+
+    unique.forEach((current, key) => {
+      const result = this.compare(state.profiles[key], current, collectedTweets);
+      changes.push(...result.changes);
+      state.profiles[key] = result.snapshot;
+    });
+
+    const since = state.updatedAt || null;
+    state.updatedAt = now;
+    this.saveState(state);
+
+    return {
+      since,
+      tracked: unique.size,
+      changes
+    };
+  }
+
+  /**
+   * Insights from the profileChanges section
+   * @param {Object} profileChanges - Report section
+   * @returns {Array} Insights
+   */
+  static insights(profileChanges) {
+    if (!profileChanges) return [];
+    const { changes } = profileChanges;
+    const of = type => changes.filter(c => c.type === type);
+    const insights = [];
+
+    const rewrites = [...of('bio'), ...of('name'), ...of('pinned')];
+    if (rewrites.length > 0) {
+      insights.push({
+        type: 'profile-change',
+        description: `${new Set(rewrites.map(c => c.handle)).size} tracked account(s) changed their bio, name or pinned tweet`,
+        targets: rewrites.map(c => `@${c.handle} ${c.type}: ${c.type === 'bio' ? `"${c.after}"` : `${c.before} → ${c.after}`}`),
+        actionable: 'Repositioning shows up in bios and pinned tweets first; check whether they are moving toward your niche'
+      });
+    }
+
+    const fast = of('followers').filter(c => c.fast);
+    if (fast.length > 0) {
+      insights.push({
+        type: 'follower-growth',
+        description: `${fast.length} tracked account(s) gaining or losing followers fast`,
+        targets: fast.map(c => `@${c.handle}: ${c.change > 0 ? '+' : ''}${c.change} (${(c.ratePerDay * 100).toFixed(1)}%/day)`),
+        actionable: 'Look at what they posted since the last run; fast growth usually follows a viral tweet or a new angle'
+      });
+    }
+
+    const gone = [...of('renamed'), ...of('unavailable')];
+    if (gone.length > 0) {
+      insights.push({
+        type: 'handle-change',
+        description: `${gone.length} tracked handle(s) renamed or no longer returning tweets`,
+        targets: gone.map(c => (c.type === 'renamed' ? `@${c.before} is now @${c.after}` : `@${c.handle}: ${c.detail}`)),
+        actionable: 'Update bird-config.json so the handle keeps being tracked'
+      });
+    }
+
+    return insights;
+  }
+}
+
+ProfileChangeDetector.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+ProfileChangeDetector.wordDiff = wordDiff;
+
+module.exports = ProfileChangeDetector;
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Competitor Profile
+ *
+ * Deep profile of one handle from a large sample of its tweets:
+ *   - cadence:    posts/day, active weekdays and hours (in the brand's timezone)
+ *   - formatMix:  thread, single, reply, quote, media, link
+ *   - engagement: median and percentiles (means get skewed by one viral tweet)
+ *   - viral:      outlier tweets far above the handle's usual engagement
+ *
+ * Usage:
+ *   node scripts/social/bird-profile.js levelsio
+ *   node scripts/social/bird-profile.js levelsio --limit=200 --timezone=Europe/Lisbon --json
+ */
+
+const BirdUtils = require('./bird-utils');
+const TweetModel = require('./bird-tweet');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FORMATS = ['thread', 'single', 'reply', 'quote', 'media', 'link'];
+
+const DEFAULT_OPTIONS = {
+  // Tweets fetched per handle in deep mode
+  sampleSize: 100,
+  // A viral tweet earns at least this multiple of the handle's median
+  viralMultiple: 3,
+  timezone: 'UTC'
+};
+
+/**
+ * Value at percentile p (0-100) of an ascending array, linearly interpolated
+ * and rounded to `decimals` places (whole numbers by default)
+ */
+function percentile(sorted, p, decimals = 0) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  const factor = 10 ** decimals;
+  return Math.round((sorted[low] + (sorted[high] - sorted[low]) * (rank - low)) * factor) / factor;
+}
+
+function totalEngagement(tweet) {
+  return tweet.engagement.likes + tweet.engagement.retweets + tweet.engagement.replies;
+}
+
+class CompetitorProfiler {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS (config "profile" block plus timezone)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.localTime = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.options.timezone,
+      weekday: 'short',
+      hour: 'numeric',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Primary format of a tweet
+   * @param {Object} tweet - Canonical tweet
+   * @param {Set} ownIds - Ids of the handle's own tweets (replies to these are threads)
+   * @returns {string} One of FORMATS
+   */
+  static classifyFormat(tweet, ownIds = new Set()) {
+    const selfReply = tweet.isReply && (ownIds.has(tweet.inReplyToId) || ownIds.has(tweet.conversationId));
+    if (selfReply || /🧵|\bthread\b|^\s*1\s*\/\s*\d*/i.test(tweet.text)) return 'thread';
+    if (tweet.isReply) return 'reply';
+    if (tweet.isQuote) return 'quote';
+    if (tweet.hasMedia) return 'media';
+    if (tweet.hasLinks) return 'link';
+    return 'single';
+  }
+
+  /**
+   * Local weekday and hour of a timestamp in the configured timezone
+   */
+  localSlot(createdAt) {
+    const parts = Object.fromEntries(
+      this.localTime.formatToParts(new Date(createdAt)).map(p => [p.type, p.value])
+    );
+    return { weekday: parts.weekday, hour: Number(parts.hour) };
+  }
+
+  /**
+   * Build the profile of a handle
+   * @param {string} handle - Handle
+   * @param {Array} tweets - Canonical tweets from the handle
+   * @returns {Object} Profile
+   */
+  profile(handle, tweets) {
+    const own = tweets.filter(t => !t.isRetweet);
+    const ownIds = new Set(own.map(t => t.id));
+    const dated = own.filter(t => t.createdAt).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return {
+      handle,
+      sampleSize: own.length,
+      timezone: this.options.timezone,
+      period: dated.length > 0
+        ? { from: dated[0].createdAt, to: dated[dated.length - 1].createdAt }
+        : null,
+      cadence: this.cadence(dated),
+      formatMix: this.formatMix(own, ownIds),
+      engagement: this.engagement(own),
+      viral: this.viral(own, ownIds)
+    };
+  }
+
+  /**
+   * Posts per day plus the weekdays and hours the handle posts and performs best
+   */
+  cadence(dated) {
+    if (dated.length < 2) {
+      return { postsPerDay: null, activeWeekdays: [], activeHours: [], bestHours: [] };
+    }
+
+    const spanDays = (new Date(dated[dated.length - 1].createdAt) - new Date(dated[0].createdAt)) / DAY_MS;
+    const slots = dated.map(t => ({ ...this.localSlot(t.createdAt), engagement: totalEngagement(t) }));
+
+    const group = key => {
+      const groups = new Map();
+      slots.forEach(slot => {
+        if (!groups.has(slot[key])) groups.set(slot[key], []);
+        groups.get(slot[key]).push(slot.engagement);
+      });
+      return [...groups].map(([value, engagements]) => ({
+        [key]: value,
+        posts: engagements.length,
+        share: Math.round((engagements.length / slots.length) * 100) / 100,
+        medianEngagement: percentile(engagements.sort((a, b) => a - b), 50)
+      }));
+    };
+
+    const weekdays = group('weekday').sort((a, b) => b.posts - a.posts || WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday));
+    const hours = group('hour').sort((a, b) => b.posts - a.posts || a.hour - b.hour);
+
+    return {
+      // A sample spanning less than a day still represents at least one day of posting
+      postsPerDay: Math.round((dated.length / Math.max(spanDays, 1)) * 10) / 10,
+      activeWeekdays: weekdays,
+      activeHours: hours.slice(0, 5),
+      // Hours with a single post say more about that post than about the hour
+      bestHours: hours
+        .filter(h => h.posts >= 2)
+        .sort((a, b) => b.medianEngagement - a.medianEngagement)
+        .slice(0, 3)
+        .map(h => ({ hour: h.hour, posts: h.posts, medianEngagement: h.medianEngagement }))
+    };
+  }
+
+  /**
+   * Share of each format in the sample
+   */
+  formatMix(tweets, ownIds) {
+    const counts = Object.fromEntries(FORMATS.map(f => [f, 0]));
+    tweets.forEach(t => {
+      counts[CompetitorProfiler.classifyFormat(t, ownIds)] += 1;
+    });
+
+    return Object.fromEntries(FORMATS.map(f => [f, {
+      count: counts[f],
+      share: tweets.length > 0 ? Math.round((counts[f] / tweets.length) * 100) / 100 : 0
+    }]));
+  }
+
+  /**
+   * Median and percentile engagement (likes + retweets + replies) plus per-metric medians
+   * medianRate is engagement per follower (null when follower counts are unknown)
+   */
+  engagement(tweets) {
+    const sorted = tweets.map(totalEngagement).sort((a, b) => a - b);
+    const metric = name => percentile(tweets.map(t => t.engagement[name]).sort((a, b) => a - b), 50);
+    const rates = tweets
+      .filter(t => t.author.followers > 0)
+      .map(t => totalEngagement(t) / t.author.followers)
+      .sort((a, b) => a - b);
+
+    return {
+      median: percentile(sorted, 50),
+      p25: percentile(sorted, 25),
+      p75: percentile(sorted, 75),
+      p90: percentile(sorted, 90),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+      medianLikes: metric('likes'),
+      medianRetweets: metric('retweets'),
+      medianReplies: metric('replies'),
+      medianRate: rates.length > 0 ? percentile(rates, 50, 4) : null
+    };
+  }
+
+  /**
+   * Outliers above both the Tukey fence (p75 + 1.5 × IQR) and viralMultiple × median
+   * Formats use the same ownIds as formatMix, so a self-reply is a thread in both
+   */
+  viral(tweets, ownIds = new Set()) {
+    if (tweets.length < 4) return [];
+
+    const sorted = tweets.map(totalEngagement).sort((a, b) => a - b);
+    const median = percentile(sorted, 50);
+    const p25 = percentile(sorted, 25);
+    const p75 = percentile(sorted, 75);
+    const threshold = Math.max(p75 + 1.5 * (p75 - p25), this.options.viralMultiple * median, 1);
+
+    return tweets
+      .filter(t => totalEngagement(t) > threshold)
+      .sort((a, b) => totalEngagement(b) - totalEngagement(a))
+      .slice(0, 5)
+      .map(t => ({
+        id: t.id,
+        url: t.url,
+        text: t.text,
+        createdAt: t.createdAt,
+        format: CompetitorProfiler.classifyFormat(t, ownIds),
+        engagement: totalEngagement(t),
+        multipleOfMedian: median > 0 ? Math.round((totalEngagement(t) / median) * 10) / 10 : null
+      }));
+  }
+
+  /**
+   * Combine competitor profiles into one posting-cadence picture
+   * @param {Array} profiles - Profiles with cadence data
+   * @returns {Object|null} { competitors, postsPerDay, weekdays, hours, timezone } or null without data
+   */
+  static summarizeCadence(profiles) {
+    const active = profiles.filter(p => p.cadence.postsPerDay !== null);
+    if (active.length === 0) return null;
+
+    const rates = active.map(p => p.cadence.postsPerDay).sort((a, b) => a - b);
+    const median = rates.length % 2 === 1
+      ? rates[(rates.length - 1) / 2]
+      : (rates[rates.length / 2 - 1] + rates[rates.length / 2]) / 2;
+
+    const tally = (list, key) => {
+      const scores = new Map();
+      list.forEach(entry => scores.set(entry[key], (scores.get(entry[key]) || 0) + entry.weight));
+      return [...scores].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+    };
+
+    return {
+      competitors: active.length,
+      postsPerDay: Math.round(median * 10) / 10,
+      weekdays: tally(active.flatMap(p => p.cadence.activeWeekdays.map(d => ({ weekday: d.weekday, weight: d.share }))), 'weekday').slice(0, 3),
+      // Best hours are weighted by engagement rank within each competitor
+      hours: tally(active.flatMap(p => p.cadence.bestHours.map((h, i) => ({ hour: h.hour, weight: 3 - i }))), 'hour').slice(0, 3),
+      timezone: active[0].timezone
+    };
+  }
+}
+
+CompetitorProfiler.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+CompetitorProfiler.percentile = percentile;
+
+module.exports = CompetitorProfiler;
+
+// CLI Interface
+if (require.main === module) {
+  const flag = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const handle = process.argv.slice(2).find(arg => !arg.startsWith('--'))?.replace(/^@/, '');
+
+  (async () => {
+    try {
+      if (!handle) {
+        throw new Error('Usage: node bird-profile.js <handle> [--limit=100] [--timezone=America/New_York] [--json]');
+      }
+
+      const profiler = new CompetitorProfiler({ timezone: flag('timezone') || DEFAULT_OPTIONS.timezone });
+      const limit = Number(flag('limit')) || profiler.options.sampleSize;
+      const tweets = TweetModel.normalizeAll(await BirdUtils.search(`from:${handle}`, { limit }));
+      const profile = profiler.profile(handle, tweets);
+
+      if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(profile, null, 2));
+        return;
+      }
+
+      const { cadence, engagement } = profile;
+      console.log(`\n👤 @${handle} — ${profile.sampleSize} tweets (${profile.timezone})\n`);
+      console.log(`   Cadence:    ${cadence.postsPerDay ?? '?'} posts/day, most active ${cadence.activeWeekdays.slice(0, 3).map(d => d.weekday).join(', ') || '-'}`);
+      console.log(`   Best hours: ${cadence.bestHours.map(h => `${h.hour}:00 (median ${h.medianEngagement})`).join(', ') || '-'}`);
+      console.log(`   Formats:    ${FORMATS.filter(f => profile.formatMix[f].count > 0).map(f => `${f} ${Math.round(profile.formatMix[f].share * 100)}%`).join(', ') || '-'}`);
+      console.log(`   Engagement: median ${engagement.median}, p25 ${engagement.p25}, p75 ${engagement.p75}, p90 ${engagement.p90}`);
+      if (profile.viral.length > 0) {
+        console.log('\n   🚀 Viral tweets:');
+        profile.viral.forEach(v => console.log(`   - ${v.engagement} (${v.multipleOfMedian}× median) ${v.url}`));
+      }
+      console.log('');
+    } catch (error) {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  })();
+}
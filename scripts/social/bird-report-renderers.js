@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Report Renderers
+ * Turn a competitive intelligence report into a Markdown brief or a
+ * self-contained static HTML page.
+ *
+ * Usage:
+ *   node scripts/social/bird-report-renderers.js ai.withjai                  # latest report, Markdown
+ *   node scripts/social/bird-report-renderers.js ai.withjai 2026-01-05 --format=html
+ */
+
+const BirdUtils = require('./bird-utils');
+const SelfBenchmark = require('./bird-benchmark');
+const fs = require('fs');
+const path = require('path');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Sort recommendations by priority, highest first
+ */
+function prioritize(recommendations = []) {
+  return [...recommendations].sort((a, b) =>
+    (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3)
+  );
+}
+
+/**
+ * Short label for a recommendation regardless of its type
+ */
+function recommendationLabel(rec) {
+  return rec.content || rec.strategy || rec.frequency || rec.type;
+}
+
+/**
+ * Extra detail lines an insight carries (targets, trends)
+ */
+function insightDetails(insight) {
+  return [...(insight.targets || []), ...(insight.trends || [])];
+}
+
+/**
+ * One-line summary of a competitor's deep profile (cadence, formats, engagement)
+ */
+function profileSummary(profile) {
+  const { cadence, engagement } = profile;
+  const formats = Object.entries(profile.formatMix)
+    .filter(([, f]) => f.count > 0)
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, 3)
+    .map(([format, f]) => `${format} ${Math.round(f.share * 100)}%`);
+
+  return [
+    cadence.postsPerDay !== null ? `${cadence.postsPerDay} posts/day` : null,
+    cadence.activeWeekdays.length > 0 ? `most active ${cadence.activeWeekdays.slice(0, 3).map(d => d.weekday).join(', ')}` : null,
+    cadence.bestHours.length > 0 ? `best hours ${cadence.bestHours.map(h => `${h.hour}:00`).join(', ')} ${profile.timezone}` : null,
+    formats.length > 0 ? formats.join(', ') : null,
+    `median engagement ${engagement.median} (p90 ${engagement.p90})`,
+    profile.viral.length > 0 ? `${profile.viral.length} viral` : null
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Rows of the self benchmark table: metric, our value, competitor median, rank
+ */
+function benchmarkRows(benchmark) {
+  return benchmark.metrics.map(m => {
+    const { label, format } = SelfBenchmark.METRICS[m.metric];
+    return { label, value: format(m.value), median: format(m.competitorMedian), rank: `${m.rank}/${m.of}` };
+  });
+}
+
+/**
+ * Formats where we differ from most competitors, e.g. "thread 10% (median 32%)"
+ */
+function formatGaps(benchmark) {
+  return benchmark.formats
+    .filter(f => f.competitorsAhead.length > 0 || f.competitorsBehind.length > 0)
+    .map(f => `${f.format} ${Math.round(f.share * 100)}% (median ${Math.round(f.competitorMedian * 100)}%)`);
+}
+
+/**
+ * Content gap label, e.g. "tactical (6% of tweets, 1.8× engagement)"
+ * Reports saved before angle classification stored bare angle names
+ */
+function gapLabel(gap) {
+  if (typeof gap === 'string') return gap;
+  return `${gap.angle} (${Math.round(gap.coverage * 100)}% of tweets, ${gap.lift}× engagement)`;
+}
+
+/**
+ * Points per factor of an explainable score (see bird-scoring.js)
+ */
+function scoreBreakdown(result) {
+  return (result.factors || []).map(f => `${f.factor} ${f.points}/${f.maxPoints}`).join(' · ');
+}
+
+/**
+ * One-line sentiment and tone rollup
+ */
+function sentimentSummary(sentiment) {
+  const parts = [`${sentiment.positive} positive · ${sentiment.neutral} neutral · ${sentiment.negative} negative`];
+  if (sentiment.complaints > 0) parts.push(`${sentiment.complaints} complaint(s)`);
+  if (sentiment.dominantTone) parts.push(`mostly ${sentiment.dominantTone}`);
+  return parts.join(' · ');
+}
+
+/**
+ * One-line description of a profile change (see bird-profile-changes.js)
+ * Bio rewrites are summarized here; the word diff is rendered separately
+ */
+function profileChangeLabel(change) {
+  switch (change.type) {
+    case 'name':
+      return `display name "${change.before}" → "${change.after}"`;
+    case 'bio':
+      return 'bio rewritten';
+    case 'pinned':
+      return 'new pinned tweet';
+    case 'followers': {
+      const sign = change.change > 0 ? '+' : '';
+      return `followers ${change.before} → ${change.after} (${sign}${change.change}, ${sign}${(change.ratePerDay * 100).toFixed(2)}%/day over ${change.days} day(s))${change.fast ? ' 🚀' : ''}`;
+    }
+    case 'renamed':
+      return `renamed @${change.before} → @${change.after}`;
+    case 'unavailable':
+      return `no tweets returned${change.before ? ` (last seen ${formatDate(change.before)})` : ''}; may be suspended, protected, renamed or inactive`;
+    case 'available':
+      return 'returning tweets again';
+    default:
+      return change.type;
+  }
+}
+
+/**
+ * Render a text bar proportional to value/max
+ */
+function textBar(value, max, width = 20) {
+  const filled = max > 0 ? Math.round((value / max) * width) : 0;
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+function escapeMarkdownCell(text = '') {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().split('T')[0];
+}
+
+/**
+ * Render report as a Markdown brief
+ * @param {Object} report - Intelligence report
+ * @returns {string} Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [];
+  const maxStrength = Math.max(0, ...report.trends.map(t => t.trendStrength.score));
+
+  lines.push(`# Competitive Intelligence: ${report.brand}`);
+  lines.push('');
+  lines.push(`_Generated ${report.timestamp}_`);
+  lines.push('');
+
+  if (report.summary) {
+    lines.push(`**${report.summary.competitorsTracked}** competitors · **${report.summary.influencersTracked}** influencers · **${report.summary.trendsIdentified}** trends`);
+    lines.push('');
+  }
+
+  if ((report.alerts || []).length > 0) {
+    lines.push('## Alerts');
+    lines.push('');
+    report.alerts.forEach(alert => lines.push(`- 🚨 **[${alert.severity}] ${alert.rule}**: ${alert.url ? `[${alert.message}](${alert.url})` : alert.message}`));
+    lines.push('');
+  }
+
+  lines.push('## Insights');
+  lines.push('');
+  if (report.insights.length === 0) lines.push('_No insights this run._');
+  report.insights.forEach(insight => {
+    lines.push(`- **${insight.description}** (${insight.type})`);
+    insightDetails(insight).forEach(detail => lines.push(`  - ${detail}`));
+    lines.push(`  - ➡️ ${insight.actionable}`);
+  });
+  lines.push('');
+
+  lines.push('## Recommendations');
+  lines.push('');
+  if (report.recommendations.length === 0) lines.push('_No recommendations this run._');
+  prioritize(report.recommendations).forEach((rec, i) => {
+    lines.push(`${i + 1}. **[${rec.priority}] ${recommendationLabel(rec)}** (${rec.type}): ${rec.reasoning}`);
+  });
+  lines.push('');
+
+  lines.push('## Trends');
+  lines.push('');
+  report.trends.forEach(trend => {
+    const momentum = trend.momentum ? `, ${trend.momentum.state}` : '';
+    lines.push(`- \`${textBar(trend.trendStrength.score, maxStrength)}\` **${trend.keyword}**: ${trend.trendStrength.score} (${trend.trendStrength.level}${momentum})`);
+    if (trend.trendStrength.factors) {
+      lines.push(`  - Score: ${scoreBreakdown(trend.trendStrength)}`);
+    }
+    if (trend.sentiment) {
+      lines.push(`  - Sentiment: ${sentimentSummary(trend.sentiment)}`);
+    }
+    if (trend.contentGaps.length > 0) {
+      lines.push(`  - Content gaps: ${trend.contentGaps.map(gapLabel).join(', ')}`);
+    }
+  });
+  lines.push('');
+
+  const topics = report.emergingTopics || [];
+  if (topics.length > 0) {
+    lines.push('## Emerging Topics');
+    lines.push('');
+    lines.push('| Topic | Type | Score | Tweets | Authors | Suggested |');
+    lines.push('|---|---|---:|---:|---:|---|');
+    topics.forEach(t => {
+      lines.push(`| ${escapeMarkdownCell(t.term)} | ${t.type} | ${t.score} | ${t.documents} | ${t.authors} | ${t.suggested ? '✅' : ''} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.mentions) {
+    const m = report.mentions;
+    lines.push('## Mentions');
+    lines.push('');
+    lines.push(`- ${m.total} mentions from ${m.uniqueAuthors} accounts · 😊 ${m.sentiment.positive} · 😐 ${m.sentiment.neutral} · 😞 ${m.sentiment.negative}`);
+    if (m.topEngagers.length > 0) {
+      lines.push(`- Top engagers: ${m.topEngagers.slice(0, 5).map(e => `@${e.handle} (${e.mentions})`).join(', ')}`);
+    }
+    m.relationshipSignals.forEach(r => lines.push(`- 🤝 @${r.handle} (${r.relationship}) mentioned you ${r.mentions}x, ${r.sentiment}`));
+    if (m.unanswered && m.unanswered.length > 0) {
+      lines.push('');
+      lines.push('| Unanswered | Author | Sentiment |');
+      lines.push('|---|---|---|');
+      m.unanswered.forEach(u => lines.push(`| [${escapeMarkdownCell(u.text)}](${u.url}) | @${u.author} | ${u.sentiment} |`));
+    }
+    lines.push('');
+  }
+
+  if (report.bookmarks) {
+    lines.push('## Swipe File');
+    lines.push('');
+    report.bookmarks.swipeFile.forEach(cluster => {
+      lines.push(`### ${cluster.theme} (${cluster.count})`);
+      lines.push('');
+      cluster.bookmarks.forEach(b => lines.push(`- [@${b.author}](${b.url}): ${escapeMarkdownCell(b.text)}`));
+      lines.push('');
+    });
+  }
+
+  if (report.conversations) {
+    const { threads, unansweredQuestions, topRepliers, recurringThemes } = report.conversations;
+    lines.push('## Conversations');
+    lines.push('');
+    lines.push(`${report.conversations.tweetsExpanded} top competitor tweets expanded · ${report.conversations.repliesAnalyzed} replies · ${report.conversations.questionsFound} questions`);
+    lines.push('');
+    if (threads.byLength.length > 0) {
+      lines.push(`Thread length vs engagement${threads.correlation !== null ? ` (correlation ${threads.correlation})` : ''}: ${threads.byLength.map(b => `${b.length} tweet(s) → median ${b.medianEngagement} (${b.tweets})`).join(' · ')}`);
+      lines.push('');
+    }
+    if (unansweredQuestions.length > 0) {
+      lines.push('### Unanswered Audience Questions');
+      lines.push('');
+      unansweredQuestions.forEach(q => lines.push(`- [@${q.author}](${q.url}) to @${q.repliedTo}: ${escapeMarkdownCell(q.text)}`));
+      lines.push('');
+    }
+    if (recurringThemes.length > 0) {
+      lines.push(`**Recurring:** ${recurringThemes.map(t => `${t.term} (${t.questions}Q/${t.objections}O)`).join(', ')}`);
+      lines.push('');
+    }
+    if (topRepliers.length > 0) {
+      lines.push(`**Most active repliers:** ${topRepliers.slice(0, 5).map(r => `@${r.handle} (${r.replies})`).join(', ')}`);
+      lines.push('');
+    }
+  }
+
+  if (report.self) {
+    const { benchmark } = report.self;
+    lines.push(`## Your Account (@${report.self.handle})`);
+    lines.push('');
+    lines.push(`- Profile (${report.self.profile.sampleSize} tweets): ${profileSummary(report.self.profile)}`);
+    if (formatGaps(benchmark).length > 0) {
+      lines.push(`- Format mix vs competitors: ${formatGaps(benchmark).join(' · ')}`);
+    }
+    if (benchmark.themes.missing.length > 0) {
+      lines.push(`- Keywords competitors cover and you don't: ${benchmark.themes.missing.map(t => `${t.theme} (${t.competitors.length})`).join(', ')}`);
+    }
+    lines.push('');
+    lines.push(`| Metric | You | Competitor median | Rank |`);
+    lines.push('|---|---:|---:|---:|');
+    benchmarkRows(benchmark).forEach(row => {
+      lines.push(`| ${row.label} | ${row.value} | ${row.median} | ${row.rank} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.profileChanges) {
+    const { tracked, since, changes } = report.profileChanges;
+    lines.push('## Profile Changes');
+    lines.push('');
+    lines.push(`${tracked} profile(s) tracked · ${changes.length} change(s)${since ? ` since ${formatDate(since)}` : ' (first snapshot)'}`);
+    lines.push('');
+    changes.forEach(change => {
+      const label = profileChangeLabel(change);
+      lines.push(`- @${change.handle} (${change.role}): ${change.url ? `[${label}](${change.url})` : label}`);
+      if (change.diff) {
+        const diff = change.diff.map(part => {
+          const text = escapeMarkdownCell(part.text);
+          if (part.op === 'removed') return `~~${text}~~`;
+          return part.op === 'added' ? `**${text}**` : text;
+        });
+        lines.push(`  - ${diff.join(' ')}`);
+      }
+    });
+    if (changes.length > 0) lines.push('');
+  }
+
+  [['Competitors', report.competitors], ['Influencers', report.influencers]].forEach(([title, entries]) => {
+    lines.push(`## ${title}`);
+    lines.push('');
+
+    entries.forEach(entry => {
+      const avg = entry.averageEngagement;
+      lines.push(`### @${entry.handle}`);
+      lines.push('');
+      lines.push(`- Average engagement: ❤️ ${avg.likes} · 🔄 ${avg.retweets} · 💬 ${avg.replies}`);
+      if (entry.sentiment) {
+        lines.push(`- Sentiment: ${sentimentSummary(entry.sentiment)}`);
+      }
+      if (entry.profile) {
+        lines.push(`- Profile (${entry.profile.sampleSize} tweets): ${profileSummary(entry.profile)}`);
+        entry.profile.viral.forEach(v => lines.push(`  - 🚀 [${v.engagement} engagement, ${v.multipleOfMedian ?? '-'}× median](${v.url}): ${escapeMarkdownCell(v.text)}`));
+      }
+      if (entry.collaborationPotential) {
+        lines.push(`- Collaboration potential: **${entry.collaborationPotential.level}** (${entry.collaborationPotential.score}) — ${entry.collaborationPotential.reasoning}`);
+        if (entry.collaborationPotential.factors) {
+          lines.push(`  - Score: ${scoreBreakdown(entry.collaborationPotential)}`);
+        }
+      }
+      if (entry.contentThemes.length > 0) {
+        lines.push(`- Themes: ${entry.contentThemes.map(t => `${t.theme} (${t.frequency})`).join(', ')}`);
+      }
+      lines.push('');
+      lines.push('| Tweet | ❤️ | 🔄 | 💬 | Date |');
+      lines.push('|---|---:|---:|---:|---|');
+      entry.topTweets.forEach(t => {
+        lines.push(`| ${escapeMarkdownCell(t.text)} | ${t.engagement.likes} | ${t.engagement.retweets} | ${t.engagement.replies} | ${formatDate(t.createdAt)} |`);
+      });
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render report as a self-contained HTML page (inline CSS, no external assets)
+ * @param {Object} report - Intelligence report
+ * @returns {string} HTML
+ */
+function renderHtml(report) {
+  const maxStrength = Math.max(0, ...report.trends.map(t => t.trendStrength.score));
+
+  const insights = report.insights.map(insight => `
+      <li>
+        <strong>${escapeHtml(insight.description)}</strong> <span class="tag">${escapeHtml(insight.type)}</span>
+        ${insightDetails(insight).length > 0 ? `<ul>${insightDetails(insight).map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>` : ''}
+        <p class="action">➡️ ${escapeHtml(insight.actionable)}</p>
+      </li>`).join('');
+
+  const alerts = (report.alerts || []).length === 0 ? '' : `
+  <h2>Alerts</h2>
+  <ul>${report.alerts.map(alert => `
+      <li>🚨 <span class="tag">${escapeHtml(alert.severity)}</span> <strong>${escapeHtml(alert.rule)}</strong>: ${alert.url ? `<a href="${escapeHtml(alert.url)}">${escapeHtml(alert.message)}</a>` : escapeHtml(alert.message)}</li>`).join('')}
+  </ul>`;
+
+  const recommendations = prioritize(report.recommendations).map(rec => `
+      <li class="priority-${escapeHtml(rec.priority)}">
+        <span class="tag">${escapeHtml(rec.priority)}</span>
+        <strong>${escapeHtml(recommendationLabel(rec))}</strong> (${escapeHtml(rec.type)}): ${escapeHtml(rec.reasoning)}
+      </li>`).join('');
+
+  const trends = report.trends.map(trend => {
+    const width = maxStrength > 0 ? Math.round((trend.trendStrength.score / maxStrength) * 100) : 0;
+    return `
+      <div class="trend">
+        <div class="trend-label">${escapeHtml(trend.keyword)} <span class="tag">${escapeHtml(trend.trendStrength.level)}</span>${trend.momentum ? ` <span class="tag">${escapeHtml(trend.momentum.state)}</span>` : ''}</div>
+        <div class="bar"><div class="fill level-${escapeHtml(trend.trendStrength.level)}" style="width: ${width}%"></div></div>
+        <div class="trend-score">${trend.trendStrength.score}</div>
+        ${trend.trendStrength.factors ? `<div class="gaps">Score: ${escapeHtml(scoreBreakdown(trend.trendStrength))}</div>` : ''}
+        ${trend.sentiment ? `<div class="gaps">Sentiment: ${escapeHtml(sentimentSummary(trend.sentiment))}</div>` : ''}
+        ${trend.contentGaps.length > 0 ? `<div class="gaps">Content gaps: ${trend.contentGaps.map(gap => escapeHtml(gapLabel(gap))).join(', ')}</div>` : ''}
+      </div>`;
+  }).join('');
+
+  const topics = (report.emergingTopics || []).length === 0 ? '' : `
+    <h2>Emerging Topics</h2>
+    <table>
+      <thead><tr><th>Topic</th><th>Type</th><th>Score</th><th>Tweets</th><th>Authors</th><th>Suggested</th></tr></thead>
+      <tbody>
+        ${report.emergingTopics.map(t => `<tr><td>${escapeHtml(t.term)}</td><td>${escapeHtml(t.type)}</td><td>${t.score}</td><td>${t.documents}</td><td>${t.authors}</td><td>${t.suggested ? '✅' : ''}</td></tr>`).join('\n        ')}
+      </tbody>
+    </table>`;
+
+  const m = report.mentions;
+  const mentions = !m ? '' : `
+    <h2>Mentions</h2>
+    <p>${m.total} mentions from ${m.uniqueAuthors} accounts · 😊 ${m.sentiment.positive} · 😐 ${m.sentiment.neutral} · 😞 ${m.sentiment.negative}</p>
+    ${m.topEngagers.length > 0 ? `<p>Top engagers: ${m.topEngagers.slice(0, 5).map(e => `@${escapeHtml(e.handle)} (${e.mentions})`).join(', ')}</p>` : ''}
+    ${m.relationshipSignals.map(r => `<p>🤝 @${escapeHtml(r.handle)} (${escapeHtml(r.relationship)}) mentioned you ${r.mentions}x, ${escapeHtml(r.sentiment)}</p>`).join('')}
+    ${m.unanswered && m.unanswered.length > 0 ? `<table>
+      <thead><tr><th>Unanswered</th><th>Author</th><th>Sentiment</th></tr></thead>
+      <tbody>
+        ${m.unanswered.map(u => `<tr><td><a href="${escapeHtml(u.url)}">${escapeHtml(u.text)}</a></td><td>@${escapeHtml(u.author)}</td><td>${escapeHtml(u.sentiment)}</td></tr>`).join('\n        ')}
+      </tbody>
+    </table>` : ''}`;
+
+  const swipeFile = !report.bookmarks ? '' : `
+    <h2>Swipe File</h2>
+    ${report.bookmarks.swipeFile.map(cluster => `
+    <h3>${escapeHtml(cluster.theme)} (${cluster.count})</h3>
+    <ul>${cluster.bookmarks.map(b => `<li><a href="${escapeHtml(b.url)}">@${escapeHtml(b.author)}</a>: ${escapeHtml(b.text)}</li>`).join('')}</ul>`).join('')}`;
+
+  const conversations = !report.conversations ? '' : `
+    <h2>Conversations</h2>
+    <p>${report.conversations.tweetsExpanded} top competitor tweets expanded · ${report.conversations.repliesAnalyzed} replies · ${report.conversations.questionsFound} questions</p>
+    ${report.conversations.threads.byLength.length > 0 ? `<p>Thread length vs engagement${report.conversations.threads.correlation !== null ? ` (correlation ${report.conversations.threads.correlation})` : ''}: ${report.conversations.threads.byLength.map(b => `${escapeHtml(b.length)} tweet(s) → median ${b.medianEngagement} (${b.tweets})`).join(' · ')}</p>` : ''}
+    ${report.conversations.unansweredQuestions.length > 0 ? `<h3>Unanswered Audience Questions</h3>
+    <ul>${report.conversations.unansweredQuestions.map(q => `<li><a href="${escapeHtml(q.url)}">@${escapeHtml(q.author)}</a> to @${escapeHtml(q.repliedTo)}: ${escapeHtml(q.text)}</li>`).join('')}</ul>` : ''}
+    ${report.conversations.recurringThemes.length > 0 ? `<p><strong>Recurring:</strong> ${report.conversations.recurringThemes.map(t => `${escapeHtml(t.term)} (${t.questions}Q/${t.objections}O)`).join(', ')}</p>` : ''}
+    ${report.conversations.topRepliers.length > 0 ? `<p><strong>Most active repliers:</strong> ${report.conversations.topRepliers.slice(0, 5).map(r => `@${escapeHtml(r.handle)} (${r.replies})`).join(', ')}</p>` : ''}`;
+
+  const self = !report.self ? '' : `
+    <h2>Your Account (@${escapeHtml(report.self.handle)})</h2>
+    <p>Profile (${report.self.profile.sampleSize} tweets): ${escapeHtml(profileSummary(report.self.profile))}</p>
+    ${formatGaps(report.self.benchmark).length > 0 ? `<p>Format mix vs competitors: ${escapeHtml(formatGaps(report.self.benchmark).join(' · '))}</p>` : ''}
+    ${report.self.benchmark.themes.missing.length > 0 ? `<p>Keywords competitors cover and you don't: ${report.self.benchmark.themes.missing.map(t => `${escapeHtml(t.theme)} (${t.competitors.length})`).join(', ')}</p>` : ''}
+    <table>
+      <thead><tr><th>Metric</th><th>You</th><th>Competitor median</th><th>Rank</th></tr></thead>
+      <tbody>
+        ${benchmarkRows(report.self.benchmark).map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td><td>${escapeHtml(row.median)}</td><td>${row.rank}</td></tr>`).join('\n        ')}
+      </tbody>
+    </table>`;
+
+  const profileChanges = !report.profileChanges ? '' : `
+    <h2>Profile Changes</h2>
+    <p>${report.profileChanges.tracked} profile(s) tracked · ${report.profileChanges.changes.length} change(s)${report.profileChanges.since ? ` since ${escapeHtml(formatDate(report.profileChanges.since))}` : ' (first snapshot)'}</p>
+    ${report.profileChanges.changes.length > 0 ? `<ul>${report.profileChanges.changes.map(change => `
+      <li>@${escapeHtml(change.handle)} (${escapeHtml(change.role)}): ${change.url ? `<a href="${escapeHtml(change.url)}">${escapeHtml(profileChangeLabel(change))}</a>` : escapeHtml(profileChangeLabel(change))}
+      ${change.diff ? `<p class="bio-diff">${change.diff.map(part => {
+        if (part.op === 'removed') return `<del>${escapeHtml(part.text)}</del>`;
+        return part.op === 'added' ? `<ins>${escapeHtml(part.text)}</ins>` : escapeHtml(part.text);
+      }).join(' ')}</p>` : ''}</li>`).join('')}
+    </ul>` : ''}`;
+
+  const handleSection = (title, entries) => `
+    <h2>${title}</h2>
+    ${entries.map(entry => `
+    <section class="handle">
+      <h3>@${escapeHtml(entry.handle)}</h3>
+      <p>Average engagement: ❤️ ${entry.averageEngagement.likes} · 🔄 ${entry.averageEngagement.retweets} · 💬 ${entry.averageEngagement.replies}</p>
+      ${entry.sentiment ? `<p>Sentiment: ${escapeHtml(sentimentSummary(entry.sentiment))}</p>` : ''}
+      ${entry.profile ? `<p>Profile (${entry.profile.sampleSize} tweets): ${escapeHtml(profileSummary(entry.profile))}</p>` : ''}
+      ${entry.profile && entry.profile.viral.length > 0 ? `<ul>${entry.profile.viral.map(v => `<li>🚀 <a href="${escapeHtml(v.url)}">${v.engagement} engagement, ${v.multipleOfMedian ?? '-'}× median</a>: ${escapeHtml(v.text)}</li>`).join('')}</ul>` : ''}
+      ${entry.collaborationPotential ? `<p>Collaboration potential: <strong>${escapeHtml(entry.collaborationPotential.level)}</strong> (${entry.collaborationPotential.score}) — ${escapeHtml(entry.collaborationPotential.reasoning)}</p>` : ''}
+      ${entry.collaborationPotential?.factors ? `<p class="meta">Score: ${escapeHtml(scoreBreakdown(entry.collaborationPotential))}</p>` : ''}
+      ${entry.contentThemes.length > 0 ? `<p>Themes: ${entry.contentThemes.map(t => `${escapeHtml(t.theme)} (${t.frequency})`).join(', ')}</p>` : ''}
+      <table>
+        <thead><tr><th>Tweet</th><th>❤️</th><th>🔄</th><th>💬</th><th>Date</th></tr></thead>
+        <tbody>
+          ${entry.topTweets.map(t => `<tr><td>${escapeHtml(t.text)}</td><td>${t.engagement.likes}</td><td>${t.engagement.retweets}</td><td>${t.engagement.replies}</td><td>${escapeHtml(formatDate(t.createdAt))}</td></tr>`).join('\n          ')}
+        </tbody>
+      </table>
+    </section>`).join('')}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Competitive Intelligence: ${escapeHtml(report.brand)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #656d76; }
+    .tag { display: inline-block; font-size: 0.75rem; padding: 0 0.4rem; border-radius: 0.6rem; background: #eaeef2; }
+    .action { margin: 0.25rem 0 0.75rem; color: #0969da; }
+    .priority-high .tag { background: #ffebe9; }
+    .priority-medium .tag { background: #fff8c5; }
+    .trend { margin-bottom: 0.75rem; }
+    .bar { background: #eaeef2; border-radius: 4px; height: 12px; }
+    .fill { height: 12px; border-radius: 4px; background: #8c959f; }
+    .level-strong { background: #1a7f37; }
+    .level-moderate { background: #bf8700; }
+    .trend-score, .gaps { font-size: 0.85rem; color: #656d76; }
+    .bio-diff { margin: 0.25rem 0; }
+    .bio-diff del { background: #ffebe9; }
+    .bio-diff ins { background: #dafbe1; text-decoration: none; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #d0d7de; padding: 0.4rem; text-align: left; vertical-align: top; }
+    td:nth-child(n+2) { white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <h1>Competitive Intelligence: ${escapeHtml(report.brand)}</h1>
+  <p class="meta">Generated ${escapeHtml(report.timestamp)}</p>
+  ${alerts}
+
+  <h2>Insights</h2>
+  <ul>${insights || '<li>No insights this run.</li>'}
+  </ul>
+
+  <h2>Recommendations</h2>
+  <ol>${recommendations || '<li>No recommendations this run.</li>'}
+  </ol>
+
+  <h2>Trends</h2>
+  ${trends}
+  ${topics}
+  ${mentions}
+  ${swipeFile}
+  ${conversations}
+  ${self}
+  ${profileChanges}
+  ${handleSection('Competitors', report.competitors)}
+  ${handleSection('Influencers', report.influencers)}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  markdown: { render: renderMarkdown, extension: 'md' },
+  html: { render: renderHtml, extension: 'html' }
+};
+
+/**
+ * Render a report and save it next to the JSON report
+ * @param {Object} report - Intelligence report
+ * @param {string} format - 'markdown' or 'html'
+ * @returns {Promise<string>} Saved file path
+ */
+async function saveRendered(report, format) {
+  const renderer = RENDERERS[format];
+
+  if (!renderer) {
+    throw new Error(`Unknown report format: ${format} (expected ${Object.keys(RENDERERS).join(' or ')})`);
+  }
+
+  const date = report.timestamp.split('T')[0];
+  const filename = `competitor-intel-${date}.${renderer.extension}`;
+
+  return BirdUtils.saveResults(filename, renderer.render(report), report.brand);
+}
+
+module.exports = { renderMarkdown, renderHtml, saveRendered, RENDERERS };
+
+// CLI Interface: render an already saved report
+if (require.main === module) {
+  const brand = process.argv[2] || 'ai.withjai';
+  const date = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+  const format = process.argv.find(arg => arg.startsWith('--format='))?.split('=')[1] || 'markdown';
+
+  (async () => {
+    try {
+      const dir = BirdUtils.getOutputDir(brand);
+      const filename = date
+        ? `competitor-intel-${date}.json`
+        : fs.existsSync(dir) && fs.readdirSync(dir).filter(f => /^competitor-intel-\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort().pop();
+
+      if (!filename || !fs.existsSync(path.join(dir, filename))) {
+        throw new Error(`No saved report found for ${brand}${date ? ` on ${date}` : ''}`);
+      }
+
+      const report = JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf-8'));
+      await saveRendered(report, format);
+    } catch (error) {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Request Scheduler
+ *
+ * Every bird fetch goes through one scheduler that:
+ *   - classifies failures (rate-limit, auth, not-found, transient)
+ *   - retries transient failures and rate limits with exponential backoff + jitter
+ *   - keeps a per-endpoint request budget (requests per window), persisted
+ *     across runs so back-to-back runs don't blow through X's limits
+ *   - runs a bounded number of fetches at once
+ *
+ * Usage:
+ *   node scripts/social/bird-scheduler.js status     # budget used per endpoint
+ *   node scripts/social/bird-scheduler.js reset      # forget recorded usage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = process.env.BIRD_STATE_DIR || path.join('brands', '.bird');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Requests per 15-minute window, kept below X's published limits
+const DEFAULT_BUDGETS = {
+  search: { limit: 50, windowMs: WINDOW_MS },
+  mentions: { limit: 75, windowMs: WINDOW_MS },
+  bookmarks: { limit: 50, windowMs: WINDOW_MS },
+  read: { limit: 150, windowMs: WINDOW_MS },
+  replies: { limit: 50, windowMs: WINDOW_MS },
+  thread: { limit: 50, windowMs: WINDOW_MS },
+  default: { limit: 100, windowMs: WINDOW_MS }
+};
+
+const DEFAULT_OPTIONS = {
+  concurrency: 3,
+  maxDelayMs: 60 * 1000,
+  rateLimitDelayMs: 15 * 1000,
+  // Waiting out a full window is fine; anything longer means the budget is misconfigured
+  maxBudgetWaitMs: WINDOW_MS + 60 * 1000,
+  budgets: DEFAULT_BUDGETS,
+  statePath: path.join(STATE_DIR, 'rate-budget.json')
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Classify a failed bird invocation
+ * @param {Error} error - Error from the data source
+ * @returns {string} 'rate-limit' | 'auth' | 'not-found' | 'transient'
+ */
+function classifyError(error) {
+  const text = `${error.message || ''} ${error.stderr || ''}`;
+
+  // Missing fixtures and a missing bird binary won't appear on retry
+  if (error.code === 'ENOFIXTURE' || error.code === 'ENOENT') return 'not-found';
+  if (/\b429\b|rate.?limit|too many requests/i.test(text)) return 'rate-limit';
+  // Whole words only: "author" or "authorization header" in an unrelated error is not an auth failure
+  if (/\b(401|403)\b|\bauth(entication|enticated?)?\b|cookie|unauthori[sz]ed|forbidden|not logged in/i.test(text)) return 'auth';
+  if (/\b404\b|not found|does not exist|no such user|suspended/i.test(text)) return 'not-found';
+  return 'transient';
+}
+
+/**
+ * Read a server-provided wait from a rate-limit error, if any
+ * @param {Error} error - Rate-limit error
+ * @returns {number|null} Milliseconds to wait
+ */
+function retryAfterMs(error) {
+  const text = `${error.message || ''} ${error.stderr || ''}`;
+
+  const seconds = text.match(/retry[- ]after[:=\s]+(\d+)/i);
+  if (seconds) return Number(seconds[1]) * 1000;
+
+  const reset = text.match(/reset[:=\s]+(\d{10})\b/i);
+  if (reset) return Math.max(0, Number(reset[1]) * 1000 - Date.now());
+
+  return null;
+}
+
+class RequestScheduler {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.budgets = { ...DEFAULT_BUDGETS, ...options.budgets };
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, budgetWaits: 0 };
+  }
+
+  /**
+   * Run a bird invocation under the concurrency limit, budget and retry policy
+   * @param {Array} args - Full bird arguments, command first (the command is the endpoint)
+   * @param {Function} task - Performs the request, returns a Promise
+   * @param {Object} options - { retries, delay, budget (false to skip budget tracking) }
+   * @returns {Promise<string>} Task result
+   */
+  async run(args, task, options = {}) {
+    await this.acquire();
+    try {
+      return await this.attempt(args[0], task, options);
+    } finally {
+      this.release();
+    }
+  }
+
+  async attempt(endpoint, task, options) {
+    const { retries = 3, delay = 1000, budget = true } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      if (budget) await this.waitForBudget(endpoint);
+
+      try {
+        this.stats.requests += 1;
+        return await task();
+      } catch (error) {
+        error.kind = classifyError(error);
+
+        if (error.kind === 'auth') {
+          const authError = new Error(`Authentication error: ${error.message}`);
+          authError.kind = 'auth';
+          throw authError;
+        }
+
+        if (error.kind === 'not-found' || attempt >= retries - 1) {
+          throw error;
+        }
+
+        let wait = this.backoff(attempt, delay);
+        if (error.kind === 'rate-limit') {
+          this.stats.rateLimited += 1;
+          wait = Math.max(this.backoff(attempt, this.options.rateLimitDelayMs), retryAfterMs(error) || 0);
+          // Hold back every other request to this endpoint too, in this run and the next
+          if (budget) this.block(endpoint, Date.now() + wait);
+        }
+
+        this.stats.retries += 1;
+        console.warn(`   ⏳ bird ${endpoint}: ${error.kind} error, retrying in ${Math.ceil(wait / 1000)}s (attempt ${attempt + 2}/${retries})`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half fixed, half random
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {number} baseMs - Delay before the first retry
+   * @returns {number} Milliseconds to wait
+   */
+  backoff(attempt, baseMs) {
+    const ceiling = Math.min(this.options.maxDelayMs, baseMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  async acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active += 1;
+      return;
+    }
+    // The releasing task hands its slot over directly
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active -= 1;
+  }
+
+  budgetFor(endpoint) {
+    return this.budgets[endpoint] || this.budgets.default;
+  }
+
+  /**
+   * Wait until the endpoint has budget left, then record the request
+   */
+  async waitForBudget(endpoint) {
+    for (;;) {
+      const wait = this.reserve(endpoint);
+      if (wait === 0) return;
+
+      if (wait > this.options.maxBudgetWaitMs) {
+        const error = new Error(`Request budget for "${endpoint}" exhausted; resets in ${Math.ceil(wait / 60000)} min`);
+        error.kind = 'rate-limit';
+        throw error;
+      }
+
+      this.stats.budgetWaits += 1;
+      console.warn(`   ⏳ bird ${endpoint}: request budget used up, waiting ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Record a request if the budget allows it
+   * @returns {number} 0 when recorded, otherwise milliseconds until budget frees up
+   */
+  reserve(endpoint, now = Date.now()) {
+    const { limit, windowMs } = this.budgetFor(endpoint);
+    const state = this.loadState();
+    const entry = state.endpoints[endpoint] || { requests: [], blockedUntil: null };
+    entry.requests = entry.requests.filter(t => t > now - windowMs);
+
+    let wait = 0;
+    if (entry.blockedUntil && entry.blockedUntil > now) {
+      wait = entry.blockedUntil - now;
+    } else if (entry.requests.length >= limit) {
+      wait = entry.requests[0] + windowMs - now;
+    } else {
+      entry.requests.push(now);
+      entry.blockedUntil = null;
+    }
+
+    state.endpoints[endpoint] = entry;
+    this.saveState(state);
+    return wait;
+  }
+
+  /**
+   * Block an endpoint until a time (after the server said we're rate limited)
+   */
+  block(endpoint, until) {
+    const state = this.loadState();
+    const entry = state.endpoints[endpoint] || { requests: [], blockedUntil: null };
+    entry.blockedUntil = Math.max(entry.blockedUntil || 0, until);
+    state.endpoints[endpoint] = entry;
+    this.saveState(state);
+  }
+
+  /**
+   * Budget usage per endpoint
+   * @returns {Array} [{ endpoint, used, limit, windowMs, blockedUntil }]
+   */
+  usage(now = Date.now()) {
+    const state = this.loadState();
+    return Object.entries(state.endpoints).map(([endpoint, entry]) => {
+      const { limit, windowMs } = this.budgetFor(endpoint);
+      return {
+        endpoint,
+        used: entry.requests.filter(t => t > now - windowMs).length,
+        limit,
+        windowMs,
+        blockedUntil: entry.blockedUntil && entry.blockedUntil > now ? new Date(entry.blockedUntil).toISOString() : null
+      };
+    });
+  }
+
+  loadState() {
+    // Read on every request so concurrent processes (watch + manual run) share the budget;
+    // saveState() replaces the file atomically, so a reader never sees a half-written one
+    if (!fs.existsSync(this.options.statePath)) return { endpoints: {} };
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.options.statePath, 'utf-8'));
+      return state && state.endpoints ? state : { endpoints: {} };
+    } catch (error) {
+      return { endpoints: {} };
+    }
+  }
+
+  saveState(state) {
+    fs.mkdirSync(path.dirname(this.options.statePath), { recursive: true });
+    // Write then rename: a rename is atomic, so another process reads either the old or the new budget
+    const temp = `${this.options.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(state));
+    fs.renameSync(temp, this.options.statePath);
+  }
+
+  reset() {
+    if (fs.existsSync(this.options.statePath)) fs.unlinkSync(this.options.statePath);
+  }
+}
+
+/**
+ * Read scheduler options from CLI arguments, falling back to environment variables
+ *   --concurrency=<n>  (BIRD_CONCURRENCY)
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options for RequestScheduler
+ */
+function schedulerOptionsFromArgs(argv = process.argv) {
+  const flag = argv.find(arg => arg.startsWith('--concurrency='))?.split('=')[1];
+  const concurrency = Number(flag || process.env.BIRD_CONCURRENCY);
+
+  return Number.isInteger(concurrency) && concurrency > 0 ? { concurrency } : {};
+}
+
+module.exports = {
+  RequestScheduler,
+  classifyError,
+  retryAfterMs,
+  schedulerOptionsFromArgs,
+  DEFAULT_BUDGETS,
+  STATE_DIR
+};
+
+// CLI Interface
+if (require.main === module) {
+  const scheduler = new RequestScheduler();
+
+  switch (process.argv[2]) {
+    case 'status': {
+      const usage = scheduler.usage();
+      console.log('\n📡 Bird request budget:\n');
+      if (usage.length === 0) {
+        console.log('   No requests recorded');
+      }
+      usage.forEach(u => {
+        const blocked = u.blockedUntil ? `  ⛔ blocked until ${u.blockedUntil}` : '';
+        console.log(`   ${u.endpoint.padEnd(10)} ${String(u.used).padStart(4)}/${u.limit} per ${u.windowMs / 60000} min${blocked}`);
+      });
+      console.log('');
+      break;
+    }
+
+    case 'reset':
+      scheduler.reset();
+      console.log('✅ Request budget reset');
+      break;
+
+    default:
+      console.log(`
+Bird Request Scheduler
+
+Commands:
+  status    Show requests used per endpoint in the current window
+  reset     Forget recorded usage (e.g. after switching accounts)
+
+Options (any bird script):
+  --concurrency=<n>    Parallel fetches (default 3, or BIRD_CONCURRENCY)
+
+Budget state: ${scheduler.options.statePath} (set BIRD_STATE_DIR to move it)
+      `);
+  }
+}
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Scoring
+ *
+ * Explainable 0-100 scores for collaboration potential (influencers) and trend
+ * strength (keywords). Each score is a weighted sum of normalized factors, and
+ * every factor reports its raw value, weight, points and a one-line explanation.
+ * Weights, level thresholds and benchmarks are set per brand under "scoring".
+ *
+ * Usage:
+ *   node scripts/social/bird-scoring.js explain ai.withjai sama
+ *   node scripts/social/bird-scoring.js explain ai.withjai "Claude Code" 2026-10-19
+ */
+
+const ReportHistory = require('./bird-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_MODELS = {
+  collaboration: {
+    weights: { engagementRate: 0.4, consistency: 0.2, relevance: 0.3, reach: 0.1 },
+    thresholds: { high: 70, medium: 40 },
+    // Values that earn a factor full marks
+    benchmarks: { engagementRate: 0.02, engagement: 200, relevance: 0.5 }
+  },
+  trendStrength: {
+    weights: { engagement: 0.35, engagementRate: 0.25, volume: 0.25, breadth: 0.15 },
+    thresholds: { strong: 60, moderate: 30 },
+    benchmarks: { engagement: 200, engagementRate: 0.02, volume: 0.5 }
+  }
+};
+
+const LEVEL_TEXT = {
+  collaboration: {
+    high: 'Strong, engaged audience - excellent collaboration target',
+    medium: 'Moderate fit - consider for partnerships',
+    low: 'Weaker fit - monitor before outreach'
+  },
+  trendStrength: {
+    strong: 'Strong trend',
+    moderate: 'Moderate trend',
+    weak: 'Weak trend'
+  }
+};
+
+const clamp = value => Math.max(0, Math.min(1, value));
+const percent = value => `${Math.round(value * 1000) / 10}%`;
+
+function totalEngagement(tweet) {
+  return tweet.engagement.likes + tweet.engagement.retweets + tweet.engagement.replies;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+class ScoringModel {
+  /**
+   * @param {Object} options - Brand "scoring" config ({ collaboration, trendStrength }) plus keywords
+   */
+  constructor(options = {}) {
+    this.keywords = (options.keywords || []).map(k => k.toLowerCase());
+    this.models = {};
+
+    Object.entries(DEFAULT_MODELS).forEach(([name, defaults]) => {
+      const overrides = options[name] || {};
+      this.models[name] = {
+        weights: { ...defaults.weights, ...overrides.weights },
+        thresholds: { ...defaults.thresholds, ...overrides.thresholds },
+        benchmarks: { ...defaults.benchmarks, ...overrides.benchmarks }
+      };
+    });
+  }
+
+  /**
+   * Median share of an author's followers engaging per tweet
+   * @returns {number|null} Rate, or null when follower counts are unknown
+   */
+  engagementRate(tweets) {
+    const rates = tweets
+      .filter(t => t.author.followers > 0)
+      .map(t => totalEngagement(t) / t.author.followers);
+    return rates.length > 0 ? median(rates) : null;
+  }
+
+  /**
+   * Score collaboration potential of an account from its recent tweets
+   * @param {Array} tweets - Canonical tweets by the account
+   * @returns {Object} { score, level, reasoning, factors }
+   */
+  collaboration(tweets) {
+    const { benchmarks } = this.models.collaboration;
+    const followers = Math.max(0, ...tweets.map(t => t.author.followers));
+    const rate = this.engagementRate(tweets);
+    const engagements = tweets.map(totalEngagement);
+    const medianEngagement = Math.round(median(engagements));
+
+    const factors = {
+      // Big accounts with weak tweets shouldn't beat small accounts with an engaged audience
+      engagementRate: rate !== null
+        ? {
+          value: Math.round(rate * 10000) / 10000,
+          normalized: clamp(rate / benchmarks.engagementRate),
+          explanation: `median ${percent(rate)} of ${followers.toLocaleString('en-US')} followers engage per tweet (full marks at ${percent(benchmarks.engagementRate)})`
+        }
+        : {
+          value: medianEngagement,
+          normalized: clamp(medianEngagement / benchmarks.engagement),
+          explanation: `follower count unknown; median ${medianEngagement} engagements per tweet (full marks at ${benchmarks.engagement})`
+        },
+      consistency: this.consistency(engagements),
+      relevance: this.relevance(tweets, benchmarks.relevance),
+      reach: {
+        value: followers,
+        // log scale: 1k followers scores 0, 1M scores full marks
+        normalized: followers > 0 ? clamp((Math.log10(followers) - 3) / 3) : 0,
+        explanation: followers > 0 ? `${followers.toLocaleString('en-US')} followers` : 'follower count unknown'
+      }
+    };
+
+    return this.combine('collaboration', factors, ['high', 'medium', 'low']);
+  }
+
+  /**
+   * Score how strong a keyword's conversation is
+   * @param {Array} tweets - Canonical tweets matching the keyword
+   * @param {Object} options - { now }
+   * @returns {Object} { score, level, reasoning, factors }
+   */
+  trendStrength(tweets, options = {}) {
+    const { benchmarks } = this.models.trendStrength;
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const medianEngagement = Math.round(median(tweets.map(totalEngagement)));
+    const rate = this.engagementRate(tweets);
+    const recent = tweets.filter(t => t.createdAt && now - new Date(t.createdAt).getTime() <= DAY_MS).length;
+    const recentShare = tweets.length > 0 ? recent / tweets.length : 0;
+    const authors = new Set(tweets.map(t => t.author.handle?.toLowerCase()).filter(Boolean)).size;
+
+    const factors = {
+      engagement: {
+        value: medianEngagement,
+        normalized: clamp(medianEngagement / benchmarks.engagement),
+        explanation: `median ${medianEngagement} engagements per tweet (full marks at ${benchmarks.engagement})`
+      },
+      engagementRate: {
+        value: rate !== null ? Math.round(rate * 10000) / 10000 : null,
+        normalized: rate !== null ? clamp(rate / benchmarks.engagementRate) : 0,
+        explanation: rate !== null
+          ? `median ${percent(rate)} of authors' followers engage (full marks at ${percent(benchmarks.engagementRate)})`
+          : 'follower counts unknown'
+      },
+      volume: {
+        value: recent,
+        normalized: clamp(recentShare / benchmarks.volume),
+        explanation: `${recent} of ${tweets.length} sampled tweets posted in the last 24h (full marks at ${percent(benchmarks.volume)})`
+      },
+      breadth: {
+        value: authors,
+        normalized: tweets.length > 0 ? clamp(authors / tweets.length) : 0,
+        explanation: `${authors} different authors in ${tweets.length} tweets`
+      }
+    };
+
+    return this.combine('trendStrength', factors, ['strong', 'moderate', 'weak']);
+  }
+
+  /**
+   * Steadiness of engagement across tweets: 1 / (1 + coefficient of variation)
+   */
+  consistency(engagements) {
+    if (engagements.length < 2) {
+      return { value: null, normalized: 0.5, explanation: 'too few tweets to judge consistency (neutral 50%)' };
+    }
+
+    const mean = engagements.reduce((a, b) => a + b, 0) / engagements.length;
+    const std = Math.sqrt(engagements.reduce((sum, e) => sum + (e - mean) ** 2, 0) / engagements.length);
+    const cv = mean > 0 ? std / mean : 0;
+
+    return {
+      value: Math.round(cv * 100) / 100,
+      normalized: mean > 0 ? 1 / (1 + cv) : 0,
+      explanation: mean > 0
+        ? `engagement varies ±${Math.round(cv * 100)}% around its mean across ${engagements.length} tweets`
+        : 'no engagement on recent tweets'
+    };
+  }
+
+  /**
+   * Share of tweets mentioning one of the brand's keywords
+   */
+  relevance(tweets, benchmark) {
+    if (this.keywords.length === 0 || tweets.length === 0) {
+      return { value: null, normalized: 0, explanation: 'no keywords configured' };
+    }
+
+    const onTopic = tweets.filter(t => {
+      const text = t.text.toLowerCase();
+      return this.keywords.some(k => text.includes(k));
+    }).length;
+    const share = onTopic / tweets.length;
+
+    return {
+      value: Math.round(share * 100) / 100,
+      normalized: clamp(share / benchmark),
+      explanation: `${onTopic} of ${tweets.length} tweets mention your keywords (full marks at ${percent(benchmark)})`
+    };
+  }
+
+  /**
+   * Weighted sum of factors with a breakdown and a level
+   * @param {string} name - Model name
+   * @param {Object} factors - { [factor]: { value, normalized, explanation } }
+   * @param {Array} levels - Level names, highest first (the last one has no threshold)
+   */
+  combine(name, factors, levels) {
+    const { weights, thresholds } = this.models[name];
+    const totalWeight = Object.keys(factors).reduce((sum, f) => sum + (weights[f] || 0), 0) || 1;
+
+    const breakdown = Object.entries(factors).map(([factor, f]) => {
+      const weight = (weights[factor] || 0) / totalWeight;
+      return {
+        factor,
+        value: f.value,
+        normalized: Math.round(f.normalized * 100) / 100,
+        weight: Math.round(weight * 100) / 100,
+        points: Math.round(f.normalized * weight * 1000) / 10,
+        maxPoints: Math.round(weight * 1000) / 10,
+        explanation: f.explanation
+      };
+    });
+
+    const score = Math.round(breakdown.reduce((sum, f) => sum + f.points, 0));
+    const level = levels.find(l => thresholds[l] !== undefined && score >= thresholds[l]) || levels[levels.length - 1];
+
+    // Lead with the factors that earned the most points
+    const drivers = [...breakdown]
+      .filter(f => f.weight > 0)
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 2)
+      .map(f => f.explanation);
+
+    return {
+      score,
+      level,
+      reasoning: `${LEVEL_TEXT[name][level]}: ${drivers.join('; ')}`,
+      factors: breakdown
+    };
+  }
+}
+
+ScoringModel.DEFAULT_MODELS = DEFAULT_MODELS;
+
+module.exports = ScoringModel;
+
+// CLI Interface
+if (require.main === module) {
+  const [command, brand, subject, date] = process.argv.slice(2);
+
+  try {
+    if (command !== 'explain' || !brand || !subject) {
+      console.log(`
+Bird Scoring
+
+Commands:
+  explain <brand> <handle|keyword> [YYYY-MM-DD]   Factor-by-factor breakdown from a stored report
+
+Examples:
+  node bird-scoring.js explain ai.withjai sama
+  node bird-scoring.js explain ai.withjai "Claude Code" 2026-10-19
+      `);
+      process.exit(command ? 1 : 0);
+    }
+
+    const history = new ReportHistory(brand);
+    const report = date ? history.find(date) : history.latest();
+    if (!report) {
+      throw new Error(date ? `No report found for ${date}` : `No reports stored for ${brand}`);
+    }
+
+    const name = subject.replace(/^@/, '').toLowerCase();
+    const influencer = report.influencers.find(i => i.handle.toLowerCase() === name);
+    const trend = report.trends.find(t => t.keyword.toLowerCase() === subject.toLowerCase());
+    const result = influencer?.collaborationPotential || trend?.trendStrength;
+
+    if (!result?.factors) {
+      throw new Error(`No explainable score for "${subject}" in the ${report.timestamp.split('T')[0]} report`);
+    }
+
+    console.log(`\n🧮 ${influencer ? `Collaboration potential of @${influencer.handle}` : `Trend strength of "${trend.keyword}"`}: ${result.score} (${result.level})\n`);
+    result.factors.forEach(f => {
+      console.log(`   ${f.factor.padEnd(15)} ${String(f.points).padStart(5)} / ${String(f.maxPoints).padEnd(5)} ${f.explanation}`);
+    });
+    console.log(`\n   ${result.reasoning}\n`);
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Sentiment & Tone
+ *
+ * Offline, rule-based sentiment and tone scoring (no external API):
+ *   - sentiment: weighted word/emoji lexicon with negation, intensifiers,
+ *                "but" clauses, caps/exclamation emphasis and sarcasm markers,
+ *                normalized to a -1..1 score; complaints are flagged separately
+ *   - tone:      educational, promotional, contrarian, question (or conversational)
+ *
+ * Usage:
+ *   node scripts/social/bird-sentiment.js "not bad at all, really useful thread 🧵"
+ */
+
+const LEXICON = {
+  // Positive
+  love: 3, loved: 3, loving: 2, amazing: 3, awesome: 3, excellent: 3, fantastic: 3, incredible: 3,
+  brilliant: 3, perfect: 3, outstanding: 3, superb: 3, wonderful: 3, best: 3, great: 3, beautiful: 2,
+  good: 2, nice: 2, cool: 2, helpful: 2, useful: 2, impressive: 2, insightful: 2, solid: 2, clean: 1,
+  thanks: 2, thank: 2, grateful: 2, excited: 2, exciting: 2, happy: 2, glad: 2, fun: 2, enjoy: 2,
+  enjoyed: 2, recommend: 2, recommended: 2, favorite: 2, fav: 2, win: 2, wins: 2, winning: 2,
+  works: 1, working: 1, fast: 1, easy: 1, simple: 1, smooth: 2, powerful: 2, agree: 1, wow: 2,
+  underrated: 2, gem: 2, goat: 2, fire: 1, legendary: 3, congrats: 2, congratulations: 2, saved: 1,
+  // Negative
+  hate: -3, hated: -3, terrible: -3, awful: -3, horrible: -3, worst: -3, garbage: -3, trash: -3,
+  scam: -3, fraud: -3, disaster: -3, pathetic: -3, useless: -3, bad: -2, broken: -2, bug: -2,
+  buggy: -2, crash: -2, crashes: -2, crashed: -2, fail: -2, failed: -2, fails: -2, failure: -2,
+  wrong: -2, disappointed: -2, disappointing: -2, annoying: -2, annoyed: -2, frustrating: -2,
+  frustrated: -2, confusing: -2, misleading: -2, overrated: -2, overpriced: -2, expensive: -1,
+  slow: -2, laggy: -2, sucks: -3, meh: -1, waste: -2, wasted: -2, problem: -1, problems: -1,
+  issue: -1, issues: -1, outage: -2, down: -1, spam: -2, ugly: -2, lame: -2, boring: -2, sad: -2,
+  angry: -2, worried: -1, concerned: -1, disagree: -1, unfortunately: -1, refund: -2, cancel: -1,
+  cancelled: -1, hype: -1, overhyped: -2, mid: -1, cringe: -2, rip: -1, nightmare: -3
+};
+
+const EMOJI = {
+  '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😊': 2, '😍': 3, '🥰': 3, '🤩': 3, '👏': 2, '🙌': 2,
+  '🔥': 2, '💯': 2, '❤': 3, '💪': 1, '🚀': 2, '✨': 1, '👍': 1, '🎉': 2, '🙏': 1,
+  '😠': -2, '😡': -3, '🤬': -3, '😞': -2, '😢': -2, '😭': -2, '👎': -2, '💩': -2, '😤': -2, '🤮': -3,
+  '😒': -1, '🙄': -1, '😬': -1, '🤦': -2, '🤡': -2
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly', 'barely',
+  'cannot', "can't", "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "weren't", "won't",
+  "wouldn't", "shouldn't", "couldn't", "haven't", "hasn't", "ain't", 'dont', 'doesnt', 'isnt', 'wont', 'cant'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.4, so: 1.3, extremely: 1.8, super: 1.5, incredibly: 1.7, absolutely: 1.6,
+  totally: 1.4, completely: 1.5, insanely: 1.7, seriously: 1.3, most: 1.3,
+  slightly: 0.5, somewhat: 0.6, kinda: 0.6, kind: 0.7, bit: 0.6, little: 0.7, fairly: 0.8
+};
+
+// A flipped sentiment word carries less weight than a plain one ("not bad" is mildly positive)
+const NEGATION_FACTOR = -0.75;
+const NEGATION_WINDOW = 3;
+const CLAUSE_END = /^[,.;!?]$/;
+
+const SARCASM_MARKERS = [
+  /(^|\s)\/s\b/i, /\byeah,? right\b/i, /\boh,? (great|wonderful|perfect|nice)\b/i, /\bthanks a lot\b/i,
+  /\bjust what i (needed|wanted)\b/i, /\bwhat a surprise\b/i, /\bsaid no one\b/i, /\bsure,? jan\b/i,
+  /"(great|amazing|genius|brilliant|smart|innovative)"/i, /\bclearly\b.*\bgenius\b/i, /[🙄😏🙃]/u
+];
+
+const COMPLAINT_MARKERS = [
+  /\b(doesn'?t|does not|don'?t|won'?t|can'?t|isn'?t|stopped) work(ing)?\b/i, /\bstill (waiting|broken|no)\b/i,
+  /\bbroken\b/i, /\bbug(gy|s)?\b/i, /\bcrash(es|ed|ing)?\b/i, /\brefund\b/i, /\bcharged\b/i,
+  /\bsupport (team )?(is|never|won'?t)\b/i, /\b(outage|down again)\b/i, /\bplease fix\b/i, /\bfix (this|it)\b/i,
+  /\bwhy (is|does|do|can'?t)\b.*\b(so|still|not)\b/i, /\bnobody (answers|responds|replied)\b/i, /\bunsubscrib/i
+];
+
+const TONE_PATTERNS = {
+  educational: [
+    /\bhow to\b/i, /\bhere'?s how\b/i, /\bguide\b/i, /\btutorial\b/i, /\bstep[- ]by[- ]step\b/i, /\bsteps?\b/i,
+    /\blessons?\b/i, /\bi learned\b/i, /\btips?\b/i, /\bframework\b/i, /\bexplained\b/i, /\bbreakdown\b/i,
+    /\bmistakes\b/i, /\bways to\b/i, /🧵/u, /\bthread\b/i, /(^|\n)\s*(1[.)/]|•|-)\s+\S/, /\bwhat i wish\b/i
+  ],
+  promotional: [
+    /\blink in bio\b/i, /\bsign up\b/i, /\bjoin (us|me|the)\b/i, /\blaunch(ing|ed)?\b/i, /\bavailable now\b/i,
+    /\bdiscount\b/i, /\d+% off\b/i, /\bgiveaway\b/i, /\bsubscribe\b/i, /\bcheck (it )?out\b/i, /\bbuy\b/i,
+    /\bwaitlist\b/i, /\bfree trial\b/i, /\bdm me\b/i, /\bregister\b/i, /\bwebinar\b/i, /\buse code\b/i,
+    /\bpre-?order\b/i, /\bget (yours|it now|access)\b/i, /\bnew (course|product|feature|episode)\b/i
+  ],
+  contrarian: [
+    /\bunpopular opinion\b/i, /\bhot take\b/i, /\bcontroversial\b/i, /\boverrated\b/i, /\bmyth\b/i,
+    /\bstop (doing|using|saying)\b/i, /\bnobody (talks|tells)\b/i, /\beveryone is wrong\b/i, /\bthe truth is\b/i,
+    /\byou don'?t need\b/i, /\bis dead\b/i, /\bdisagree\b/i, /\bactually\b/i, /\bcounterpoint\b/i, /\bwrong about\b/i
+  ]
+};
+
+const TONES = ['educational', 'promotional', 'contrarian', 'question'];
+
+const QUESTION_START = /^(how|what|why|when|where|which|who|can|could|does|do|did|is|are|should|would|will|any|anyone|has|have)\b/i;
+
+/**
+ * Whether the sentiment word at index i is negated: a negator up to
+ * NEGATION_WINDOW words back, in the same clause and with no other sentiment
+ * word in between ("no problem, happy to help" only flips "problem")
+ * @param {Array} words - Lowercased words
+ * @param {Array} clauses - Clause number of each word
+ * @param {number} i - Index of the sentiment word
+ * @returns {boolean}
+ */
+function isNegated(words, clauses, i) {
+  for (let j = i - 1; j >= Math.max(0, i - NEGATION_WINDOW) && clauses[j] === clauses[i]; j--) {
+    if (NEGATORS.has(words[j]) || words[j].endsWith("n't")) return true;
+    if (Object.hasOwn(LEXICON, words[j])) return false;
+  }
+  return false;
+}
+
+class SentimentAnalyzer {
+  /**
+   * Whether text asks something (question mark or interrogative opening)
+   * @param {string} text - Text without leading @handles
+   */
+  static isQuestion(text) {
+    return text.includes('?') || QUESTION_START.test(text.trim());
+  }
+
+  /**
+   * Score sentiment of a text
+   * @param {string} text - Tweet text
+   * @returns {Object} { score (-1..1), label, sarcasm, complaint }
+   */
+  static score(text) {
+    const cleaned = text.replace(/https?:\/\/\S+/g, ' ').replace(/[@#]\w+/g, ' ');
+    const tokens = [];
+    // Clause number of each token; punctuation ends a clause
+    const clauses = [];
+    let clause = 0;
+    (cleaned.match(/[A-Za-z][A-Za-z'’]*|[,.;!?]/g) || []).forEach(token => {
+      if (CLAUSE_END.test(token)) {
+        clause += 1;
+      } else {
+        tokens.push(token);
+        clauses.push(clause);
+      }
+    });
+    const words = tokens.map(t => t.toLowerCase().replace(/’/g, "'"));
+
+    // Words after "but" outweigh the clause before it
+    const butIndex = words.lastIndexOf('but');
+
+    let raw = 0;
+    words.forEach((word, i) => {
+      if (!Object.hasOwn(LEXICON, word)) return;
+
+      let value = LEXICON[word];
+      const previous = words[i - 1];
+
+      if (Object.hasOwn(INTENSIFIERS, previous || '')) value *= INTENSIFIERS[previous];
+      if (tokens[i].length > 2 && tokens[i] === tokens[i].toUpperCase()) value *= 1.3;
+
+      if (isNegated(words, clauses, i)) value *= NEGATION_FACTOR;
+
+      if (butIndex >= 0) value *= i < butIndex ? 0.5 : 1.5;
+
+      raw += value;
+    });
+
+    for (const [emoji, value] of Object.entries(EMOJI)) {
+      const count = text.split(emoji).length - 1;
+      raw += value * Math.min(count, 3);
+    }
+
+    // Exclamation marks amplify whichever way the text already leans
+    const exclamations = Math.min((text.match(/!/g) || []).length, 3);
+    if (raw !== 0) raw += Math.sign(raw) * 0.3 * exclamations;
+
+    const sarcasm = SARCASM_MARKERS.some(pattern => pattern.test(text));
+    if (sarcasm && raw > 0) {
+      raw = -Math.max(raw * 0.75, 1);
+    }
+
+    const complaint = COMPLAINT_MARKERS.some(pattern => pattern.test(text));
+    if (complaint && raw >= 0) raw -= 1;
+
+    // Squash into -1..1 so long tweets don't dominate
+    const score = Math.round((raw / Math.sqrt(raw * raw + 15)) * 1000) / 1000;
+
+    return {
+      score,
+      label: score >= 0.05 ? 'positive' : score <= -0.05 ? 'negative' : 'neutral',
+      sarcasm,
+      complaint
+    };
+  }
+
+  /**
+   * Classify the tone of a text
+   * @param {string} text - Tweet text
+   * @returns {Object} { primary, tones: [..] } where primary is 'conversational' if nothing matches
+   */
+  static tone(text) {
+    const body = text.replace(/^(\s*@\w{1,15})+\s*/, '');
+    const hits = {
+      educational: TONE_PATTERNS.educational.filter(p => p.test(body)).length,
+      promotional: TONE_PATTERNS.promotional.filter(p => p.test(body)).length,
+      contrarian: TONE_PATTERNS.contrarian.filter(p => p.test(body)).length,
+      question: this.isQuestion(body) ? 1 : 0
+    };
+
+    const tones = TONES.filter(t => hits[t] > 0).sort((a, b) => hits[b] - hits[a]);
+
+    return {
+      primary: tones[0] || 'conversational',
+      tones
+    };
+  }
+
+  /**
+   * Attach sentiment and tone to canonical tweets (in place)
+   * @param {Array} tweets - Canonical tweets
+   * @returns {Array} The same tweets, each with { sentiment, tone }
+   */
+  static annotate(tweets) {
+    tweets.forEach(tweet => {
+      tweet.sentiment = this.score(tweet.text);
+      tweet.tone = this.tone(tweet.text).primary;
+    });
+    return tweets;
+  }
+
+  /**
+   * Roll up sentiment and tone over a set of tweets
+   * @param {Array} tweets - Canonical tweets (annotated or not)
+   * @returns {Object} { tweets, positive, neutral, negative, averageScore, negativeShare, complaints, sarcasm, tones, dominantTone }
+   */
+  static rollup(tweets) {
+    const scored = tweets.map(t => ({
+      sentiment: t.sentiment || this.score(t.text),
+      tone: t.tone || this.tone(t.text).primary
+    }));
+
+    const count = predicate => scored.filter(predicate).length;
+    const tones = {};
+    scored.forEach(s => {
+      tones[s.tone] = (tones[s.tone] || 0) + 1;
+    });
+
+    const total = scored.length;
+    return {
+      tweets: total,
+      positive: count(s => s.sentiment.label === 'positive'),
+      neutral: count(s => s.sentiment.label === 'neutral'),
+      negative: count(s => s.sentiment.label === 'negative'),
+      averageScore: total > 0 ? Math.round((scored.reduce((sum, s) => sum + s.sentiment.score, 0) / total) * 1000) / 1000 : 0,
+      negativeShare: total > 0 ? Math.round((count(s => s.sentiment.label === 'negative') / total) * 100) / 100 : 0,
+      complaints: count(s => s.sentiment.complaint),
+      sarcasm: count(s => s.sentiment.sarcasm),
+      tones,
+      dominantTone: Object.entries(tones).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+    };
+  }
+}
+
+module.exports = SentimentAnalyzer;
+
+// CLI Interface
+if (require.main === module) {
+  const text = process.argv.slice(2).join(' ');
+
+  if (!text) {
+    console.log('Usage: node bird-sentiment.js "<text>"');
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify({
+    sentiment: SentimentAnalyzer.score(text),
+    tone: SentimentAnalyzer.tone(text)
+  }, null, 2));
+}
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Server
+ *
+ * Local HTTP API and dashboard over the saved intelligence reports, built on
+ * Node's http module (no external services):
+ *
+ *   GET  /                              dashboard (engagement per competitor, trend strength over time)
+ *   GET  /brands                        configured brands with their report counts
+ *   GET  /brands/:brand/reports         saved daily reports, newest first
+ *   GET  /brands/:brand/reports/:date   one report (YYYY-MM-DD, or "latest")
+ *   GET  /brands/:brand/series          per-run engagement and trend strength, for charts
+ *   POST /brands/:brand/run             start CompetitiveIntelligence.run() (202; 409 while running)
+ *   GET  /brands/:brand/run             status of the latest run started by this server
+ *
+ * Binds to 127.0.0.1 by default. Set BIRD_SERVER_TOKEN to require
+ * "Authorization: Bearer <token>" on POST requests.
+ *
+ * POST requests must be "Content-Type: application/json" and, when the browser
+ * sends an Origin, come from the server's own origin, so other web pages can't
+ * start runs with a cross-site form. On a loopback address, requests must also
+ * name a loopback Host (no DNS rebinding).
+ *
+ * Usage:
+ *   node scripts/social/bird-server.js                       # http://127.0.0.1:4747
+ *   node scripts/social/bird-server.js --port=8080 --host=0.0.0.0
+ */
+
+const BirdUtils = require('./bird-utils');
+const ReportHistory = require('./bird-history');
+const CompetitiveIntelligence = require('./bird-competitive-intel');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  port: 4747,
+  host: '127.0.0.1',
+  token: process.env.BIRD_SERVER_TOKEN || null
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BODY_BYTES = 64 * 1024;
+const DASHBOARD = path.join(__dirname, 'bird-dashboard.html');
+const LOOPBACK = /^(localhost|127(\.\d{1,3}){3}|\[?::1\]?)$/i;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function totalEngagement(avg) {
+  return (avg?.likes || 0) + (avg?.retweets || 0) + (avg?.replies || 0);
+}
+
+class BirdServer {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // brand → { status, startedAt, finishedAt, options, date, error }
+    this.runs = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.routes = [
+      ['GET', /^\/$/, () => this.dashboard()],
+      ['GET', /^\/brands$/, () => this.listBrands()],
+      ['GET', /^\/brands\/([^/]+)\/reports$/, brand => this.listReports(brand)],
+      ['GET', /^\/brands\/([^/]+)\/reports\/([^/]+)$/, (brand, date) => this.getReport(brand, date)],
+      ['GET', /^\/brands\/([^/]+)\/series$/, brand => this.series(brand)],
+      ['POST', /^\/brands\/([^/]+)\/run$/, (brand, body) => this.startRun(brand, body)],
+      ['GET', /^\/brands\/([^/]+)\/run$/, brand => this.runStatus(brand)]
+    ];
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.options.host}:${port}`);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      const route = this.routes.find(([method, pattern]) => pattern.test(pathname) && method === req.method);
+      if (!route) {
+        const known = this.routes.some(([, pattern]) => pattern.test(pathname));
+        throw httpError(known ? 405 : 404, known ? `${req.method} not allowed on ${pathname}` : `Not found: ${pathname}`);
+      }
+
+      const [method, pattern, action] = route;
+      this.checkHost(req);
+
+      let params;
+      try {
+        params = pathname.match(pattern).slice(1).map(decodeURIComponent);
+      } catch (error) {
+        throw httpError(400, `Malformed URL: ${pathname}`);
+      }
+      let body = null;
+
+      if (method === 'POST') {
+        this.checkOrigin(req);
+        this.authorize(req);
+        body = await this.readBody(req);
+      }
+
+      const result = await action(...params, body);
+      if (result.html !== undefined) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(result.html);
+        return;
+      }
+      this.json(res, result.status || 200, result.body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) console.error(`❌ ${req.method} ${pathname}: ${error.message}`);
+      this.json(res, status, { error: error.message });
+    }
+  }
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * On a loopback address, reject requests for other host names: a page on
+   * another domain that resolves to 127.0.0.1 (DNS rebinding) would otherwise
+   * count as same-origin
+   */
+  checkHost(req) {
+    if (!LOOPBACK.test(this.options.host)) return;
+
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!LOOPBACK.test(hostname)) {
+      throw httpError(403, `Host "${req.headers.host || ''}" not allowed`);
+    }
+  }
+
+  /**
+   * Only JSON from the server's own origin (or from non-browser clients, which
+   * send no Origin) may start runs; a cross-site form can't send JSON without
+   * a CORS preflight, which this server never answers
+   */
+  checkOrigin(req) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      throw httpError(415, 'POST requests must be Content-Type: application/json');
+    }
+
+    const { origin } = req.headers;
+    if (origin && origin !== `http://${req.headers.host}`) {
+      throw httpError(403, `Origin ${origin} not allowed`);
+    }
+  }
+
+  authorize(req) {
+    if (!this.options.token) return;
+    if (req.headers.authorization !== `Bearer ${this.options.token}`) {
+      throw httpError(401, 'Missing or invalid bearer token');
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf-8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!body.trim()) return resolve({});
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(httpError(400, `Request body is not valid JSON: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Brand config, or a 404 for brands not in bird-config.json
+   * (brand names are never used as paths unless configured)
+   */
+  brandConfig(brand) {
+    const config = BirdUtils.loadConfig();
+    if (!Object.prototype.hasOwnProperty.call(config, brand)) {
+      throw httpError(404, `Unknown brand: ${brand}`);
+    }
+    return config[brand];
+  }
+
+  /**
+   * Saved daily report files, newest first
+   */
+  reportFiles(brand) {
+    return BirdUtils.listSavedReports(brand).reverse();
+  }
+
+  readReport(filepath) {
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  }
+
+  dashboard() {
+    return { html: fs.readFileSync(DASHBOARD, 'utf-8') };
+  }
+
+  listBrands() {
+    const config = BirdUtils.loadConfig();
+
+    return {
+      body: Object.entries(config).map(([brand, brandConfig]) => {
+        const files = this.reportFiles(brand);
+        return {
+          brand,
+          enabled: brandConfig.enabled,
+          description: brandConfig.description || null,
+          reports: files.length,
+          latest: files[0]?.date || null,
+          running: this.runs.get(brand)?.status === 'running'
+        };
+      })
+    };
+  }
+
+  listReports(brand) {
+    this.brandConfig(brand);
+
+    return {
+      body: this.reportFiles(brand).map(({ date, filepath }) => {
+        const report = this.readReport(filepath);
+        return { date, timestamp: report.timestamp, summary: report.summary || null };
+      })
+    };
+  }
+
+  getReport(brand, date) {
+    this.brandConfig(brand);
+
+    if (date !== 'latest' && !DATE.test(date)) {
+      throw httpError(400, `Invalid date "${date}" (expected YYYY-MM-DD or "latest")`);
+    }
+
+    const files = this.reportFiles(brand);
+    const file = date === 'latest' ? files[0] : files.find(f => f.date === date);
+    if (!file) {
+      throw httpError(404, `No report for ${brand}${date === 'latest' ? '' : ` on ${date}`}`);
+    }
+
+    return { body: this.readReport(file.filepath) };
+  }
+
+  /**
+   * Engagement per competitor and strength per trend for every stored run
+   * @returns {Object} { brand, timestamps, competitors: { handle: [] }, trends: { keyword: [] } }
+   */
+  series(brand) {
+    this.brandConfig(brand);
+
+    const reports = new ReportHistory(brand).load();
+    const result = { brand, timestamps: reports.map(r => r.timestamp), competitors: {}, trends: {} };
+
+    // One value per run; null where a handle or keyword was not in that run
+    const track = (target, key, index, value) => {
+      if (!target[key]) target[key] = new Array(reports.length).fill(null);
+      target[key][index] = value;
+    };
+
+    reports.forEach((report, i) => {
+      (report.competitors || []).forEach(c => {
+        track(result.competitors, c.handle, i, totalEngagement(c.averageEngagement));
+      });
+      (report.trends || []).forEach(t => {
+        // Reports from before scored trends stored a plain level string
+        track(result.trends, t.keyword, i, typeof t.trendStrength?.score === 'number' ? t.trendStrength.score : null);
+      });
+    });
+
+    return { body: result };
+  }
+
+  /**
+   * Start an intelligence run in the background
+   * @param {string} brand - Brand name
+   * @param {Object} body - { competitorsOnly, influencersOnly, deep }
+   */
+  startRun(brand, body) {
+    this.brandConfig(brand);
+
+    if (this.runs.get(brand)?.status === 'running') {
+      throw httpError(409, `A run for ${brand} is already in progress`);
+    }
+
+    const options = {
+      competitorsOnly: Boolean(body.competitorsOnly),
+      influencersOnly: Boolean(body.influencersOnly),
+      deep: Boolean(body.deep)
+    };
+    const run = { status: 'running', startedAt: new Date().toISOString(), finishedAt: null, options, date: null, error: null };
+    this.runs.set(brand, run);
+
+    new CompetitiveIntelligence(brand).run(options)
+      .then(report => {
+        Object.assign(run, { status: 'succeeded', date: report.timestamp.split('T')[0], summary: report.summary });
+      })
+      .catch(error => {
+        console.error(`❌ Run for ${brand} failed: ${error.message}`);
+        Object.assign(run, { status: 'failed', error: error.message });
+      })
+      .then(() => {
+        run.finishedAt = new Date().toISOString();
+      });
+
+    return { status: 202, body: { brand, ...run, statusUrl: `/brands/${encodeURIComponent(brand)}/run` } };
+  }
+
+  runStatus(brand) {
+    this.brandConfig(brand);
+
+    const run = this.runs.get(brand);
+    if (!run) throw httpError(404, `No run started for ${brand} since the server started`);
+    return { body: { brand, ...run } };
+  }
+}
+
+BirdServer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = BirdServer;
+
+// CLI Interface
+if (require.main === module) {
+  const flag = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const server = new BirdServer({
+    port: Number(flag('port') || process.env.BIRD_SERVER_PORT || DEFAULT_OPTIONS.port),
+    host: flag('host') || DEFAULT_OPTIONS.host
+  });
+
+  server.listen()
+    .then(url => {
+      console.log(`\n📡 Bird server listening on ${url}`);
+      console.log(`   Dashboard: ${url}/`);
+      console.log(`   API:       ${url}/brands${server.options.token ? ' (POST requires a bearer token)' : ''}\n`);
+    })
+    .catch(error => {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      console.log(`\n⏹️  ${signal} received, stopping server`);
+      server.close().then(() => process.exit(0));
+    });
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * Bird SMTP
+ * Minimal SMTP client for alert emails, built on Node's net and tls modules so
+ * the repo stays dependency-free. Supports implicit TLS (port 465), STARTTLS,
+ * AUTH PLAIN and plain-text messages.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_OPTIONS = {
+  port: 587,
+  // true = TLS from the first byte (port 465); false = upgrade with STARTTLS when offered
+  secure: false,
+  // Refuse to send credentials or mail over an unencrypted connection
+  requireTLS: false,
+  // Send AUTH credentials even without TLS (only for local or trusted relays)
+  allowInsecureAuth: false,
+  timeoutMs: 15000
+};
+
+/**
+ * Encode a header value containing non-ASCII characters (RFC 2047)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    if (this.socket) {
+      this.socket.setTimeout(0);
+      ['data', 'error', 'timeout', 'close'].forEach(event => this.socket.removeAllListeners(event));
+    }
+    this.socket = socket;
+    socket.setEncoding('utf-8');
+    socket.setTimeout(this.timeoutMs, () => this.fail(new Error(`SMTP server did not respond within ${this.timeoutMs}ms`)));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    // Without this a server that hangs up would leave the pending reply waiting forever
+    socket.on('close', () => this.fail(new Error('SMTP server closed the connection')));
+  }
+
+  /**
+   * Collect reply lines; a reply ends on a line whose code is followed by a space
+   */
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.responses.push({ code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) });
+        this.lines = [];
+      }
+    }
+    this.flush();
+  }
+
+  fail(error) {
+    this.error = error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.responses.length > 0) {
+      this.waiting = null;
+      resolve(this.responses.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} line - Command, or null to only read a reply
+   * @param {Array} expected - Acceptable reply codes
+   * @param {string} label - Command name for errors (hides credentials)
+   */
+  async command(line, expected, label = line) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const response = await this.read();
+
+    if (!expected.includes(response.code)) {
+      const error = new Error(`SMTP ${label || 'greeting'} failed: ${response.code} ${response.lines.join(' ')}`);
+      error.code = 'ESMTP';
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  close() {
+    this.socket.end();
+    this.socket.destroy();
+  }
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+      socket.setTimeout(0);
+      ['error', 'timeout'].forEach(event => socket.removeAllListeners(event));
+      resolve(socket);
+    });
+    socket.once('error', reject);
+    socket.setTimeout(options.timeoutMs, () => {
+      socket.destroy();
+      reject(new Error(`Could not connect to SMTP server ${options.host}:${options.port} within ${options.timeoutMs}ms`));
+    });
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+/**
+ * Build an RFC 5322 plain-text message
+ */
+function buildMessage(from, to, subject, text) {
+  const domain = from.split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  // Dot-stuffing: a line starting with "." gets a second one
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Send one plain-text email
+ * @param {Object} options - { host, port, secure, requireTLS, allowInsecureAuth, username, password, from, to, timeoutMs }
+ * @param {Object} message - { subject, text }
+ * @returns {Promise<Object>} { accepted } recipients
+ */
+async function sendMail(options, message) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const to = [].concat(settings.to || []);
+
+  if (!settings.host || !settings.from || to.length === 0) {
+    throw new Error('SMTP settings need host, from and at least one "to" address');
+  }
+
+  const connection = new SmtpConnection(await connect(settings), settings.timeoutMs);
+
+  try {
+    await connection.command(null, [220]);
+    const hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = settings.secure;
+
+    if (!encrypted && hello.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await connection.command('STARTTLS', [220]);
+      connection.attach(await upgrade(connection.socket, settings.host));
+      encrypted = true;
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (!encrypted && settings.requireTLS) {
+      throw new Error(`SMTP server ${settings.host} does not offer STARTTLS and requireTLS is set`);
+    }
+
+    if (settings.username) {
+      if (!encrypted && !settings.allowInsecureAuth) {
+        throw new Error(`SMTP server ${settings.host} does not offer STARTTLS; refusing to send credentials in cleartext (set allowInsecureAuth to allow it)`);
+      }
+      const credentials = Buffer.from(`\0${settings.username}\0${settings.password || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await connection.command(`MAIL FROM:<${settings.from}>`, [250]);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    await connection.command(`${buildMessage(settings.from, to, message.subject, message.text)}\r\n.`, [250], 'message');
+    await connection.command('QUIT', [221]).catch(() => {});
+
+    return { accepted: to };
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = { sendMail, buildMessage, DEFAULT_OPTIONS };
@@ -0,0 +1,207 @@
+/**
+ * Bird Data Sources
+ * Backends that BirdUtils.executeCommand runs bird commands against:
+ *   - BirdCliSource:   shells out to the bird CLI (live data)
+ *   - ReplaySource:    serves recorded JSON fixtures (offline, deterministic)
+ *   - RecordingSource: wraps another source and captures its output as fixtures
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Wrapper script used when BIRD_BIN is not set; it mirrors resolveBirdBinary()
+const BIRD_WRAPPER = path.join(__dirname, 'bird');
+// Local build with the GraphQL fix, preferred over the bird on PATH
+const PATCHED_BIRD = '/tmp/bird-patched/bird';
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Command name
+ * @returns {string|null} Absolute path
+ */
+function findOnPath(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch (error) {
+      // Not here; keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out which bird binary commands will run, in the wrapper's order:
+ * BIRD_BIN, then the patched build, then bird on PATH
+ * @returns {Object} { path (null when nothing is found), via, requested }
+ */
+function resolveBirdBinary() {
+  const override = process.env.BIRD_BIN;
+
+  if (override) {
+    const resolved = override.includes('/') ? path.resolve(override) : findOnPath(override);
+    return { path: resolved && fs.existsSync(resolved) ? resolved : null, via: 'BIRD_BIN', requested: override };
+  }
+  if (fs.existsSync(PATCHED_BIRD)) {
+    return { path: PATCHED_BIRD, via: 'patched build', requested: PATCHED_BIRD };
+  }
+  return { path: findOnPath('bird'), via: 'PATH', requested: 'bird' };
+}
+
+/**
+ * Build the fixture file path for a bird invocation
+ * Layout: <fixturesDir>/<command>/<readable-args>-<hash>.json
+ * @param {string} fixturesDir - Fixture root directory
+ * @param {Array} args - Full bird arguments, command first
+ * @returns {string} Fixture path
+ */
+function fixturePath(fixturesDir, args) {
+  const [command, ...rest] = args;
+  const key = rest.join(' ');
+  const slug = key.replace(/[^a-z0-9._-]+/gi, '_').replace(/^_+|_+$/g, '').substring(0, 80) || 'default';
+  const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 8);
+
+  return path.join(fixturesDir, command, `${slug}-${hash}.json`);
+}
+
+class BirdCliSource {
+  constructor(options = {}) {
+    // BIRD_BIN runs a specific binary; otherwise the wrapper picks one (see resolveBirdBinary)
+    this.birdPath = options.birdPath || process.env.BIRD_BIN || BIRD_WRAPPER;
+    this.name = 'bird';
+  }
+
+  /**
+   * Run bird and return its stdout
+   * @param {Array} args - Full bird arguments, command first
+   * @returns {Promise<string>} Command output
+   */
+  async execute(args) {
+    const result = await execFileAsync(this.birdPath, args);
+    return result.stdout;
+  }
+}
+
+class ReplaySource {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.name = 'replay';
+  }
+
+  /**
+   * Serve a recorded fixture for the given arguments
+   * @param {Array} args - Full bird arguments, command first
+   * @returns {Promise<string>} Recorded output
+   */
+  async execute(args) {
+    const filepath = fixturePath(this.fixturesDir, args);
+
+    if (!fs.existsSync(filepath)) {
+      const error = new Error(`No fixture recorded for "bird ${args.join(' ')}" (expected ${filepath})`);
+      error.code = 'ENOFIXTURE';
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+
+    return 'data' in fixture ? JSON.stringify(fixture.data) : fixture.stdout;
+  }
+}
+
+class RecordingSource {
+  constructor(options = {}) {
+    this.source = options.source || new BirdCliSource();
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.name = 'record';
+  }
+
+  /**
+   * Run the wrapped source and save its output as a fixture
+   * @param {Array} args - Full bird arguments, command first
+   * @returns {Promise<string>} Command output
+   */
+  async execute(args) {
+    const stdout = await this.source.execute(args);
+    const filepath = fixturePath(this.fixturesDir, args);
+
+    const fixture = {
+      command: args[0],
+      args: args.slice(1),
+      recordedAt: new Date().toISOString()
+    };
+
+    // Store parsed JSON when possible so fixtures are easy to read and edit
+    try {
+      fixture.data = JSON.parse(stdout);
+    } catch (error) {
+      fixture.stdout = stdout;
+    }
+
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(fixture, null, 2));
+
+    return stdout;
+  }
+}
+
+/**
+ * Create a source by mode name
+ * @param {Object} options - { mode: 'bird'|'replay'|'record', fixturesDir, birdPath }
+ * @returns {Object} Source with an execute(args) method
+ */
+function createSource(options = {}) {
+  const { mode = 'bird', fixturesDir, birdPath } = options;
+
+  switch (mode) {
+    case 'bird':
+      return new BirdCliSource({ birdPath });
+    case 'replay':
+      return new ReplaySource({ fixturesDir });
+    case 'record':
+      return new RecordingSource({ source: new BirdCliSource({ birdPath }), fixturesDir });
+    default:
+      throw new Error(`Unknown data source: ${mode} (expected bird, replay or record)`);
+  }
+}
+
+/**
+ * Read source options from CLI arguments, falling back to environment variables
+ *   --source=bird|replay|record  (BIRD_SOURCE)
+ *   --record / --replay          shorthands for --source
+ *   --fixtures=<dir>             (BIRD_FIXTURES)
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options for createSource
+ */
+function sourceOptionsFromArgs(argv = process.argv) {
+  const flag = name => argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  let mode = flag('source') || process.env.BIRD_SOURCE || 'bird';
+  if (argv.includes('--record')) mode = 'record';
+  if (argv.includes('--replay')) mode = 'replay';
+
+  return {
+    mode,
+    fixturesDir: flag('fixtures') || process.env.BIRD_FIXTURES || DEFAULT_FIXTURES_DIR
+  };
+}
+
+module.exports = {
+  BirdCliSource,
+  ReplaySource,
+  RecordingSource,
+  createSource,
+  sourceOptionsFromArgs,
+  fixturePath,
+  resolveBirdBinary,
+  DEFAULT_FIXTURES_DIR,
+  PATCHED_BIRD
+};
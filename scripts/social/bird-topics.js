@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Emerging Topics
+ *
+ * Unsupervised term and phrase extraction over every tweet collected in a run.
+ * Candidates (1-3 word n-grams, #hashtags, $cashtags, @mentions) are ranked by
+ * TF-IDF against a rolling background corpus of past runs, so terms that are
+ * suddenly common compared with usual chatter float to the top.
+ *
+ * Usage:
+ *   node scripts/social/bird-topics.js promote ai.withjai "agent evals"
+ */
+
+const BirdUtils = require('./bird-utils');
+const BirdConfig = require('./bird-config');
+const fs = require('fs');
+const path = require('path');
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are aren't as at be because been before being
+below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down
+during each few for from further get got had hadn't has hasn't have haven't having he he'd he'll he's her
+here here's hers herself him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its
+itself just let's like me more most much must mustn't my myself new no nor not now of off on once one only
+or other ought our ours ourselves out over own really same shan't she she'd she'll she's should shouldn't
+so some still such than that that's the their theirs them themselves then there there's these they
+they'd they'll they're they've this those through to too under until up us very via was wasn't we we'd
+we'll we're we've were weren't what what's when when's where where's which while who who's whom why
+why's will with won't would wouldn't you you'd you'll you're you've your yours yourself yourselves
+amp rt im dont ive youre thats
+`.trim().split(/\s+/));
+
+const DEFAULT_OPTIONS = {
+  maxNgram: 3,
+  minDocuments: 2,
+  minAuthors: 2,
+  limit: 15,
+  suggestions: 5,
+  corpusRuns: 14,
+  maxTermsPerRun: 2000
+};
+
+/**
+ * Lowercased word tokens, split the way extractTerms splits words
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+}
+
+class TopicExtractor {
+  /**
+   * @param {string} brand - Brand name (the background corpus is per brand)
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS plus:
+   *   keywords: configured keywords (already tracked, so excluded)
+   *   handles: tracked handles (their @mentions are excluded)
+   */
+  constructor(brand, options = {}) {
+    this.brand = brand;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.keywords = (options.keywords || []).map(k => tokenize(k)).filter(tokens => tokens.length > 0);
+    this.handles = new Set((options.handles || []).map(h => h.toLowerCase()));
+    this.corpusPath = path.join(BirdUtils.getOutputDir(brand), 'topic-corpus.json');
+  }
+
+  /**
+   * Extract candidate terms from a tweet
+   * @param {string} text - Tweet text
+   * @returns {Array} Unique { term, type } candidates
+   */
+  extractTerms(text) {
+    return TopicExtractor.extractTerms(text, { maxNgram: this.options.maxNgram, handles: this.handles });
+  }
+
+  /**
+   * Extract candidate terms from a tweet, without a brand or corpus
+   * @param {string} text - Tweet text
+   * @param {Object} options - { maxNgram, handles: Set of lowercase handles whose @mentions are skipped }
+   * @returns {Array} Unique { term, type } candidates
+   */
+  static extractTerms(text, options = {}) {
+    const { maxNgram = DEFAULT_OPTIONS.maxNgram, handles = new Set() } = options;
+    const terms = new Map();
+    const add = (term, type) => {
+      if (!terms.has(term)) terms.set(term, type);
+    };
+
+    const cleaned = text.replace(/https?:\/\/\S+/g, ' ');
+
+    (cleaned.match(/#[\p{L}\p{N}_]{2,}/gu) || []).forEach(t => add(t.toLowerCase(), 'hashtag'));
+    (cleaned.match(/\$[A-Za-z]{1,6}\b/g) || []).forEach(t => add(t.toUpperCase(), 'cashtag'));
+    (cleaned.match(/@\w{1,15}/g) || []).forEach(t => {
+      if (!handles.has(t.substring(1).toLowerCase())) add(t.toLowerCase(), 'mention');
+    });
+
+    // Plain words, split into runs at punctuation so n-grams don't cross sentences
+    cleaned
+      .replace(/[#$@][\w]+/g, ' | ')
+      .toLowerCase()
+      .split(/[.,!?;:()\[\]"“”|\n]+/)
+      .forEach(segment => {
+        const words = segment.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+
+        for (let n = 1; n <= maxNgram; n++) {
+          for (let i = 0; i + n <= words.length; i++) {
+            const gram = words.slice(i, i + n);
+            if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[n - 1])) continue;
+            if (gram.some(w => w.length < 2 || /^\d+$/.test(w))) continue;
+            add(gram.join(' '), n === 1 ? 'term' : 'phrase');
+          }
+        }
+      });
+
+    return [...terms].map(([term, type]) => ({ term, type }));
+  }
+
+  /**
+   * Whether a term is already covered by a configured keyword: it is the
+   * keyword, or a run of whole words inside it ("automation" in "AI automation",
+   * but not "auto" or "work")
+   */
+  isTracked(term) {
+    const words = tokenize(term.replace(/^[#@$]/, ''));
+    if (words.length === 0) return false;
+
+    return this.keywords.some(keyword => {
+      for (let i = 0; i + words.length <= keyword.length; i++) {
+        if (words.every((word, j) => keyword[i + j] === word)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Rank emerging topics in the collected tweets
+   * @param {Array} tweets - Canonical tweets (see bird-tweet.js)
+   * @returns {Array} Emerging topics, highest score first
+   */
+  discover(tweets) {
+    const documents = this.dedupe(tweets);
+    const background = this.loadCorpus();
+    const bgDocuments = background.runs.reduce((sum, r) => sum + r.documents, 0);
+    const bgFrequency = term => background.runs.reduce((sum, r) => sum + (r.df[term] || 0), 0);
+
+    const stats = new Map();
+    documents.forEach(tweet => {
+      this.extractTerms(tweet.text).forEach(({ term, type }) => {
+        if (!stats.has(term)) stats.set(term, { term, type, documents: 0, authors: new Set(), examples: [] });
+        const entry = stats.get(term);
+        entry.documents += 1;
+        if (tweet.author.handle) entry.authors.add(tweet.author.handle.toLowerCase());
+        if (entry.examples.length < 2) entry.examples.push(tweet.url);
+      });
+    });
+
+    const topics = [...stats.values()]
+      .filter(e => e.documents >= this.options.minDocuments)
+      .filter(e => e.authors.size >= this.options.minAuthors)
+      .filter(e => !this.isTracked(e.term))
+      .map(e => {
+        const tf = e.documents / documents.length;
+        const idf = Math.log((1 + bgDocuments) / (1 + bgFrequency(e.term))) + 1;
+        return {
+          term: e.term,
+          type: e.type,
+          score: Math.round(tf * idf * 1000) / 1000,
+          documents: e.documents,
+          authors: e.authors.size,
+          backgroundShare: bgDocuments > 0 ? Math.round((bgFrequency(e.term) / bgDocuments) * 1000) / 1000 : null,
+          examples: e.examples
+        };
+      });
+
+    // Prefer phrases over the single words they contain when both rank
+    const ranked = topics
+      .sort((a, b) => b.score - a.score || b.term.split(' ').length - a.term.split(' ').length)
+      .filter((topic, i, all) => !all.slice(0, i).some(other =>
+        other.type === 'phrase' && topic.type === 'term' && other.term.split(' ').includes(topic.term) && other.documents >= topic.documents
+      ))
+      .slice(0, this.options.limit);
+
+    let suggested = 0;
+    ranked.forEach(topic => {
+      topic.suggested = ['phrase', 'hashtag', 'term'].includes(topic.type) && suggested++ < this.options.suggestions;
+      if (topic.suggested) {
+        topic.promote = `node scripts/social/bird-topics.js promote ${this.brand} "${topic.term}"`;
+      }
+    });
+
+    this.updateCorpus(documents);
+    return ranked;
+  }
+
+  /**
+   * Drop retweets and duplicate tweets collected by more than one analyzer
+   */
+  dedupe(tweets) {
+    const seen = new Set();
+    return tweets.filter(t => {
+      if (t.isRetweet || seen.has(t.id)) return false;
+      seen.add(t.id);
+      return true;
+    });
+  }
+
+  /**
+   * Load the rolling background corpus
+   */
+  loadCorpus() {
+    if (!fs.existsSync(this.corpusPath)) return { runs: [] };
+
+    try {
+      return JSON.parse(fs.readFileSync(this.corpusPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`   ⚠️  Ignoring unreadable topic corpus: ${error.message}`);
+      return { runs: [] };
+    }
+  }
+
+  /**
+   * Add this run's document frequencies to the background corpus
+   */
+  updateCorpus(documents) {
+    const df = {};
+    documents.forEach(tweet => {
+      this.extractTerms(tweet.text).forEach(({ term }) => {
+        df[term] = (df[term] || 0) + 1;
+      });
+    });
+
+    const top = Object.entries(df)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.options.maxTermsPerRun);
+
+    const corpus = this.loadCorpus();
+    corpus.runs.push({
+      timestamp: new Date().toISOString(),
+      documents: documents.length,
+      df: Object.fromEntries(top)
+    });
+    corpus.runs = corpus.runs.slice(-this.options.corpusRuns);
+
+    fs.mkdirSync(path.dirname(this.corpusPath), { recursive: true });
+    fs.writeFileSync(this.corpusPath, JSON.stringify(corpus));
+  }
+
+  /**
+   * Promote a discovered term into the brand's tracked keywords
+   * @param {string} brand - Brand name
+   * @param {string} term - Term to track
+   * @returns {boolean} Whether the keyword was added
+   */
+  static promote(brand, term) {
+    const config = BirdUtils.loadConfig();
+    const added = BirdConfig.updateList(config, brand, 'keywords', term, 'add');
+
+    if (added) {
+      BirdUtils.saveConfig(config);
+    }
+    return added;
+  }
+}
+
+TopicExtractor.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = TopicExtractor;
+
+// CLI Interface
+if (require.main === module) {
+  const command = process.argv[2];
+  const brand = process.argv[3];
+  const term = process.argv.slice(4).join(' ');
+
+  try {
+    switch (command) {
+      case 'promote': {
+        if (!brand || !term) {
+          throw new Error('Usage: node bird-topics.js promote <brand> <term>');
+        }
+
+        const added = TopicExtractor.promote(brand, term);
+        console.log(added
+          ? `✅ Added "${term}" to ${brand} keywords`
+          : `ℹ️  "${term}" is already a ${brand} keyword`);
+        break;
+      }
+
+      default:
+        console.log(`
+Bird Emerging Topics
+
+Commands:
+  promote <brand> <term>   Add a discovered topic to the brand's tracked keywords
+
+Emerging topics are listed in every intelligence report under "emergingTopics".
+
+Examples:
+  node bird-topics.js promote ai.withjai "agent evals"
+  node bird-topics.js promote ai.withjai "#buildinpublic"
+        `);
+    }
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Bird Trend Engine
+ * Time-windowed trend detection for tracked keywords.
+ *
+ * For each keyword sample, tweets are bucketed into fixed windows by createdAt.
+ * The most recent window gives the current posting volume (tweets/hour) and
+ * engagement velocity (engagement per tweet per hour of age). Both are compared
+ * with the keyword's own baseline using an EWMA mean/variance z-score:
+ *   - baseline = the keyword's metrics from previous runs (report history)
+ *   - falls back to earlier windows of the current sample when history is thin
+ *     (volume only: older windows have had longer to collect engagement)
+ *
+ * States:
+ *   rising   spike above baseline and still growing
+ *   peaking  spike above baseline but growth has turned down
+ *   fading   dropping back after a spike, or well below baseline
+ *   steady   within normal range
+ */
+
+const DEFAULT_OPTIONS = {
+  sampleSize: 50,
+  windowHours: 6,
+  lookbackWindows: 8,
+  zThreshold: 2,
+  alpha: 0.3,
+  minBaselineSamples: 3,
+  maxHistoryRuns: 14
+};
+
+class TrendEngine {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS plus:
+   *   history: previous reports, oldest first (from ReportHistory.load())
+   *   now: reference time (defaults to current time)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.history = options.history || [];
+    this.now = options.now ? new Date(options.now) : new Date();
+  }
+
+  /**
+   * Analyze a keyword sample
+   * @param {string} keyword - Tracked keyword
+   * @param {Array} tweets - Canonical tweets (see bird-tweet.js)
+   * @returns {Object} Momentum analysis
+   */
+  analyze(keyword, tweets) {
+    const windows = this.bucket(tweets);
+    const current = windows[windows.length - 1];
+
+    const volume = this.round(current.tweets / this.options.windowHours);
+    const velocity = this.round(current.velocity);
+
+    const historical = this.historicalMetrics(keyword);
+    const useHistory = historical.length >= this.options.minBaselineSamples;
+
+    // Earlier windows only count if the sample actually reaches back that far
+    const earlierWindows = windows.slice(0, -1).filter(w => w.covered);
+    const baselineSeries = useHistory
+      ? historical
+      : earlierWindows.map(w => ({ volume: w.tweets / this.options.windowHours, velocity: w.velocity }));
+
+    const volumeStats = this.ewma(baselineSeries.map(m => m.volume));
+    const velocityStats = this.ewma(baselineSeries.map(m => m.velocity));
+    const zScore = {
+      volume: this.round(this.zScore(volume, volumeStats)),
+      // Older windows have had longer to collect engagement, so velocity is
+      // only comparable against the same (latest) window from previous runs
+      velocity: useHistory ? this.round(this.zScore(velocity, velocityStats)) : 0
+    };
+
+    const previous = historical[historical.length - 1];
+    const state = this.classify({ volume, velocity, zScore, previous, hasBaseline: baselineSeries.length > 0 });
+
+    return {
+      state,
+      spike: zScore.volume >= this.options.zThreshold || zScore.velocity >= this.options.zThreshold,
+      volume,
+      velocity,
+      zScore,
+      baseline: {
+        source: useHistory ? 'history' : 'sample',
+        samples: baselineSeries.length,
+        volume: this.round(volumeStats.mean),
+        velocity: useHistory ? this.round(velocityStats.mean) : null
+      },
+      windowHours: this.options.windowHours,
+      windows: windows.map(w => ({
+        start: w.start.toISOString(),
+        tweets: w.tweets,
+        engagement: w.engagement,
+        covered: w.covered
+      }))
+    };
+  }
+
+  /**
+   * Bucket tweets into fixed windows ending at `now`, oldest first
+   */
+  bucket(tweets) {
+    const { windowHours, lookbackWindows, sampleSize } = this.options;
+    const windowMs = windowHours * 3600 * 1000;
+    const end = this.now.getTime();
+
+    const windows = Array.from({ length: lookbackWindows }, (_, i) => ({
+      start: new Date(end - (lookbackWindows - i) * windowMs),
+      tweets: 0,
+      engagement: 0,
+      velocitySum: 0,
+      covered: true
+    }));
+
+    const dated = tweets.filter(t => t.createdAt);
+    dated.forEach(t => {
+      const age = end - new Date(t.createdAt).getTime();
+      const index = lookbackWindows - 1 - Math.floor(age / windowMs);
+      if (index < 0 || index >= lookbackWindows) return;
+
+      const engagement = t.engagement.likes + t.engagement.retweets + t.engagement.replies;
+      const ageHours = Math.max(age / 3600000, 1);
+      const w = windows[index];
+      w.tweets += 1;
+      w.engagement += engagement;
+      w.velocitySum += engagement / ageHours;
+    });
+
+    // A sample capped at sampleSize says nothing about windows older than its oldest tweet
+    if (dated.length >= sampleSize) {
+      const oldest = Math.min(...dated.map(t => new Date(t.createdAt).getTime()));
+      windows.forEach(w => {
+        if (w.start.getTime() < oldest) w.covered = false;
+      });
+    }
+
+    return windows.map(w => ({
+      start: w.start,
+      tweets: w.tweets,
+      engagement: w.engagement,
+      velocity: w.tweets > 0 ? w.velocitySum / w.tweets : 0,
+      covered: w.covered
+    }));
+  }
+
+  /**
+   * Momentum metrics for a keyword from previous reports, oldest first
+   */
+  historicalMetrics(keyword) {
+    return this.history
+      .flatMap(report => (report.trends || [])
+        .filter(t => t.keyword === keyword && t.momentum)
+        .map(t => ({ ...t.momentum, timestamp: report.timestamp })))
+      .slice(-this.options.maxHistoryRuns);
+  }
+
+  /**
+   * Exponentially weighted mean and variance of a series
+   */
+  ewma(series) {
+    if (series.length === 0) return { mean: 0, variance: 0 };
+
+    const { alpha } = this.options;
+    let mean = series[0];
+    let variance = 0;
+
+    series.slice(1).forEach(x => {
+      const diff = x - mean;
+      const increment = alpha * diff;
+      mean += increment;
+      variance = (1 - alpha) * (variance + diff * increment);
+    });
+
+    return { mean, variance };
+  }
+
+  /**
+   * z-score against EWMA stats, with a floor on the deviation so a flat
+   * baseline doesn't turn every small change into a spike
+   */
+  zScore(value, stats) {
+    const floor = Math.max(Math.abs(stats.mean) * 0.1, 0.05);
+    const std = Math.max(Math.sqrt(stats.variance), floor);
+    return (value - stats.mean) / std;
+  }
+
+  /**
+   * Classify momentum into rising / peaking / fading / steady
+   */
+  classify({ volume, velocity, zScore, previous, hasBaseline }) {
+    const { zThreshold } = this.options;
+    if (!hasBaseline) return 'steady';
+
+    const spike = zScore.volume >= zThreshold || zScore.velocity >= zThreshold;
+    const growing = !previous || volume >= previous.volume || velocity >= previous.velocity;
+    const wasHot = previous && (previous.state === 'rising' || previous.state === 'peaking');
+
+    if (spike) return growing ? 'rising' : 'peaking';
+    if (wasHot && zScore.volume < zThreshold / 2) return 'fading';
+    if (zScore.volume <= -zThreshold && zScore.velocity <= 0) return 'fading';
+    return 'steady';
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+TrendEngine.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = TrendEngine;
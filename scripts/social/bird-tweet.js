@@ -0,0 +1,199 @@
+/**
+ * Bird Tweet Model
+ * One canonical, validated tweet shape for every analyzer.
+ *
+ * Accepts every shape bird can emit:
+ *   - v1 (id_str, full_text, user.screen_name, favorite_count, ...)
+ *   - v2 (author_id, public_metrics, referenced_tweets, attachments, ...)
+ *   - bird's own fields (author.username, likeCount, quotedTweet, media, ...)
+ *
+ * Canonical shape:
+ *   {
+ *     id, text, url, createdAt (ISO string or null),
+ *     author: { id, handle, name, followers, bio, pinnedTweetId },
+ *     engagement: { likes, retweets, replies, quotes, views },
+ *     conversationId, inReplyToId, quotedId,
+ *     isReply, isQuote, isRetweet, hasMedia, hasLinks, media: [{ type, url }]
+ *   }
+ */
+
+class TweetModel {
+  /**
+   * Normalize a raw bird tweet into the canonical model
+   * @param {Object} raw - Tweet in any supported shape
+   * @returns {Object} Canonical tweet
+   * @throws {Error} If the tweet has no id or text
+   */
+  static normalize(raw) {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Invalid tweet: expected an object');
+    }
+
+    const user = raw.user || (raw.author && typeof raw.author === 'object' ? raw.author : {});
+    const metrics = raw.public_metrics || {};
+    const references = raw.referenced_tweets || [];
+    const referenced = type => references.find(r => r.type === type)?.id;
+
+    const id = this.firstDefined(raw.id_str, raw.id, raw.rest_id);
+    const text = this.firstDefined(raw.full_text, raw.text, raw.note_tweet?.text);
+    const handle = this.firstDefined(raw.author_handle, user.screen_name, user.username, user.handle);
+
+    const media = this.extractMedia(raw);
+    const inReplyToId = this.firstDefined(
+      raw.in_reply_to_status_id_str,
+      raw.in_reply_to_status_id,
+      raw.inReplyToStatusId,
+      referenced('replied_to')
+    );
+    const quotedId = this.firstDefined(
+      raw.quoted_status_id_str,
+      raw.quotedTweet?.id,
+      raw.quoted_status?.id_str,
+      referenced('quoted')
+    );
+    const isRetweet = Boolean(
+      raw.retweeted_status || raw.retweetedTweet || referenced('retweeted') || /^RT @\w+:/.test(text || '')
+    );
+
+    const tweet = {
+      id: id === undefined ? undefined : String(id),
+      text: text === undefined ? undefined : String(text),
+      url: null,
+      createdAt: this.parseDate(this.firstDefined(raw.created_at, raw.createdAt)),
+      author: {
+        id: this.stringOrNull(this.firstDefined(raw.author_id, raw.authorId, user.id_str, user.id, user.rest_id)),
+        handle: handle === undefined ? null : String(handle).replace(/^@/, ''),
+        name: this.firstDefined(raw.author_name, user.name) ?? null,
+        // An unreadable follower count is unknown (0), not a reason to drop the tweet
+        followers: this.count(this.firstDefined(
+          user.followers_count,
+          user.followersCount,
+          user.public_metrics?.followers_count,
+          raw.author_followers
+        )) ?? 0,
+        bio: this.firstDefined(raw.author_description, user.description, user.bio) ?? null,
+        pinnedTweetId: this.stringOrNull(this.firstDefined(
+          user.pinned_tweet_ids_str?.[0],
+          user.pinned_tweet_id,
+          user.pinnedTweetId
+        ))
+      },
+      engagement: {
+        likes: this.count(this.firstDefined(metrics.like_count, raw.likeCount, raw.favorite_count, raw.like_count)),
+        retweets: this.count(this.firstDefined(metrics.retweet_count, raw.retweetCount, raw.retweet_count)),
+        replies: this.count(this.firstDefined(metrics.reply_count, raw.replyCount, raw.reply_count)),
+        quotes: this.count(this.firstDefined(metrics.quote_count, raw.quoteCount, raw.quote_count)),
+        views: this.count(this.firstDefined(
+          metrics.impression_count,
+          raw.viewCount,
+          raw.views?.count,
+          raw.view_count
+        ))
+      },
+      conversationId: this.stringOrNull(this.firstDefined(raw.conversation_id, raw.conversationId, raw.conversation_id_str)),
+      inReplyToId: this.stringOrNull(inReplyToId),
+      quotedId: this.stringOrNull(quotedId),
+      isReply: inReplyToId !== undefined && inReplyToId !== null,
+      isQuote: Boolean(raw.is_quote_status || quotedId),
+      isRetweet,
+      hasMedia: media.length > 0,
+      hasLinks: this.hasLinks(raw, text, media.length > 0),
+      media
+    };
+
+    tweet.url = tweet.author.handle
+      ? `https://twitter.com/${tweet.author.handle}/status/${tweet.id}`
+      : `https://twitter.com/i/web/status/${tweet.id}`;
+
+    this.validate(tweet);
+    return tweet;
+  }
+
+  /**
+   * Normalize a list of raw tweets, skipping (and reporting) invalid ones
+   * @param {Array} raws - Raw tweets
+   * @returns {Array} Canonical tweets
+   */
+  static normalizeAll(raws = []) {
+    return raws.flatMap(raw => {
+      try {
+        return [this.normalize(raw)];
+      } catch (error) {
+        console.warn(`   ⚠️  Skipping tweet: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Validate a canonical tweet
+   * @param {Object} tweet - Canonical tweet
+   * @throws {Error} Describing the first invalid field
+   */
+  static validate(tweet) {
+    if (!tweet.id) {
+      throw new Error('Invalid tweet: missing id');
+    }
+    if (typeof tweet.text !== 'string') {
+      throw new Error(`Invalid tweet ${tweet.id}: missing text`);
+    }
+    Object.entries(tweet.engagement).forEach(([metric, value]) => {
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid tweet ${tweet.id}: engagement.${metric} must be a non-negative number`);
+      }
+    });
+  }
+
+  /**
+   * Extract media attachments from any shape
+   */
+  static extractMedia(raw) {
+    const v1 = raw.extended_entities?.media || raw.entities?.media || [];
+    if (v1.length > 0) {
+      return v1.map(m => ({ type: m.type || 'photo', url: m.media_url_https || m.url || null }));
+    }
+
+    if (Array.isArray(raw.media)) {
+      return raw.media.map(m => ({ type: m.type || 'photo', url: m.url || m.media_url_https || null }));
+    }
+
+    const keys = raw.attachments?.media_keys || [];
+    return keys.map(() => ({ type: 'unknown', url: null }));
+  }
+
+  /**
+   * Whether the tweet links somewhere other than its own attached media
+   */
+  static hasLinks(raw, text = '', hasMedia = false) {
+    if ((raw.entities?.urls || []).length > 0) return true;
+
+    // Attached media shows up as one trailing t.co link in the text
+    const links = (text || '').match(/https?:\/\/\S+/g) || [];
+    return links.length > (hasMedia ? 1 : 0);
+  }
+
+  static firstDefined(...values) {
+    return values.find(v => v !== undefined && v !== null);
+  }
+
+  static stringOrNull(value) {
+    return value === undefined || value === null ? null : String(value);
+  }
+
+  /**
+   * A missing count is 0; a negative or non-numeric one is null, which validate() rejects
+   */
+  static count(value) {
+    if (value === undefined || value === null) return 0;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  }
+
+  static parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+  }
+}
+
+module.exports = TweetModel;
@@ -5,10 +5,15 @@
  * Shared utilities for bird CLI integration including auth, execution, and parsing
  */
 
-const { execFile } = require('child_process');
+const { execFile, execFileSync } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
+const { createSource, sourceOptionsFromArgs, resolveBirdBinary } = require('./bird-sources');
+const TweetModel = require('./bird-tweet');
+const BirdConfig = require('./bird-config');
+const { RequestScheduler, schedulerOptionsFromArgs, classifyError } = require('./bird-scheduler');
+const { ResponseCache, cacheOptionsFromArgs } = require('./bird-cache');
 
 const execFileAsync = promisify(execFile);
 
@@ -20,28 +25,64 @@ class BirdUtils {
   }
 
   /**
-   * Check if bird CLI is installed and accessible
+   * Check if bird CLI is installed and runs
+   * @returns {boolean} True when the resolved bird answers --version
    */
   static checkBirdInstalled() {
     try {
-      execFile('bird', ['--version'], { stdio: 'pipe' }, (error) => {
-        return !error;
-      });
+      this.getBirdVersion();
       return true;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Version of the bird binary commands will run (see resolveBirdBinary)
+   * @returns {string} Version, e.g. "0.5.1"
+   * @throws {Error} When no binary is found or it fails to run
+   */
+  static getBirdVersion() {
+    const binary = resolveBirdBinary();
+    if (!binary.path) {
+      const error = new Error(`bird not found (${binary.via}: ${binary.requested})`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    const stdout = execFileSync(binary.path, ['--version'], { encoding: 'utf-8', timeout: 10000, stdio: ['ignore', 'pipe', 'pipe'] });
+    return stdout.match(/\d+\.\d+\.\d+/)?.[0] || stdout.trim();
+  }
+
+  /**
+   * Get the data source bird commands run against
+   * Defaults to the live bird CLI unless BIRD_SOURCE / --source say otherwise
+   * @returns {Object} Source with an execute(args) method
+   */
+  static getSource() {
+    if (!this.source) {
+      this.source = createSource(sourceOptionsFromArgs(process.argv));
+    }
+    return this.source;
+  }
+
+  /**
+   * Replace the data source (e.g. a ReplaySource for offline runs)
+   * @param {Object} source - Source with an execute(args) method
+   */
+  static setSource(source) {
+    this.source = source;
+  }
+
   /**
    * Verify authentication is set up
    */
   static async verifyAuth() {
     try {
-      const result = await execFileAsync('bird', ['whoami']);
+      const stdout = await this.executeCommand('whoami', [], { retries: 1, format: 'text' });
       return {
         authenticated: true,
-        username: result.stdout.trim()
+        username: stdout.trim()
       };
     } catch (error) {
       return {
@@ -52,7 +93,7 @@ class BirdUtils {
   }
 
   /**
-   * Execute bird CLI command with retry logic
+   * Execute bird command against the current data source with retry logic
    * Chrome profile is configured in ~/.config/bird/config.json5
    * @param {string} command - Bird CLI command (without 'bird' prefix)
    * @param {Array} args - Command arguments
@@ -70,30 +111,112 @@ class BirdUtils {
     // Build arguments: [command, ...args, --json]
     const finalArgs = [command, ...args, ...jsonArgs];
 
-    let lastError;
-
-    for (let attempt = 0; attempt < retries; attempt++) {
-      try {
-        // Use local patched bird wrapper with GraphQL fix
-        const birdPath = path.join(__dirname, 'bird');
-        const result = await execFileAsync(birdPath, finalArgs);
-        return result.stdout;
-      } catch (error) {
-        lastError = error;
-
-        // Don't retry on auth errors
-        if (error.message.includes('auth') || error.message.includes('cookie')) {
-          throw new Error(`Authentication error: ${error.message}`);
-        }
-
-        // Wait before retrying
-        if (attempt < retries - 1) {
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+    // Recent identical fetches are served from disk; replay and record runs bypass it
+    const cache = this.getSource().name === 'bird' ? this.getCache() : null;
+    const cached = cache ? cache.get(finalArgs) : null;
+    if (cached !== null) {
+      return cached;
+    }
+
+    const fetch = async () => {
+      const stdout = await this.executeWithRetry(finalArgs, { retries, delay });
+      if (cache) cache.set(finalArgs, stdout);
+      return stdout;
+    };
+
+    // Batch runs share identical fetches (e.g. a handle tracked by several brands)
+    if (this.fetchCache) {
+      const key = finalArgs.join('\u0000');
+
+      if (this.fetchCache.has(key)) {
+        this.fetchCacheHits += 1;
+      } else {
+        const pending = fetch();
+        this.fetchCache.set(key, pending);
+        // Don't share failures; a later caller may succeed
+        pending.catch(() => this.fetchCache.delete(key));
       }
+
+      return this.fetchCache.get(key);
+    }
+
+    return fetch();
+  }
+
+  /**
+   * Get the on-disk response cache (see bird-cache.js)
+   * @returns {ResponseCache} Cache
+   */
+  static getCache() {
+    if (!this.cache) {
+      this.cache = new ResponseCache(cacheOptionsFromArgs(process.argv));
+    }
+    return this.cache;
+  }
+
+  /**
+   * Replace the response cache
+   * @param {ResponseCache} cache - Cache
+   */
+  static setCache(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Get the scheduler every bird request runs through (budget, backoff, concurrency)
+   * @returns {RequestScheduler} Scheduler
+   */
+  static getScheduler() {
+    if (!this.scheduler) {
+      this.scheduler = new RequestScheduler(schedulerOptionsFromArgs(process.argv));
     }
+    return this.scheduler;
+  }
+
+  /**
+   * Replace the request scheduler
+   * @param {RequestScheduler} scheduler - Scheduler
+   */
+  static setScheduler(scheduler) {
+    this.scheduler = scheduler;
+  }
+
+  /**
+   * Run bird arguments against the data source through the request scheduler
+   * Auth errors fail fast, transient errors and rate limits back off and retry
+   * @param {Array} finalArgs - Full bird arguments, command first
+   * @param {Object} options - { retries, delay }
+   * @returns {Promise<string>} Command output
+   */
+  static async executeWithRetry(finalArgs, options = {}) {
+    const { retries = 3, delay = 1000 } = options;
+    const source = this.getSource();
+
+    return this.getScheduler().run(finalArgs, () => source.execute(finalArgs), {
+      retries,
+      delay,
+      // Replayed fixtures don't touch X, so they don't spend budget
+      budget: source.name !== 'replay'
+    });
+  }
+
+  /**
+   * Share identical fetches for the rest of the process (batch runs)
+   */
+  static enableFetchCache() {
+    this.fetchCache = new Map();
+    this.fetchCacheHits = 0;
+  }
 
-    throw lastError || new Error(`Command failed after ${retries} retries: ${command} ${finalArgs.join(' ')}`);
+  /**
+   * Stop sharing fetches and drop cached responses
+   * @returns {number} Fetches served from the cache while it was enabled
+   */
+  static disableFetchCache() {
+    const hits = this.fetchCacheHits || 0;
+    this.fetchCache = null;
+    this.fetchCacheHits = 0;
+    return hits;
   }
 
   /**
@@ -214,36 +337,47 @@ class BirdUtils {
   }
 
   /**
-   * Format tweet for storage
-   * @param {Object} tweet - Raw tweet data
-   * @returns {Object} Formatted tweet
+   * Format tweet for storage (canonical tweet model)
+   * @param {Object} tweet - Raw tweet data in any bird output shape
+   * @returns {Object} Canonical tweet, see bird-tweet.js
    */
   static formatTweet(tweet) {
-    return {
-      id: tweet.id || tweet.id_str,
-      text: tweet.text || tweet.full_text,
-      author: tweet.author_id || tweet.user?.id,
-      authorName: tweet.author_name || tweet.user?.name,
-      authorHandle: tweet.author_handle || tweet.user?.screen_name,
-      createdAt: tweet.created_at,
-      engagement: {
-        likes: tweet.public_metrics?.like_count || 0,
-        retweets: tweet.public_metrics?.retweet_count || 0,
-        replies: tweet.public_metrics?.reply_count || 0,
-        quotes: tweet.public_metrics?.quote_count || 0
-      },
-      url: `https://twitter.com/${tweet.author_handle}/status/${tweet.id}`
-    };
+    return TweetModel.normalize(tweet);
+  }
+
+  /**
+   * Get the output directory for a brand's intelligence files
+   * @param {string} brand - Brand name
+   * @returns {string} Directory path (relative to cwd)
+   */
+  static getOutputDir(brand = 'ai.withjai') {
+    return `brands/${brand}/content/06-analytics/twitter-insights`;
+  }
+
+  /**
+   * Saved daily intelligence reports (competitor-intel-YYYY-MM-DD.json), oldest first
+   * @param {string} brand - Brand name
+   * @returns {Array} [{ date, filepath }]
+   */
+  static listSavedReports(brand = 'ai.withjai') {
+    const dir = this.getOutputDir(brand);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .map(file => file.match(/^competitor-intel-(\d{4}-\d{2}-\d{2})\.json$/))
+      .filter(Boolean)
+      .map(match => ({ date: match[1], filepath: path.join(dir, match[0]) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
   }
 
   /**
-   * Save results to JSON file
+   * Save results to file (objects as JSON, strings verbatim)
    * @param {string} filename - Output filename
-   * @param {Object|Array} data - Data to save
+   * @param {Object|Array|string} data - Data to save
    * @param {string} brand - Brand name
    */
   static async saveResults(filename, data, brand = 'ai.withjai') {
-    const dir = `brands/${brand}/content/06-analytics/twitter-insights`;
+    const dir = this.getOutputDir(brand);
 
     // Create directory if it doesn't exist
     if (!fs.existsSync(dir)) {
@@ -251,24 +385,39 @@ class BirdUtils {
     }
 
     const filepath = path.join(dir, filename);
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    // Pre-rendered documents (Markdown, HTML) are written as-is
+    const contents = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    fs.writeFileSync(filepath, contents);
     console.log(`✅ Saved to: ${filepath}`);
 
     return filepath;
   }
 
   /**
-   * Load bird config
+   * Load bird config, validated against the schema in bird-config.js
+   * Path: --config=<path>, then BIRD_CONFIG, then scripts/social/bird-config.json
    * @returns {Object} Configuration
+   * @throws {Error} Listing every invalid path when the config is invalid
    */
   static loadConfig() {
-    const configPath = path.join(__dirname, 'bird-config.json');
+    const configPath = this.getConfigPath();
+    return BirdConfig.assertValid(BirdConfig.read(configPath), configPath);
+  }
 
-    if (!fs.existsSync(configPath)) {
-      throw new Error(`Config file not found: ${configPath}`);
-    }
+  /**
+   * Path of the bird config file
+   * @returns {string} Config path
+   */
+  static getConfigPath() {
+    return BirdConfig.resolvePath(process.argv);
+  }
 
-    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  /**
+   * Validate and write bird config back to disk
+   * @param {Object} config - Full configuration (all brands)
+   */
+  static saveConfig(config) {
+    BirdConfig.write(config, this.getConfigPath());
   }
 
   /**
@@ -277,13 +426,15 @@ class BirdUtils {
    * @returns {Object} Brand config
    */
   static getBrandConfig(brand) {
-    const config = this.loadConfig();
+    const configPath = this.getConfigPath();
+    const config = BirdConfig.read(configPath);
 
-    if (!config[brand]) {
+    if (!config?.[brand]) {
       throw new Error(`Brand not found in config: ${brand}`);
     }
 
-    return config[brand];
+    // Only this brand has to be valid, so one broken brand doesn't stop runs of the others
+    return BirdConfig.assertValid({ [brand]: config[brand] }, configPath)[brand];
   }
 }
 
@@ -291,89 +442,315 @@ class BirdUtils {
 module.exports = BirdUtils;
 
 // CLI Interface for direct usage
-if (require.main === module) {
-  const command = process.argv[2];
-  const args = process.argv.slice(3);
 
-  (async () => {
-    try {
-      // Check if bird is installed
-      if (!BirdUtils.checkBirdInstalled()) {
-        console.error('❌ bird CLI not found. Please install bird first.');
-        process.exit(1);
-      }
+// Exit codes let calling scripts tell failures apart
+const EXIT_CODES = {
+  error: 1,
+  usage: 2,
+  auth: 3,
+  'not-found': 4,
+  network: 5,
+  'rate-limit': 6
+};
 
-      // Check authentication
-      const auth = await BirdUtils.verifyAuth();
-      if (!auth.authenticated) {
-        console.error('❌ Bird authentication failed:', auth.error);
-        process.exit(1);
-      }
+const CLI_FORMATS = ['table', 'json', 'jsonl', 'csv'];
+const CSV_COLUMNS = ['id', 'author', 'createdAt', 'text', 'likes', 'retweets', 'replies', 'quotes', 'views', 'url'];
+
+// Read by bird-sources, bird-cache, bird-scheduler and bird-config straight from process.argv
+const GLOBAL_FLAGS = ['--record', '--replay', '--no-cache', '--refresh'];
+const GLOBAL_OPTIONS = ['--fixtures=', '--source=', '--concurrency=', '--config='];
+
+/**
+ * CLI commands; fetch returns the bird command and arguments for an argument and limit
+ */
+const CLI_COMMANDS = {
+  check: {
+    usage: 'check',
+    description: 'Verify bird CLI setup and authentication'
+  },
+  search: {
+    usage: 'search <query>',
+    description: 'Search for tweets',
+    argument: 'query',
+    list: true,
+    fetch: (query, limit) => ['search', ['-n', String(limit), query]]
+  },
+  mentions: {
+    usage: 'mentions',
+    description: 'Get your mentions',
+    list: true,
+    fetch: (_, limit) => ['mentions', ['-n', String(limit)]]
+  },
+  bookmarks: {
+    usage: 'bookmarks',
+    description: 'Get your bookmarks',
+    list: true,
+    fetch: (_, limit) => ['bookmarks', ['-n', String(limit)]]
+  },
+  read: {
+    usage: 'read <tweet-id>',
+    description: 'Read a specific tweet (ID or URL)',
+    argument: 'tweet-id',
+    fetch: id => ['read', [id]]
+  },
+  replies: {
+    usage: 'replies <tweet-id>',
+    description: 'Get replies to a tweet',
+    argument: 'tweet-id',
+    list: true,
+    fetch: (id, limit) => ['replies', ['-n', String(limit), id]]
+  },
+  thread: {
+    usage: 'thread <tweet-id>',
+    description: 'Get the full thread a tweet belongs to',
+    argument: 'tweet-id',
+    list: true,
+    fetch: id => ['thread', [id]]
+  }
+};
+
+function cliError(kind, message) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
+
+/**
+ * Parse CLI arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { command, positional, limit, format, save, brand, help }
+ */
+function parseCliArgs(argv) {
+  const options = { command: null, positional: [], limit: 10, format: 'table', save: null, brand: 'ai.withjai', help: false };
+  const value = (arg, i) => {
+    if (arg.includes('=')) return { value: arg.split('=').slice(1).join('='), skip: 0 };
+    if (argv[i + 1] === undefined) throw cliError('usage', `${arg} needs a value`);
+    return { value: argv[i + 1], skip: 1 };
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.split('=')[0];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (name === '-n' || name === '--limit') {
+      const { value: limit, skip } = value(arg, i);
+      if (!/^[1-9]\d*$/.test(limit)) throw cliError('usage', `${name} must be a positive integer, got "${limit}"`);
+      options.limit = Number(limit);
+      i += skip;
+    } else if (name === '--format') {
+      const { value: format, skip } = value(arg, i);
+      if (!CLI_FORMATS.includes(format)) throw cliError('usage', `Unknown format "${format}" (expected ${CLI_FORMATS.join(', ')})`);
+      options.format = format;
+      i += skip;
+    } else if (name === '--brand') {
+      const { value: brand, skip } = value(arg, i);
+      options.brand = brand;
+      i += skip;
+    } else if (name === '--save') {
+      options.save = arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+    } else if (GLOBAL_FLAGS.includes(arg) || GLOBAL_OPTIONS.some(prefix => arg.startsWith(prefix))) {
+      continue;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw cliError('usage', `Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
 
-      console.log(`✅ Authenticated as: @${auth.username}`);
-
-      switch (command) {
-        case 'search': {
-          const query = args.join(' ');
-          const results = await BirdUtils.search(query, { limit: 10 });
-          console.log(`\n📌 Search results for "${query}":\n`);
-          results.forEach((tweet, i) => {
-            const formatted = BirdUtils.formatTweet(tweet);
-            console.log(`${i + 1}. @${formatted.authorHandle}: ${formatted.text.substring(0, 80)}...`);
-            console.log(`   ❤️ ${formatted.engagement.likes} | 🔄 ${formatted.engagement.retweets} | 💬 ${formatted.engagement.replies}`);
-          });
-          break;
-        }
-
-        case 'mentions': {
-          const mentions = await BirdUtils.getMentions({ limit: 10 });
-          console.log(`\n💬 Your mentions:\n`);
-          mentions.forEach((mention, i) => {
-            const formatted = BirdUtils.formatTweet(mention);
-            console.log(`${i + 1}. @${formatted.authorHandle}: ${formatted.text.substring(0, 80)}...`);
-          });
-          break;
-        }
-
-        case 'bookmarks': {
-          const bookmarks = await BirdUtils.getBookmarks({ limit: 10 });
-          console.log(`\n🔖 Your bookmarks:\n`);
-          bookmarks.forEach((bookmark, i) => {
-            const formatted = BirdUtils.formatTweet(bookmark);
-            console.log(`${i + 1}. @${formatted.authorHandle}: ${formatted.text.substring(0, 80)}...`);
-          });
-          break;
-        }
-
-        case 'check': {
-          console.log('\n✅ Bird CLI is installed and configured');
-          console.log(`   Authenticated as: @${auth.username}`);
-          break;
-        }
-
-        default:
-          console.log(`
+/**
+ * Exit code for a failed command
+ * @param {Error} error - Error from parsing or from bird
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  // A missing bird binary (or one the wrapper can't find) is a setup problem, not a missing tweet
+  if (error.code === 'ENOENT' || error.code === 127) return EXIT_CODES.error;
+  if (error.kind === 'transient') {
+    const text = `${error.message || ''} ${error.stderr || ''}`;
+    return /ENOTFOUND|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EHOSTUNREACH|network|socket|fetch failed|timed? ?out/i.test(text)
+      ? EXIT_CODES.network
+      : EXIT_CODES.error;
+  }
+  return EXIT_CODES[error.kind] || EXIT_CODES.error;
+}
+
+/**
+ * Render canonical tweets in a CLI output format
+ * @param {Array} tweets - Canonical tweets
+ * @param {string} format - table, json, jsonl or csv
+ * @param {boolean} single - Output one object rather than a list (json)
+ * @returns {string} Rendered output
+ */
+function renderTweets(tweets, format, single = false) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(single ? tweets[0] : tweets, null, 2) + '\n';
+
+    case 'jsonl':
+      return tweets.map(tweet => JSON.stringify(tweet) + '\n').join('');
+
+    case 'csv': {
+      // Loaded here: bird-export requires this module
+      const ReportExporter = require('./bird-export');
+      const rows = tweets.map(t => ({
+        id: t.id,
+        author: t.author.handle,
+        createdAt: t.createdAt,
+        text: t.text,
+        ...t.engagement,
+        url: t.url
+      }));
+      return ReportExporter.toDelimited(rows, CSV_COLUMNS);
+    }
+
+    default:
+      if (tweets.length === 0) return 'No tweets found.\n';
+      return tweets.map((t, i) => [
+        `${single ? '' : `${i + 1}. `}@${t.author.handle} · ${t.createdAt || 'unknown date'}`,
+        ...t.text.split('\n').map(line => `   ${line}`),
+        `   ❤️ ${t.engagement.likes} | 🔄 ${t.engagement.retweets} | 💬 ${t.engagement.replies}`,
+        `   ${t.url}`
+      ].join('\n')).join('\n\n') + '\n';
+  }
+}
+
+function printHelp(command) {
+  const spec = CLI_COMMANDS[command];
+
+  if (spec) {
+    console.log(`
+Usage: node bird-utils.js ${spec.usage}${spec.fetch ? ' [options]' : ''}
+
+${spec.description}
+${spec.fetch ? `
+Options:${spec.list ? `
+  -n, --limit <n>          Number of tweets (default 10)` : ''}
+  --format=<format>        table (default), json, jsonl or csv
+  --save[=<filename>]      Save to the brand output directory instead of printing
+  --brand=<brand>          Brand whose output directory --save uses (default ai.withjai)
+` : ''}`);
+    return;
+  }
+
+  const commands = Object.values(CLI_COMMANDS)
+    .map(c => `  ${c.usage.padEnd(24)} ${c.description}`)
+    .join('\n');
+
+  console.log(`
 Bird Utilities CLI
 
 Commands:
-  check                    Verify bird CLI setup and authentication
-  search <query>           Search for tweets
-  mentions                 Get your mentions
-  bookmarks                Get your bookmarks
-  read <tweet-id>          Read a specific tweet
-  replies <tweet-id>       Get replies to a tweet
+${commands}
+
+Options:
+  -n, --limit <n>          Number of tweets for list commands (default 10)
+  --format=<format>        table (default), json, jsonl or csv
+  --save[=<filename>]      Save to the brand output directory instead of printing
+  --brand=<brand>          Brand whose output directory --save uses (default ai.withjai)
+  --record                 Capture live bird output as fixtures
+  --replay                 Serve responses from recorded fixtures (offline)
+  --fixtures=<dir>         Fixture directory (default: scripts/social/fixtures)
+  --concurrency=<n>        Parallel fetches (default 3)
+  --no-cache               Don't use the on-disk response cache
+  --refresh                Re-fetch and overwrite cached responses
+  -h, --help               Show help (after a command: help for that command)
+
+Exit codes:
+  0 success, 1 other error, 2 invalid usage, 3 authentication failed,
+  4 tweet or user not found, 5 network error, 6 rate limited
 
 Examples:
   node bird-utils.js check
-  node bird-utils.js search "AI automation"
-  node bird-utils.js mentions
+  node bird-utils.js search "AI automation" -n 25 --format=csv
+  node bird-utils.js mentions --format=jsonl
   node bird-utils.js read 123456789
-  node bird-utils.js replies 123456789
-          `);
+  node bird-utils.js replies 123456789 --limit=50 --save
+  node bird-utils.js thread 123456789 --format=json
+  `);
+}
+
+/**
+ * Run a CLI command
+ * @param {Object} options - Parsed arguments
+ */
+async function runCli(options) {
+  const { command, positional, limit, format, save, brand } = options;
+  const spec = CLI_COMMANDS[command];
+
+  if (command === 'check') {
+    const auth = await BirdUtils.verifyAuth();
+    if (!auth.authenticated) {
+      throw cliError(classifyError({ message: auth.error }) === 'auth' ? 'auth' : 'transient', `Bird authentication failed: ${auth.error}`);
+    }
+    console.log('\n✅ Bird CLI is installed and configured');
+    console.log(`   Authenticated as: @${auth.username}`);
+    return;
+  }
+
+  const argument = positional.join(' ');
+  if (spec.argument && !argument) {
+    throw cliError('usage', `Missing <${spec.argument}>. Usage: node bird-utils.js ${spec.usage}`);
+  }
+  if (!spec.argument && argument) {
+    throw cliError('usage', `Unexpected argument "${argument}". Usage: node bird-utils.js ${spec.usage}`);
+  }
+
+  const [birdCommand, args] = spec.fetch(argument, limit);
+  const parsed = BirdUtils.parseJSON(await BirdUtils.executeCommand(birdCommand, args, { format: 'json' }));
+  const raw = (Array.isArray(parsed) ? parsed : [parsed]).filter(Boolean);
+
+  if (!spec.list && raw.length === 0) {
+    throw cliError('not-found', `No tweet found for ${argument}`);
+  }
+
+  // Lists skip (and warn about) malformed tweets; a single read reports them as an error.
+  // bird may not honor -n for every command
+  const tweets = spec.list
+    ? TweetModel.normalizeAll(raw).slice(0, limit)
+    : [BirdUtils.formatTweet(raw[0])];
+  const output = renderTweets(tweets, format, !spec.list);
+
+  if (save) {
+    const extension = format === 'table' ? 'txt' : format;
+    const slug = argument.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40);
+    const date = new Date().toISOString().split('T')[0];
+    const filename = save === true ? `${[command, slug, date].filter(Boolean).join('-')}.${extension}` : save;
+    await BirdUtils.saveResults(filename, output, brand);
+    return;
+  }
+
+  process.stdout.write(output);
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseCliArgs(process.argv.slice(2));
+
+      if (!options.command || options.command === 'help') {
+        printHelp(options.positional[0]);
+        return;
       }
+      if (!CLI_COMMANDS[options.command]) {
+        throw cliError('usage', `Unknown command: ${options.command}. Run "node bird-utils.js --help" for the list`);
+      }
+      if (options.help) {
+        printHelp(options.command);
+        return;
+      }
+
+      await runCli(options);
     } catch (error) {
-      console.error(`\n❌ Error: ${error.message}\n`);
-      process.exit(1);
+      const hint = error.code === 'ENOENT' || error.code === 127 ? ' (is the bird CLI installed?)' : '';
+      console.error(`\n❌ Error: ${error.message}${hint}\n`);
+      process.exit(exitCodeFor(error));
     }
   })();
 }
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Bird Watch
+ *
+ * Long-running scheduler that runs competitive intelligence for every enabled
+ * brand on its configured `monitoring.frequency`:
+ *   - "hourly", "daily", "weekly"  (interval since the last run)
+ *   - a 5-field cron expression      e.g. "0 6 * * 1-5" (in monitoring.timezone)
+ *
+ * Last-run state is persisted per brand, so a restart never double-runs, and a
+ * run already in progress (in this or another watch process) is never started twice.
+ *
+ * Usage:
+ *   node scripts/social/bird-watch.js                 # run until SIGINT/SIGTERM
+ *   node scripts/social/bird-watch.js --once          # run whatever is due, then exit
+ *   node scripts/social/bird-watch.js --interval=300  # check every 5 minutes (default 60s)
+ */
+
+const BirdUtils = require('./bird-utils');
+const CompetitiveIntelligence = require('./bird-competitive-intel');
+const CronExpression = require('./bird-cron');
+const fs = require('fs');
+const path = require('path');
+
+const INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+class BirdWatch {
+  /**
+   * @param {Object} options - { intervalMs, once }
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.once = Boolean(options.once);
+    this.startedAt = new Date();
+    this.running = new Set();
+    this.ticking = false;
+    this.stopping = false;
+    this.timer = null;
+  }
+
+  statePath(brand) {
+    return path.join(BirdUtils.getOutputDir(brand), 'watch-state.json');
+  }
+
+  loadState(brand) {
+    const filepath = this.statePath(brand);
+    if (!fs.existsSync(filepath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+      console.warn(`   ⚠️  Ignoring unreadable watch state for ${brand}: ${error.message}`);
+      return {};
+    }
+  }
+
+  saveState(brand, state) {
+    const filepath = this.statePath(brand);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Whether another live process holds the brand's run
+   */
+  isLockedByOther(state) {
+    if (!state.runningPid || state.runningPid === process.pid) return false;
+
+    try {
+      process.kill(state.runningPid, 0);
+      return true;
+    } catch (error) {
+      // ESRCH: the process is gone, so the lock is stale
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Whether a brand is due to run now
+   * @param {Object} brandConfig - Brand configuration
+   * @param {Object} state - Persisted watch state
+   * @param {Date} now - Current time
+   */
+  isDue(brandConfig, state, now) {
+    const frequency = brandConfig.monitoring?.frequency || 'daily';
+    const lastRun = state.lastRun ? new Date(state.lastRun) : null;
+
+    if (INTERVALS[frequency]) {
+      return !lastRun || now - lastRun >= INTERVALS[frequency];
+    }
+
+    // Cron: run at the first match after the last run (or after this daemon started)
+    const cron = new CronExpression(frequency);
+    const since = lastRun || new Date(Math.min(this.startedAt.getTime(), now.getTime() - 60 * 1000));
+    return cron.hasMatchBetween(since, now, brandConfig.monitoring?.timezone);
+  }
+
+  /**
+   * Check every enabled brand and run the ones that are due
+   */
+  async tick() {
+    if (this.ticking) {
+      console.log('⏳ Previous check still running, skipping this one');
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      let config;
+      try {
+        config = BirdUtils.loadConfig();
+      } catch (error) {
+        // Keep watching: the config may be fixed before the next check
+        console.error(`❌ ${error.message}`);
+        return;
+      }
+
+      for (const [brand, brandConfig] of Object.entries(config)) {
+        if (this.stopping) break;
+        if (brandConfig.enabled === false) continue;
+
+        try {
+          const state = this.loadState(brand);
+
+          if (this.running.has(brand) || this.isLockedByOther(state)) {
+            console.log(`⏳ ${brand}: previous run still in progress, skipping`);
+            continue;
+          }
+
+          if (!this.isDue(brandConfig, state, new Date())) continue;
+
+          await this.runBrand(brand, state);
+        } catch (error) {
+          console.error(`❌ ${brand}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run intelligence for one brand and persist its state
+   */
+  async runBrand(brand, state) {
+    this.running.add(brand);
+    const startedAt = new Date().toISOString();
+    this.saveState(brand, { ...state, runningPid: process.pid, startedAt });
+
+    console.log(`\n🕒 ${startedAt} running ${brand}`);
+
+    try {
+      const intel = new CompetitiveIntelligence(brand);
+      await intel.run();
+      this.saveState(brand, {
+        ...state,
+        lastRun: startedAt,
+        lastSuccess: new Date().toISOString(),
+        lastError: null,
+        runningPid: null
+      });
+    } catch (error) {
+      // Record the attempt so a failing brand waits for its next slot instead of hot-looping
+      this.saveState(brand, {
+        ...state,
+        lastRun: startedAt,
+        lastError: error.message,
+        runningPid: null
+      });
+      console.error(`❌ ${brand} run failed: ${error.message}`);
+    } finally {
+      this.running.delete(brand);
+    }
+  }
+
+  /**
+   * Start the scheduler loop
+   * @returns {Promise} Resolves once stopped (or after one pass with --once)
+   */
+  async start() {
+    console.log(`👀 Bird watch started (checking every ${Math.round(this.intervalMs / 1000)}s)`);
+
+    await this.tick();
+    if (this.once || this.stopping) return;
+
+    await new Promise(resolve => {
+      this.resolveStopped = resolve;
+      this.timer = setInterval(() => this.tick(), this.intervalMs);
+    });
+  }
+
+  /**
+   * Stop scheduling and wait for in-flight runs to finish
+   */
+  async stop(signal) {
+    if (this.stopping) return;
+    this.stopping = true;
+
+    clearInterval(this.timer);
+    console.log(`\n🛑 ${signal || 'Stop'} received, shutting down...`);
+
+    if (this.running.size > 0) {
+      console.log(`   Waiting for running brand(s) to finish: ${[...this.running].join(', ')} (press Ctrl+C again to force)`);
+    }
+
+    while (this.ticking || this.running.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    if (this.resolveStopped) this.resolveStopped();
+  }
+}
+
+module.exports = { BirdWatch, CronExpression, INTERVALS };
+
+// CLI Interface
+if (require.main === module) {
+  const intervalSeconds = Number(process.argv.find(arg => arg.startsWith('--interval='))?.split('=')[1]);
+
+  const watch = new BirdWatch({
+    once: process.argv.includes('--once'),
+    intervalMs: intervalSeconds > 0 ? intervalSeconds * 1000 : undefined
+  });
+
+  let signals = 0;
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      if (++signals > 1) {
+        console.error('❌ Forced shutdown');
+        process.exit(130);
+      }
+      watch.stop(signal);
+    });
+  });
+
+  watch.start()
+    .then(() => {
+      console.log('👋 Bird watch stopped');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`\n❌ Error: ${error.message}\n`);
+      process.exit(1);
+    });
+}
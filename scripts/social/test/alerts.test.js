@@ -0,0 +1,256 @@
+/**
+ * Alert sinks against local stand-in servers: an http server for the webhook
+ * and a minimal net-based SMTP server for email. Nothing leaves the machine.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AlertEngine = require('../bird-alerts');
+
+const BRAND = 'test-brand';
+const originalCwd = process.cwd();
+const originalLog = console.log;
+const originalWarn = console.warn;
+
+/**
+ * Webhook stand-in: records each JSON body and answers with `status`
+ */
+function webhookServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(server.status);
+      res.end();
+    });
+  });
+  server.requests = [];
+  server.status = 200;
+  return server;
+}
+
+/**
+ * SMTP stand-in: no TLS, accepts AUTH PLAIN and records each message
+ */
+function smtpServer() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    const session = { auth: null, from: null, to: [], data: '' };
+
+    socket.setEncoding('utf-8');
+    socket.write('220 localhost stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        server.messages.push(session);
+        socket.write('250 queued\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const [verb] = line.split(' ');
+
+        if (verb === 'EHLO') socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') {
+          session.auth = Buffer.from(line.split(' ')[2], 'base64').toString('utf-8').split('\0');
+          socket.write('235 ok\r\n');
+        } else if (verb === 'MAIL') {
+          session.from = line.match(/<(.*)>/)[1];
+          socket.write('250 ok\r\n');
+        } else if (verb === 'RCPT') {
+          session.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 ok\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('500 unknown\r\n');
+        }
+      }
+    });
+  });
+  server.messages = [];
+  return server;
+}
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(resolve => {
+  server.close(() => resolve());
+  // fetch keeps webhook connections alive
+  if (server.closeAllConnections) server.closeAllConnections();
+});
+
+const report = timestamp => ({
+  brand: BRAND,
+  timestamp,
+  competitors: [],
+  influencers: [],
+  trends: [],
+  mentions: { total: 42 }
+});
+
+const RULES = [{ name: 'mentions-high', metric: 'mentions.total', above: 10 }];
+
+describe('AlertEngine sinks', () => {
+  let webhook;
+  let smtp;
+  let webhookUrl;
+  let smtpPort;
+  let workDir;
+
+  before(async () => {
+    webhook = webhookServer();
+    smtp = smtpServer();
+    webhookUrl = `http://127.0.0.1:${await listen(webhook)}/hook`;
+    smtpPort = await listen(smtp);
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  after(async () => {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    await Promise.all([close(webhook), close(smtp)]);
+  });
+
+  beforeEach(() => {
+    process.chdir(originalCwd);
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-alerts-test-'));
+    process.chdir(workDir);
+    webhook.requests = [];
+    webhook.status = 200;
+    smtp.messages = [];
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('posts fired alerts to the webhook as JSON', async () => {
+    const engine = new AlertEngine(BRAND, { rules: RULES, sinks: { webhook: { url: webhookUrl, headers: { 'X-Token': 'abc' } } } });
+    const { fired, delivered, failed } = await engine.run(report('2026-10-19T10:00:00.000Z'));
+
+    assert.strictEqual(fired.length, 1);
+    assert.deepStrictEqual(delivered, { webhook: 1 });
+    assert.deepStrictEqual(failed, []);
+    assert.strictEqual(webhook.requests.length, 1);
+
+    const { headers, body } = webhook.requests[0];
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.strictEqual(headers['x-token'], 'abc');
+    assert.strictEqual(body.brand, BRAND);
+    assert.strictEqual(body.alerts[0].rule, 'mentions-high');
+    assert.strictEqual(body.alerts[0].value, 42);
+  });
+
+  it('emails fired alerts through SMTP', async () => {
+    process.env.BIRD_TEST_SMTP_PASSWORD = 'secret';
+    const engine = new AlertEngine(BRAND, {
+      rules: RULES,
+      sinks: {
+        email: {
+          host: '127.0.0.1',
+          port: smtpPort,
+          from: 'bird@example.com',
+          to: ['team@example.com'],
+          username: 'bird',
+          passwordEnv: 'BIRD_TEST_SMTP_PASSWORD',
+          // The stand-in has no TLS
+          allowInsecureAuth: true
+        }
+      }
+    });
+    const { delivered } = await engine.run(report('2026-10-19T10:00:00.000Z'));
+
+    assert.deepStrictEqual(delivered, { email: 1 });
+    assert.strictEqual(smtp.messages.length, 1);
+
+    const message = smtp.messages[0];
+    assert.deepStrictEqual(message.auth, ['', 'bird', 'secret']);
+    assert.strictEqual(message.from, 'bird@example.com');
+    assert.deepStrictEqual(message.to, ['team@example.com']);
+    assert.match(message.data, /^Subject: \[bird\] 1 alert\(s\) for test-brand$/m);
+    assert.match(message.data, /mentions-high: our account: mentions\.total is 42 \(above 10\)/);
+  });
+
+  it('refuses to send credentials without TLS unless allowed', async () => {
+    process.env.BIRD_TEST_SMTP_PASSWORD = 'secret';
+    const engine = new AlertEngine(BRAND, {
+      rules: RULES,
+      sinks: {
+        email: { host: '127.0.0.1', port: smtpPort, from: 'bird@example.com', to: ['team@example.com'], username: 'bird', passwordEnv: 'BIRD_TEST_SMTP_PASSWORD' }
+      }
+    });
+    const { delivered, failed } = await engine.run(report('2026-10-19T10:00:00.000Z'));
+
+    assert.deepStrictEqual(delivered, {});
+    assert.match(failed[0].error, /refusing to send credentials in cleartext/);
+    assert.strictEqual(smtp.messages.length, 0);
+  });
+
+  it('starts a cooldown once an alert is delivered', async () => {
+    const engine = new AlertEngine(BRAND, { rules: RULES, sinks: { webhook: { url: webhookUrl } } });
+
+    await engine.run(report('2026-10-19T10:00:00.000Z'));
+    const second = await engine.run(report('2026-10-19T11:00:00.000Z'));
+
+    assert.strictEqual(second.fired.length, 0);
+    assert.strictEqual(second.suppressed, 1);
+    assert.strictEqual(webhook.requests.length, 1);
+  });
+
+  it('keeps firing an alert no sink could deliver', async () => {
+    const engine = new AlertEngine(BRAND, { rules: RULES, sinks: { webhook: { url: webhookUrl } } });
+    webhook.status = 503;
+
+    const first = await engine.run(report('2026-10-19T10:00:00.000Z'));
+    assert.strictEqual(first.failed.length, 1);
+    assert.match(first.failed[0].error, /responded 503/);
+    assert.deepStrictEqual(engine.loadState().lastFired, {});
+
+    webhook.status = 200;
+    const second = await engine.run(report('2026-10-19T11:00:00.000Z'));
+    assert.strictEqual(second.fired.length, 1);
+    assert.deepStrictEqual(second.delivered, { webhook: 1 });
+    assert.deepStrictEqual(engine.loadState().lastFired, { 'mentions-high|our account': '2026-10-19T11:00:00.000Z' });
+  });
+
+  it('starts a cooldown when one of several sinks delivered', async () => {
+    // Drops every connection, so the email sink fails
+    const broken = net.createServer(socket => socket.destroy());
+    const engine = new AlertEngine(BRAND, {
+      rules: RULES,
+      sinks: {
+        webhook: { url: webhookUrl },
+        email: { host: '127.0.0.1', port: await listen(broken), from: 'bird@example.com', to: ['team@example.com'], timeoutMs: 2000 }
+      }
+    });
+
+    const { delivered, failed } = await engine.run(report('2026-10-19T10:00:00.000Z'));
+    await close(broken);
+    assert.deepStrictEqual(delivered, { webhook: 1 });
+    assert.strictEqual(failed[0].sink, 'email');
+    assert.ok(engine.loadState().lastFired['mentions-high|our account']);
+  });
+});
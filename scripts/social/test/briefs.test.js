@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const BriefGenerator = require('../bird-briefs');
+const StubBriefProvider = require('../bird-briefs-stub');
+
+const tweet = (id, text, likes) => ({
+  id,
+  text,
+  url: `https://twitter.com/alice/status/${id}`,
+  author: { handle: 'alice' },
+  engagement: { likes, retweets: 0, replies: 0 },
+  angles: ['tactical']
+});
+
+const report = {
+  trends: [{
+    keyword: 'AI agents',
+    trendStrength: { score: 80 },
+    angles: [{ angle: 'tactical', tweets: 2, lift: 1.5 }],
+    topTweets: [tweet('1', 'How I run AI agents', 40), tweet('2', 'AI agents setup', 20)]
+  }],
+  recommendations: [],
+  competitors: [],
+  conversations: null
+};
+
+describe('BriefGenerator providers', () => {
+  const originalWarn = console.warn;
+  before(() => { console.warn = () => {}; });
+  after(() => { console.warn = originalWarn; });
+
+  it('uses templates without a provider', async () => {
+    const [brief] = await new BriefGenerator().generate(report);
+    assert.strictEqual(brief.provider, 'template');
+    assert.strictEqual(brief.angle, 'tactical');
+    assert.strictEqual(brief.keyword, 'AI agents');
+    assert.match(brief.hooks[0], /AI agents/);
+  });
+
+  it('takes every field from a provider that answers in full', async () => {
+    const [template] = await new BriefGenerator().generate(report);
+    const provider = new StubBriefProvider();
+    const [brief] = await new BriefGenerator({ provider }).generate(report);
+
+    assert.strictEqual(brief.provider, 'stub');
+    assert.deepStrictEqual(brief.hooks, template.hooks.map(h => `[stub] ${h}`));
+    assert.deepStrictEqual(brief.outline, template.outline.map(o => `[stub] ${o}`));
+    assert.deepStrictEqual(brief.draft, template.draft.map(t => `[stub] ${t}`));
+    assert.strictEqual(provider.calls.length, 1);
+    assert.match(provider.calls[0].prompt, /"AI agents" using a tactical angle/);
+  });
+
+  it('keeps templates for fields a provider leaves out or returns empty', async () => {
+    const [template] = await new BriefGenerator().generate(report);
+
+    const [partial] = await new BriefGenerator({ provider: new StubBriefProvider({ fields: ['hooks'] }) }).generate(report);
+    assert.deepStrictEqual(partial.hooks, template.hooks.map(h => `[stub] ${h}`));
+    assert.deepStrictEqual(partial.outline, template.outline);
+    assert.deepStrictEqual(partial.draft, template.draft);
+
+    const provider = new StubBriefProvider({ response: { hooks: [], outline: 'not a list', draft: ['Only this'] } });
+    const [odd] = await new BriefGenerator({ provider }).generate(report);
+    assert.deepStrictEqual(odd.hooks, template.hooks);
+    assert.deepStrictEqual(odd.outline, template.outline);
+    assert.deepStrictEqual(odd.draft, ['Only this']);
+  });
+
+  it('falls back to the template when the provider throws', async () => {
+    const [template] = await new BriefGenerator().generate(report);
+    const [brief] = await new BriefGenerator({ provider: new StubBriefProvider({ error: 'model unavailable' }) }).generate(report);
+
+    assert.strictEqual(brief.provider, 'template');
+    assert.deepStrictEqual(brief.hooks, template.hooks);
+    assert.deepStrictEqual(brief.draft, template.draft);
+  });
+
+  it('loads the stub as a provider module', () => {
+    const provider = BriefGenerator.loadProvider(path.join(__dirname, '..', 'bird-briefs-stub.js'));
+    assert.ok(provider instanceof StubBriefProvider);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Replay-backed tests for the intelligence analyzers
+ * Runs the ai.withjai brand against the recorded fixtures in ../fixtures, so
+ * no bird binary, browser or network is needed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+process.env.BIRD_CONFIG = path.join(FIXTURES, 'bird-config.json');
+
+const BirdUtils = require('../bird-utils');
+const CompetitiveIntelligence = require('../bird-competitive-intel');
+const { ReplaySource } = require('../bird-sources');
+
+const BRAND = 'ai.withjai';
+const originalCwd = process.cwd();
+const originalLog = console.log;
+const originalWarn = console.warn;
+let workDir;
+
+/**
+ * One full replayed run, in a scratch directory so reports and state stay out of the repo
+ */
+async function replayRun() {
+  const intel = new CompetitiveIntelligence(BRAND);
+  await intel.run();
+  return intel;
+}
+
+describe('CompetitiveIntelligence (replayed fixtures)', () => {
+  let intel;
+
+  before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-intel-test-'));
+    process.chdir(workDir);
+    console.log = () => {};
+    BirdUtils.setSource(new ReplaySource({ fixturesDir: FIXTURES }));
+    intel = await replayRun();
+  });
+
+  after(() => {
+    console.log = originalLog;
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('replays a full run without bird', () => {
+    assert.strictEqual(intel.report.competitors.length, 5);
+    assert.strictEqual(intel.report.influencers.length, 5);
+    assert.strictEqual(intel.report.trends.length, intel.config.keywords.length);
+    assert.ok(fs.existsSync(path.join(BirdUtils.getOutputDir(BRAND), 'report-history.jsonl')));
+  });
+
+  describe('calculateAverageEngagement', () => {
+    it('rounds the per-tweet mean of likes, retweets and replies', () => {
+      const tweets = [
+        { engagement: { likes: 10, retweets: 1, replies: 0 } },
+        { engagement: { likes: 5, retweets: 2, replies: 3 } },
+        { engagement: { likes: 0, retweets: 0, replies: 4 } }
+      ];
+      assert.deepStrictEqual(intel.calculateAverageEngagement(tweets), { likes: 5, retweets: 1, replies: 2 });
+    });
+
+    it('is zero for no tweets', () => {
+      assert.deepStrictEqual(intel.calculateAverageEngagement([]), { likes: 0, retweets: 0, replies: 0 });
+    });
+
+    it('matches the replayed competitor tweets', () => {
+      const lenny = intel.report.competitors.find(c => c.handle === 'lenny');
+      const tweets = intel.collectedTweets.filter(t => t.author.handle === 'lenny');
+      const mean = key => Math.round(tweets.reduce((sum, t) => sum + t.engagement[key], 0) / tweets.length);
+
+      assert.strictEqual(lenny.tweetsAnalyzed, 5);
+      assert.deepStrictEqual(lenny.averageEngagement, { likes: mean('likes'), retweets: mean('retweets'), replies: mean('replies') });
+    });
+  });
+
+  describe('extractThemes', () => {
+    it('counts configured keywords case-insensitively, most frequent first', () => {
+      const themes = intel.extractThemes([
+        { text: 'Claude Code all day' },
+        { text: 'claude code and AI AUTOMATION' },
+        { text: 'nothing relevant' }
+      ]);
+      assert.deepStrictEqual(themes, [
+        { theme: 'Claude Code', frequency: 2 },
+        { theme: 'AI automation', frequency: 1 }
+      ]);
+    });
+
+    it('only reports keywords found in the replayed tweets', () => {
+      intel.report.competitors.forEach(c => {
+        c.contentThemes.forEach(({ theme, frequency }) => {
+          assert.ok(intel.config.keywords.includes(theme));
+          assert.ok(frequency > 0 && frequency <= c.tweetsAnalyzed);
+        });
+      });
+    });
+  });
+
+  describe('identifyContentGaps', () => {
+    it('keeps under-covered angles with enough lift, best lift first', () => {
+      const { maxCoverage, minLift, minTweets } = intel.angleClassifier.options;
+      const gaps = intel.identifyContentGaps([
+        { angle: 'tactical', tweets: 10, coverage: 0.5, lift: 2 },
+        { angle: 'proof', tweets: minTweets, coverage: maxCoverage / 2, lift: minLift + 0.5 },
+        { angle: 'contrarian', tweets: minTweets, coverage: maxCoverage / 2, lift: minLift + 1 },
+        { angle: 'educational', tweets: minTweets, coverage: maxCoverage / 2, lift: null },
+        { angle: 'systematic', tweets: minTweets, coverage: maxCoverage / 2, lift: minLift - 0.1 }
+      ]);
+      assert.deepStrictEqual(gaps.map(g => g.angle), ['contrarian', 'proof']);
+    });
+
+    it('derives each trend\'s gaps from its angle coverage', () => {
+      intel.report.trends.forEach(trend => {
+        assert.deepStrictEqual(trend.contentGaps, intel.identifyContentGaps(trend.angles));
+      });
+    });
+  });
+
+  describe('generateInsights', () => {
+    it('names the competitors\' most frequent theme', () => {
+      const totals = {};
+      intel.report.competitors.flatMap(c => c.contentThemes).forEach(t => {
+        totals[t.theme] = (totals[t.theme] || 0) + t.frequency;
+      });
+      const [theme, count] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+
+      const positioning = intel.report.insights.find(i => i.type === 'competitor-positioning');
+      assert.strictEqual(positioning.description, `Competitors heavily focus on "${theme}" (${count} mentions)`);
+    });
+
+    it('reports unanswered mentions from the replayed mentions', () => {
+      const insight = intel.report.insights.find(i => i.type === 'unanswered-mentions');
+      assert.ok(insight);
+      assert.match(insight.description, new RegExp(`^${intel.report.mentions.unanswered.length} mention\\(s\\)`));
+    });
+
+    it('gives every insight a type, description and action', () => {
+      assert.ok(intel.report.insights.length > 0);
+      intel.report.insights.forEach(insight => {
+        assert.strictEqual(typeof insight.type, 'string');
+        assert.strictEqual(typeof insight.description, 'string');
+        assert.strictEqual(typeof insight.actionable, 'string');
+      });
+    });
+
+    it('is deterministic across replayed runs', async () => {
+      const again = await replayRun();
+      const shape = report => ({
+        competitors: report.competitors.map(c => [c.handle, c.averageEngagement, c.contentThemes]),
+        influencers: report.influencers.map(i => [i.handle, i.averageEngagement, i.collaborationPotential.score]),
+        positioning: report.insights.find(i => i.type === 'competitor-positioning')
+      });
+      assert.deepStrictEqual(shape(again.report), shape(intel.report));
+    });
+  });
+
+  describe('profile changes', () => {
+    const replay = new ReplaySource({ fixturesDir: FIXTURES });
+    // Replays every fixture except `from:lenny`, which gets `answer` instead
+    const lennySource = answer => ({
+      name: 'replay',
+      execute: async args => (args.includes('from:lenny') ? answer() : replay.execute(args))
+    });
+    const lenny = profileChanges => profileChanges.changes.filter(c => c.handle === 'lenny');
+    const stored = () => JSON.parse(fs.readFileSync(path.join(BirdUtils.getOutputDir(BRAND), 'profile-snapshots.json'), 'utf-8'));
+
+    after(() => BirdUtils.setSource(replay));
+
+    it('snapshots a handle tracked as competitor and influencer once', () => {
+      const { competitors, influencers } = intel.config;
+      const handles = new Set([...competitors, ...influencers].map(h => h.toLowerCase()));
+
+      assert.strictEqual(intel.report.profileChanges.tracked, handles.size);
+      assert.strictEqual(stored().profiles.gregisenberg.role, 'competitor, influencer');
+    });
+
+    it('skips a handle whose fetch failed instead of calling it unavailable', async () => {
+      console.warn = () => {};
+      BirdUtils.setSource(lennySource(() => { throw new Error('401 Unauthorized'); }));
+      const failed = await replayRun();
+      console.warn = originalWarn;
+
+      assert.deepStrictEqual(lenny(failed.report.profileChanges), []);
+      assert.ok(!failed.report.insights.some(i => i.type === 'handle-change'));
+      assert.strictEqual(stored().profiles.lenny.available, true);
+    });
+
+    it('reports a handle bird answered with no tweets as unavailable', async () => {
+      BirdUtils.setSource(lennySource(() => '[]'));
+      const empty = await replayRun();
+
+      assert.deepStrictEqual(lenny(empty.report.profileChanges).map(c => c.type), ['unavailable']);
+      assert.strictEqual(stored().profiles.lenny.available, false);
+    });
+  });
+});
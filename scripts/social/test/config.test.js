@@ -0,0 +1,53 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BirdConfig = require('../bird-config');
+const BirdUtils = require('../bird-utils');
+
+const brand = scoring => ({ acme: { ...BirdConfig.template(), scoring } });
+const scoringErrors = scoring => BirdConfig.validate(brand(scoring)).errors.filter(e => e.path.includes('.scoring.'));
+
+describe('BirdConfig.validate scoring', () => {
+  it('accepts the defaults and ordered overrides', () => {
+    assert.deepStrictEqual(scoringErrors(undefined), []);
+    assert.deepStrictEqual(scoringErrors({ trendStrength: { thresholds: { strong: 80, moderate: 50 } } }), []);
+    assert.deepStrictEqual(scoringErrors({ collaboration: { thresholds: { medium: 60 } } }), []);
+  });
+
+  it('rejects a single override that inverts the levels against the defaults', () => {
+    // Default moderate is 30, default high is 70
+    assert.deepStrictEqual(scoringErrors({ trendStrength: { thresholds: { strong: 20 } } }).map(e => e.path), ['acme.scoring.trendStrength.thresholds']);
+    assert.deepStrictEqual(scoringErrors({ collaboration: { thresholds: { medium: 80 } } }).map(e => e.path), ['acme.scoring.collaboration.thresholds']);
+  });
+
+  it('rejects weights that are all 0 once merged with the defaults', () => {
+    assert.deepStrictEqual(scoringErrors({ collaboration: { weights: { engagementRate: 0 } } }), []);
+
+    const zero = { engagementRate: 0, consistency: 0, relevance: 0, reach: 0 };
+    assert.deepStrictEqual(scoringErrors({ collaboration: { weights: zero } }).map(e => e.path), ['acme.scoring.collaboration.weights']);
+  });
+});
+
+describe('BirdUtils.getBrandConfig', () => {
+  const originalConfig = process.env.BIRD_CONFIG;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-config-test-'));
+
+  after(() => {
+    if (originalConfig === undefined) delete process.env.BIRD_CONFIG;
+    else process.env.BIRD_CONFIG = originalConfig;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('loads a valid brand even when another brand is invalid', () => {
+    const valid = { ...BirdConfig.template(), enabled: true, keywords: ['agents'], competitors: ['swyx'] };
+    process.env.BIRD_CONFIG = path.join(workDir, 'bird-config.json');
+    fs.writeFileSync(process.env.BIRD_CONFIG, JSON.stringify({ good: valid, broken: { ...valid, competitors: ['@swyx'] } }));
+
+    assert.deepStrictEqual(BirdUtils.getBrandConfig('good').competitors, ['swyx']);
+    assert.throws(() => BirdUtils.getBrandConfig('broken'), /broken\.competitors\[0\]/);
+    assert.throws(() => BirdUtils.getBrandConfig('missing'), /Brand not found/);
+  });
+});
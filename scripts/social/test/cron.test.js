@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const CronExpression = require('../bird-cron');
+
+describe('CronExpression', () => {
+  it('matches minutes in the given timezone', () => {
+    const cron = new CronExpression('0 9 * * 1');
+
+    assert.ok(cron.matches(new Date('2026-01-05T14:00:00Z'), 'America/New_York'));
+    assert.ok(!cron.matches(new Date('2026-01-05T09:00:00Z'), 'America/New_York'));
+    assert.ok(cron.matches(new Date('2026-01-05T09:00:00Z'), 'UTC'));
+  });
+
+  it('finds a weekly match up to 8 days back', () => {
+    const cron = new CronExpression('0 9 * * 1');
+
+    assert.ok(cron.hasMatchBetween(new Date('2026-01-01T00:00:00Z'), new Date('2026-01-08T00:00:00Z'), 'UTC'));
+    assert.ok(!cron.hasMatchBetween(new Date('2026-01-05T09:00:00Z'), new Date('2026-01-12T08:59:00Z'), 'UTC'));
+    assert.ok(cron.hasMatchBetween(new Date('2026-01-05T09:00:00Z'), new Date('2026-01-12T09:00:00Z'), 'UTC'));
+  });
+
+  it('finds matches just after midnight on DST change days', () => {
+    // US clocks go forward on 2026-03-08 and back on 2026-11-01
+    const cron = new CronExpression('30 0 * * 0');
+
+    assert.ok(cron.hasMatchBetween(new Date('2026-03-07T12:00:00Z'), new Date('2026-03-08T05:30:00Z'), 'America/New_York'));
+    assert.ok(!cron.hasMatchBetween(new Date('2026-03-07T12:00:00Z'), new Date('2026-03-08T05:29:00Z'), 'America/New_York'));
+    assert.ok(cron.hasMatchBetween(new Date('2026-10-31T12:00:00Z'), new Date('2026-11-01T04:30:00Z'), 'America/New_York'));
+  });
+
+  it('matches day of month or day of week when both are restricted', () => {
+    const cron = new CronExpression('0 12 13 * 5');
+
+    assert.ok(cron.matches(new Date('2026-01-13T12:00:00Z'), 'UTC'));
+    assert.ok(cron.matches(new Date('2026-01-16T12:00:00Z'), 'UTC'));
+    assert.ok(!cron.matches(new Date('2026-01-14T12:00:00Z'), 'UTC'));
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => new CronExpression('0 9 * *'), /expected 5 fields/);
+    assert.throws(() => new CronExpression('0 24 * * *'), /hour field/);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const ReportExporter = require('../bird-export');
+
+describe('ReportExporter.escape', () => {
+  it('quotes fields with delimiters, quotes and line breaks', () => {
+    assert.strictEqual(ReportExporter.escape('a,b'), '"a,b"');
+    assert.strictEqual(ReportExporter.escape('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(ReportExporter.escape('line\nbreak'), '"line\nbreak"');
+    assert.strictEqual(ReportExporter.escape('a\tb', '\t'), '"a\tb"');
+    assert.strictEqual(ReportExporter.escape(null), '');
+  });
+
+  it('keeps text that looks like a formula from being evaluated', () => {
+    assert.strictEqual(ReportExporter.escape('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+    assert.strictEqual(ReportExporter.escape('+1 to this'), "'+1 to this");
+    assert.strictEqual(ReportExporter.escape('-- hot take'), "'-- hot take");
+    assert.strictEqual(ReportExporter.escape('@alice thanks'), "'@alice thanks");
+  });
+
+  it('leaves numbers untouched', () => {
+    assert.strictEqual(ReportExporter.escape(-0.25), '-0.25');
+    assert.strictEqual(ReportExporter.escape(42), '42');
+  });
+
+  it('guards text columns in a table without touching numeric ones', () => {
+    const table = ReportExporter.toDelimited([{ text: '@bob hi', value: -3 }], ['text', 'value']);
+    assert.strictEqual(table, "text,value\r\n'@bob hi,-3\r\n");
+  });
+});
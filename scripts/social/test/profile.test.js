@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const CompetitorProfiler = require('../bird-profile');
+const TweetModel = require('../bird-tweet');
+
+const tweet = (id, likes, fields = {}) => TweetModel.normalize({
+  id_str: id,
+  full_text: `Post ${id}`,
+  created_at: `2026-01-0${id}T12:00:00Z`,
+  user: { screen_name: 'acme', followers_count: 1000 },
+  favorite_count: likes,
+  ...fields
+});
+
+describe('CompetitorProfiler.profile', () => {
+  it('classifies a viral self-reply as a thread, as in the format mix', () => {
+    const tweets = [
+      tweet('1', 10),
+      tweet('2', 12),
+      tweet('3', 11),
+      tweet('4', 9),
+      tweet('5', 500, { in_reply_to_status_id_str: '1', conversation_id_str: '1' })
+    ];
+
+    const profile = new CompetitorProfiler().profile('acme', tweets);
+
+    assert.strictEqual(profile.formatMix.thread.count, 1);
+    assert.strictEqual(profile.formatMix.reply.count, 0);
+    assert.deepStrictEqual(profile.viral.map(v => [v.id, v.format]), [['5', 'thread']]);
+  });
+
+  it('takes the same median of an even-sized sample for engagement and engagement rate', () => {
+    const tweets = [tweet('1', 10), tweet('2', 20), tweet('3', 30), tweet('4', 40)];
+
+    const { engagement } = new CompetitorProfiler().profile('acme', tweets);
+
+    assert.strictEqual(engagement.median, 25);
+    assert.strictEqual(engagement.medianRate, 0.025);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RequestScheduler, classifyError } = require('../bird-scheduler');
+
+const failure = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+describe('classifyError', () => {
+  it('recognizes authentication failures', () => {
+    [
+      'HTTP 401',
+      'Auth failed: missing cookies',
+      'Authentication required',
+      'Not authenticated. Log in to x.com first',
+      'You are not logged in'
+    ].forEach(message => assert.strictEqual(classifyError(failure(message)), 'auth', message));
+  });
+
+  it('does not treat "author" or "authorization" as an auth failure', () => {
+    assert.strictEqual(classifyError(failure('Could not parse author field')), 'transient');
+    assert.strictEqual(classifyError(failure('Malformed authorization header in proxy response')), 'transient');
+  });
+
+  it('classifies rate limits, missing resources and missing fixtures', () => {
+    assert.strictEqual(classifyError(failure('429 Too Many Requests')), 'rate-limit');
+    assert.strictEqual(classifyError(failure('User not found')), 'not-found');
+    assert.strictEqual(classifyError(failure('no fixture', { code: 'ENOFIXTURE' })), 'not-found');
+  });
+});
+
+describe('RequestScheduler', () => {
+  const originalWarn = console.warn;
+  let workDir;
+  let statePath;
+
+  // Zero delays keep retries instant; budgets are tiny so limits are reached quickly
+  const scheduler = (options = {}) => new RequestScheduler({ statePath, rateLimitDelayMs: 0, ...options });
+  const failing = (message, times = Infinity) => {
+    const task = async () => {
+      task.calls += 1;
+      if (task.calls <= times) throw failure(message);
+      return 'ok';
+    };
+    task.calls = 0;
+    return task;
+  };
+
+  before(() => {
+    console.warn = () => {};
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-scheduler-test-'));
+  });
+
+  after(() => {
+    console.warn = originalWarn;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    statePath = path.join(workDir, `${Date.now()}-${Math.random()}.json`);
+  });
+
+  describe('retries', () => {
+    it('retries transient failures up to the limit', async () => {
+      const task = failing('socket hang up');
+      await assert.rejects(scheduler().run(['search'], task, { retries: 3, delay: 0 }), /socket hang up/);
+      assert.strictEqual(task.calls, 3);
+
+      const flaky = failing('socket hang up', 2);
+      assert.strictEqual(await scheduler().run(['search'], flaky, { retries: 3, delay: 0 }), 'ok');
+      assert.strictEqual(flaky.calls, 3);
+    });
+
+    it('does not retry auth failures or missing resources', async () => {
+      const auth = failing('HTTP 401');
+      await assert.rejects(scheduler().run(['search'], auth, { delay: 0 }), error => error.kind === 'auth');
+      assert.strictEqual(auth.calls, 1);
+
+      const missing = failing('User not found');
+      await assert.rejects(scheduler().run(['search'], missing, { delay: 0 }), error => error.kind === 'not-found');
+      assert.strictEqual(missing.calls, 1);
+    });
+
+    it('keeps backoff within half and all of the capped exponential delay', () => {
+      const s = scheduler({ maxDelayMs: 5000 });
+      for (let attempt = 0; attempt < 6; attempt++) {
+        const ceiling = Math.min(5000, 1000 * 2 ** attempt);
+        const wait = s.backoff(attempt, 1000);
+        assert.ok(wait >= ceiling / 2 && wait <= ceiling, `attempt ${attempt}: ${wait}`);
+      }
+    });
+  });
+
+  describe('budget', () => {
+    it('records requests and waits for the window when the budget is used up', async () => {
+      const s = scheduler({ budgets: { search: { limit: 1, windowMs: 50 } } });
+
+      await s.run(['search'], async () => 'first');
+      const started = Date.now();
+      await s.run(['search'], async () => 'second');
+
+      assert.ok(Date.now() - started >= 40);
+      assert.strictEqual(s.stats.budgetWaits, 1);
+      assert.strictEqual(s.usage().find(u => u.endpoint === 'search').used, 1);
+    });
+
+    it('fails with a rate-limit error instead of waiting longer than maxBudgetWaitMs', async () => {
+      const s = scheduler({ budgets: { search: { limit: 1, windowMs: 60 * 60 * 1000 } }, maxBudgetWaitMs: 1000 });
+      const task = failing('never called', 0);
+
+      await s.run(['search'], task);
+      await assert.rejects(s.run(['search'], task), error => error.kind === 'rate-limit' && /budget for "search" exhausted/.test(error.message));
+      assert.strictEqual(task.calls, 1);
+    });
+
+    it('shares the budget between schedulers using the same state file', async () => {
+      const budgets = { search: { limit: 2, windowMs: 60 * 60 * 1000 } };
+      await scheduler({ budgets }).run(['search'], async () => 'ok');
+      await scheduler({ budgets }).run(['search'], async () => 'ok');
+
+      assert.ok(scheduler({ budgets }).reserve('search') > 0);
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(statePath)).filter(f => f.endsWith('.tmp')), []);
+    });
+
+    it('blocks the endpoint after a 429 until the rate-limit wait is over', async () => {
+      const s = scheduler({ rateLimitDelayMs: 200, maxDelayMs: 200 });
+      const task = failing('429 Too Many Requests', 1);
+      const running = s.run(['search'], task, { delay: 0 });
+
+      // While the retry waits, other schedulers sharing the state file are held back too
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.ok(s.loadState().endpoints.search.blockedUntil > Date.now());
+      assert.ok(scheduler().reserve('search') > 0);
+
+      assert.strictEqual(await running, 'ok');
+      assert.strictEqual(s.stats.rateLimited, 1);
+      assert.strictEqual(task.calls, 2);
+    });
+
+    it('skips budget tracking when asked to', async () => {
+      const s = scheduler({ budgets: { search: { limit: 1, windowMs: 60 * 60 * 1000 } }, maxBudgetWaitMs: 0 });
+      await s.run(['search'], async () => 'ok', { budget: false });
+      await s.run(['search'], async () => 'ok', { budget: false });
+
+      assert.deepStrictEqual(s.usage(), []);
+    });
+  });
+
+  it('runs at most `concurrency` tasks at once', async () => {
+    const s = scheduler({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active -= 1;
+      return 'ok';
+    };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => s.run(['search'], task, { budget: false })));
+
+    assert.deepStrictEqual(results, ['ok', 'ok', 'ok', 'ok', 'ok']);
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(s.active, 0);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const SentimentAnalyzer = require('../bird-sentiment');
+
+const label = text => SentimentAnalyzer.score(text).label;
+
+describe('SentimentAnalyzer.score', () => {
+  describe('negation', () => {
+    it('flips a negated sentiment word, with less weight than a plain one', () => {
+      const bad = SentimentAnalyzer.score('bad').score;
+      const notBad = SentimentAnalyzer.score('not bad').score;
+
+      assert.ok(notBad > 0);
+      assert.ok(Math.abs(notBad) < Math.abs(bad));
+      assert.strictEqual(label('not good'), 'negative');
+      assert.strictEqual(label("isn't bad"), 'positive');
+    });
+
+    it('stops at clause punctuation', () => {
+      assert.strictEqual(label('no problem, happy to help'), 'positive');
+      assert.strictEqual(label('Never again. Great team though'), 'positive');
+    });
+
+    it('stops at the first sentiment word after the negator', () => {
+      const { score } = SentimentAnalyzer.score('no problem happy to help');
+
+      assert.ok(score > 0);
+      assert.ok(score > SentimentAnalyzer.score('no problem').score);
+    });
+
+    it('only looks a few words back', () => {
+      assert.strictEqual(label('not that I expected it to be this good'), 'positive');
+    });
+  });
+
+  it('weights the clause after "but" over the one before it', () => {
+    assert.strictEqual(label('great idea but terrible execution'), 'negative');
+    assert.strictEqual(label('terrible onboarding but great product'), 'positive');
+  });
+
+  it('scores emoji', () => {
+    assert.strictEqual(label('shipping today 🚀🔥'), 'positive');
+    assert.strictEqual(label('the new pricing 😡'), 'negative');
+    assert.strictEqual(label('the new pricing'), 'neutral');
+  });
+
+  it('turns sarcastic praise negative', () => {
+    const result = SentimentAnalyzer.score('Oh great, another outage 🙄');
+    assert.strictEqual(result.sarcasm, true);
+    assert.strictEqual(result.label, 'negative');
+
+    assert.strictEqual(SentimentAnalyzer.score('This is great').sarcasm, false);
+  });
+
+  it('flags complaints', () => {
+    const result = SentimentAnalyzer.score("the export still doesn't work, please fix");
+    assert.strictEqual(result.complaint, true);
+    assert.strictEqual(result.label, 'negative');
+  });
+
+  it('stays within -1..1', () => {
+    const { score } = SentimentAnalyzer.score('AMAZING amazing amazing love love love best best best!!!');
+    assert.ok(score > 0.9 && score <= 1);
+  });
+});
+
+describe('SentimentAnalyzer.tone', () => {
+  it('recognizes each tone', () => {
+    assert.strictEqual(SentimentAnalyzer.tone("Here's how to set up your first agent 🧵").primary, 'educational');
+    assert.strictEqual(SentimentAnalyzer.tone('Doors open today, link in bio. Use code SAVE20').primary, 'promotional');
+    assert.strictEqual(SentimentAnalyzer.tone('Unpopular opinion: the hot take about prompts is a myth').primary, 'contrarian');
+    assert.strictEqual(SentimentAnalyzer.tone('Anyone tried this with Postgres').primary, 'question');
+    assert.strictEqual(SentimentAnalyzer.tone('lovely weather today').primary, 'conversational');
+  });
+
+  it('ignores leading @handles', () => {
+    assert.strictEqual(SentimentAnalyzer.tone('@alice @bob how did you deploy it?').primary, 'question');
+  });
+});
+
+describe('SentimentAnalyzer.rollup', () => {
+  it('counts labels, complaints and tones', () => {
+    const tweets = SentimentAnalyzer.annotate([
+      { text: 'love this' },
+      { text: 'this is broken, please fix' },
+      { text: 'ok' }
+    ]);
+    const rollup = SentimentAnalyzer.rollup(tweets);
+
+    assert.strictEqual(rollup.tweets, 3);
+    assert.deepStrictEqual([rollup.positive, rollup.neutral, rollup.negative], [1, 1, 1]);
+    assert.strictEqual(rollup.negativeShare, 0.33);
+    assert.strictEqual(rollup.complaints, 1);
+    assert.strictEqual(rollup.dominantTone, 'conversational');
+  });
+});
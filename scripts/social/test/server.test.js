@@ -0,0 +1,73 @@
+/**
+ * Request guards of the local server. Every request here is rejected before
+ * a route runs, so no brand config or bird CLI is needed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const BirdServer = require('../bird-server');
+
+describe('BirdServer request guards', () => {
+  const originalError = console.error;
+  let server;
+  let port;
+
+  /**
+   * Raw request, so Host and Origin can be set freely
+   */
+  const request = (method, pathname, headers = {}, body = '') => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let data = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  before(async () => {
+    console.error = () => {};
+    server = new BirdServer({ port: 0, token: null });
+    port = new URL(await server.listen()).port;
+  });
+
+  after(async () => {
+    console.error = originalError;
+    await server.close();
+  });
+
+  it('rejects a run started by a form post', async () => {
+    const { status, body } = await request('POST', '/brands/acme/run', {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }, 'deep=true');
+
+    assert.strictEqual(status, 415);
+    assert.match(body.error, /application\/json/);
+  });
+
+  it('rejects a run from another origin', async () => {
+    const { status } = await request('POST', '/brands/acme/run', {
+      'Content-Type': 'application/json',
+      Origin: 'https://evil.example'
+    }, '{}');
+
+    assert.strictEqual(status, 403);
+  });
+
+  it('rejects requests for a non-loopback host name', async () => {
+    const { status, body } = await request('GET', '/brands', { Host: `evil.example:${port}` });
+
+    assert.strictEqual(status, 403);
+    assert.match(body.error, /evil\.example/);
+  });
+
+  it('answers a malformed escape with 400', async () => {
+    const { status, body } = await request('GET', '/brands/%E0/reports');
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Malformed URL/);
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const TopicExtractor = require('../bird-topics');
+
+describe('TopicExtractor.isTracked', () => {
+  const extractor = new TopicExtractor('test-brand', {
+    keywords: ['AI automation', 'workflow optimization', 'AI agents', 'tool stack', 'Claude Code']
+  });
+
+  it('tracks a keyword and whole-word runs inside it', () => {
+    ['ai automation', 'automation', 'claude code', '#claude', 'agents', 'tool stack', 'optimization'].forEach(term => {
+      assert.strictEqual(extractor.isTracked(term), true, term);
+    });
+  });
+
+  it('does not track partial words', () => {
+    ['work', 'flow', 'age', 'agent', 'auto', 'claude code tips', 'ai tools'].forEach(term => {
+      assert.strictEqual(extractor.isTracked(term), false, term);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const TweetModel = require('../bird-tweet');
+
+const raw = (fields = {}) => ({
+  id_str: '1',
+  full_text: 'hello',
+  user: { screen_name: 'alice', followers_count: 100 },
+  favorite_count: 3,
+  ...fields
+});
+
+describe('TweetModel', () => {
+  it('normalizes v1, v2 and bird shapes to the same engagement', () => {
+    const v1 = TweetModel.normalize(raw({ retweet_count: 2 }));
+    const v2 = TweetModel.normalize({ id: '1', text: 'hello', author_handle: 'alice', public_metrics: { like_count: 3, retweet_count: 2 } });
+    const bird = TweetModel.normalize({ id: '1', text: 'hello', author: { username: 'alice' }, likeCount: 3, retweetCount: '2' });
+
+    [v1, v2, bird].forEach(tweet => {
+      assert.deepStrictEqual(tweet.engagement, { likes: 3, retweets: 2, replies: 0, quotes: 0, views: 0 });
+      assert.strictEqual(tweet.url, 'https://twitter.com/alice/status/1');
+    });
+  });
+
+  it('counts missing engagement as 0', () => {
+    const tweet = TweetModel.normalize({ id: '1', text: 'hello' });
+    assert.deepStrictEqual(tweet.engagement, { likes: 0, retweets: 0, replies: 0, quotes: 0, views: 0 });
+  });
+
+  it('rejects negative or non-numeric engagement counts', () => {
+    assert.throws(() => TweetModel.normalize(raw({ favorite_count: -5 })), /engagement\.likes must be a non-negative number/);
+    assert.throws(() => TweetModel.normalize(raw({ retweet_count: 'lots' })), /engagement\.retweets/);
+    assert.throws(() => TweetModel.normalize(raw({ public_metrics: { impression_count: NaN } })), /engagement\.views/);
+  });
+
+  it('keeps a tweet whose follower count is unreadable', () => {
+    const tweet = TweetModel.normalize(raw({ user: { screen_name: 'alice', followers_count: 'n/a' } }));
+    assert.strictEqual(tweet.author.followers, 0);
+  });
+
+  it('rejects tweets without an id or text', () => {
+    assert.throws(() => TweetModel.normalize({ text: 'hello' }), /missing id/);
+    assert.throws(() => TweetModel.normalize({ id: '1' }), /missing text/);
+  });
+
+  it('skips malformed tweets in a list', () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const tweets = TweetModel.normalizeAll([raw(), raw({ id_str: '2', favorite_count: -1 }), raw({ id_str: '3' })]);
+      assert.deepStrictEqual(tweets.map(t => t.id), ['1', '3']);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});